@@ -9,21 +9,53 @@
  */
 
 import { parseDatasetBool } from "./rules/_dataset.js";
+import { isContentEditable } from "./editable.js";
 
 /**
  * @typedef {import("./text-input-guard.js").GuardGroup} GuardGroup
  * @typedef {import("./text-input-guard.js").Guard} Guard
  * @typedef {import("./text-input-guard.js").AttachOptions} AttachOptions
  * @typedef {import("./text-input-guard.js").Rule} Rule
+ * @typedef {import("./text-input-guard.js").GuardElement} GuardElement
  */
 
 /**
  * data属性からルールを生成できるルールファクトリ
  * @typedef {Object} RuleFactory
  * @property {string} name
- * @property {(dataset: DOMStringMap, el: HTMLInputElement|HTMLTextAreaElement) => Rule|null} fromDataset
+ * @property {(dataset: DOMStringMap, el: GuardElement) => Rule|null} fromDataset
  */
 
+/**
+ * register() に渡す登録オプション
+ * - before / after を省略した場合は末尾（組み込みルールの後ろ）に追加する
+ * - ルールの並び順は各フェーズ内での実行順になる
+ * @typedef {Object} RegisterRuleOptions
+ * @property {string} [before] - 指定した名前のルールの直前に追加する
+ * @property {string} [after] - 指定した名前のルールの直後に追加する
+ * @property {boolean} [replace=false] - 同名のルールが登録済みの場合、その位置で置き換える（false なら Error）
+ */
+
+/**
+ * observe() が返すハンドル
+ * @typedef {Object} AutoAttachObserver
+ * @property {() => void} disconnect - 監視を止める（attach 済みの Guard はそのまま）
+ * @property {() => void} detach - 監視を止めて、observe で attach した Guard を全て detach する
+ * @property {() => Guard[]} getGuards - observe で attach して現在有効な Guard 配列
+ */
+
+/**
+ * autoAttach が内部で使う data 属性（変更されても付け直さない）
+ * @type {readonly string[]}
+ */
+const INTERNAL_ATTRIBUTES = [
+	"data-tig-attached",
+	"data-tig-role",
+	"data-tig-original-id",
+	"data-tig-original-class",
+	"data-tig-original-name"
+];
+
 /**
  * separate mode を解釈する（未指定は "auto"）
  * @param {string|undefined} v
@@ -38,7 +70,7 @@ function parseSeparateMode(v) {
 
 /**
  * その要素が autoAttach の対象かを判定する
- * - 設定系（data-tig-separate / warn / invalid-class）
+ * - 設定系（data-tig-separate / warn / invalid-class / locale / native-validity）
  * - ルール系（data-tig-rules-* が1つでもある）
  * @param {DOMStringMap} ds
  * @returns {boolean}
@@ -48,6 +80,8 @@ function hasAnyJpigConfig(ds) {
 	if (ds.tigSeparate != null) { return true; }
 	if (ds.tigWarn != null) { return true; }
 	if (ds.tigInvalidClass != null) { return true; }
+	if (ds.tigLocale != null) { return true; }
+	if (ds.tigNativeValidity != null) { return true; }
 
 	// ルール系（data-tig-rules-*）
 	for (const k in ds) {
@@ -59,16 +93,66 @@ function hasAnyJpigConfig(ds) {
 	return false;
 }
 
+/**
+ * 属性名が autoAttach の設定/ルール（data-tig-*）かを判定する
+ * @param {string|null} name
+ * @returns {boolean}
+ */
+function isConfigAttribute(name) {
+	if (!name || !name.startsWith("data-tig-")) {
+		return false;
+	}
+	return !INTERNAL_ATTRIBUTES.includes(name);
+}
+
+/**
+ * autoAttach の対象になり得る要素か（input / textarea / contenteditable）
+ * @param {any} el
+ * @returns {el is GuardElement}
+ */
+function isTargetElement(el) {
+	return el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement || isContentEditable(el);
+}
+
+/**
+ * root 配下（root自身を含む）の input/textarea/contenteditable を集める
+ * @param {Document|DocumentFragment|ShadowRoot|Element} root
+ * @returns {GuardElement[]}
+ */
+function collectElements(root) {
+	/** @type {GuardElement[]} */
+	const elements = [];
+
+	// root配下
+	if (/** @type {any} */ (root).querySelectorAll) {
+		const nodeList = /** @type {any} */ (root).querySelectorAll("input, textarea, [contenteditable]");
+		for (const el of nodeList) {
+			if (isTargetElement(el)) {
+				elements.push(el);
+			}
+		}
+	}
+
+	// root自身
+	if (isTargetElement(root)) {
+		if (!elements.includes(root)) {
+			elements.push(root);
+		}
+	}
+
+	return elements;
+}
+
 /**
  * autoAttach の実体（attach関数とルールレジストリを保持する）
  */
 export class InputGuardAutoAttach {
 	/**
-	 * @param {(el: HTMLInputElement|HTMLTextAreaElement, options: AttachOptions) => Guard} attachFn
+	 * @param {(el: GuardElement, options: AttachOptions) => Guard} attachFn
 	 * @param {RuleFactory[]} ruleFactories
 	 */
 	constructor(attachFn, ruleFactories) {
-		/** @type {(el: HTMLInputElement|HTMLTextAreaElement, options: AttachOptions) => Guard} */
+		/** @type {(el: GuardElement, options: AttachOptions) => Guard} */
 		this.attachFn = attachFn;
 
 		/** @type {RuleFactory[]} */
@@ -76,16 +160,148 @@ export class InputGuardAutoAttach {
 	}
 
 	/**
-	 * ルールファクトリを追加登録（将来用：必要なら使う）
+	 * ルールファクトリを追加登録する
+	 * - name が登録済みの場合は Error（`replace: true` ならその位置で置き換える）
+	 * - `before` / `after` で既存ルールとの前後関係を指定できる（省略時は末尾）
 	 * @param {RuleFactory} factory
+	 * @param {RegisterRuleOptions} [options]
 	 * @returns {void}
 	 */
-	register(factory) {
-		this.ruleFactories.push(factory);
+	register(factory, options = {}) {
+		if (!factory || typeof factory.name !== "string" || factory.name.trim() === "") {
+			throw new TypeError("[text-input-guard] registerRule: name must be a non-empty string.");
+		}
+		if (typeof factory.fromDataset !== "function") {
+			throw new TypeError(`[text-input-guard] registerRule: rule "${factory.name}" must have fromDataset().`);
+		}
+		if (options.before != null && options.after != null) {
+			throw new TypeError("[text-input-guard] registerRule: before and after cannot be used together.");
+		}
+
+		/** @type {RuleFactory} */
+		const entry = { name: factory.name, fromDataset: factory.fromDataset };
+
+		const current = this.indexOf(entry.name);
+		if (current >= 0 && !options.replace) {
+			throw new Error(`[text-input-guard] registerRule: rule "${entry.name}" is already registered.`);
+		}
+
+		// 登録を書き換える前に位置指定を確かめる（例外で既存のルールが消えないように）
+		const anchorName = options.before ?? options.after;
+		if (anchorName != null) {
+			if (anchorName === entry.name) {
+				throw new Error(`[text-input-guard] registerRule: rule "${anchorName}" cannot be placed relative to itself.`);
+			}
+			if (!this.getRuleNames().includes(anchorName)) {
+				throw new Error(`[text-input-guard] registerRule: rule "${anchorName}" is not registered.`);
+			}
+		}
+
+		if (current >= 0) {
+			// 位置指定が無ければ同じ位置で置き換える
+			if (anchorName == null) {
+				this.ruleFactories[current] = entry;
+				return;
+			}
+			this.ruleFactories.splice(current, 1);
+		}
+
+		if (anchorName == null) {
+			this.ruleFactories.push(entry);
+			return;
+		}
+
+		const anchor = this.indexOf(anchorName);
+		this.ruleFactories.splice(options.before != null ? anchor : anchor + 1, 0, entry);
+	}
+
+	/**
+	 * 登録済みのルール名を実行順で返す
+	 * @returns {string[]}
+	 */
+	getRuleNames() {
+		return this.ruleFactories.map((f) => f.name);
 	}
 
 	/**
-	 * root 配下の input/textarea を data属性から自動で attach する
+	 * ルール名から登録位置を探す
+	 * @param {string} name
+	 * @returns {number} 見つからなければ -1
+	 */
+	indexOf(name) {
+		return this.ruleFactories.findIndex((f) => f.name === name);
+	}
+
+	/**
+	 * 1要素を data属性から attach する
+	 * - 既に `data-tig-attached` が付いているもの、設定やルールが無いものは null
+	 * - `data-tig-*`（設定）と `data-tig-rules-*`（ルール）を拾って options を生成
+	 *
+	 * @param {GuardElement} el
+	 * @returns {Guard|null}
+	 */
+	attachElement(el) {
+		const ds = el.dataset;
+
+		// 二重attach防止
+		if (ds.tigAttached === "true") { return null; }
+
+		// JPIGの設定が何も無ければ対象外
+		if (!hasAnyJpigConfig(ds)) { return null; }
+
+		/** @type {AttachOptions} */
+		const options = {};
+
+		// warn / invalidClass
+		const warn = parseDatasetBool(ds.tigWarn);
+		if (warn != null) { options.warn = warn; }
+
+		if (ds.tigInvalidClass != null && String(ds.tigInvalidClass).trim() !== "") {
+			options.invalidClass = String(ds.tigInvalidClass);
+		}
+
+		// nativeValidity（setCustomValidity 連携）
+		const nativeValidity = parseDatasetBool(ds.tigNativeValidity);
+		if (nativeValidity != null) { options.nativeValidity = nativeValidity; }
+
+		// locale（getMessages 用）
+		if (ds.tigLocale != null && String(ds.tigLocale).trim() !== "") {
+			options.locale = String(ds.tigLocale).trim();
+		}
+
+		// separateValue（未指定は auto）
+		options.separateValue = { mode: parseSeparateMode(ds.tigSeparate) };
+
+		// ルール収集
+		/** @type {Rule[]} */
+		const rules = [];
+		for (const fac of this.ruleFactories) {
+			try {
+				const rule = fac.fromDataset(ds, el);
+				if (rule) { rules.push(rule); }
+			} catch (e) {
+				const w = options.warn ?? true;
+				if (w) {
+					console.warn(`[text-input-guard] autoAttach: rule "${fac.name}" fromDataset() threw an error.`, e);
+				}
+			}
+		}
+		if (rules.length > 0) { options.rules = rules; }
+
+		// ルールが無いなら attach しない（v0.1方針）
+		if (!options.rules || options.rules.length === 0) { return null; }
+
+		// attach（init内で auto/swap 判定も完了）
+		const guard = this.attachFn(el, options);
+
+		// 二重attach防止フラグ
+		el.dataset.tigAttached = "true";
+
+		return guard;
+	}
+
+	/**
+	 * root 配下の input/textarea/contenteditable を data属性から自動で attach する
 	 * - 既に `data-tig-attached` が付いているものはスキップ
 	 * - `data-tig-*`（設定）と `data-tig-rules-*`（ルール）を拾って options を生成
 	 *
@@ -96,79 +312,130 @@ export class InputGuardAutoAttach {
 		/** @type {Guard[]} */
 		const guards = [];
 
-		/** @type {(HTMLInputElement|HTMLTextAreaElement)[]} */
-		const elements = [];
-
-		// root配下
-		if (/** @type {any} */ (root).querySelectorAll) {
-			const nodeList = /** @type {any} */ (root).querySelectorAll("input, textarea");
-			for (const el of nodeList) {
-				if (el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement) {
-					elements.push(el);
-				}
-			}
+		for (const el of collectElements(root)) {
+			const guard = this.attachElement(el);
+			if (guard) { guards.push(guard); }
 		}
 
-		// root自身
-		if (root instanceof HTMLInputElement || root instanceof HTMLTextAreaElement) {
-			if (!elements.includes(root)) { elements.push(root); }
-		}
+		return {
+			detach: () => { for (const g of guards) { g.detach(); } },
+			isValid: () => guards.every((g) => g.isValid()),
+			isPending: () => guards.some((g) => g.isPending()),
+			getErrors: () => guards.flatMap((g) => g.getErrors()),
+			getGuards: () => guards
+		};
+	}
+
+	/**
+	 * root 配下を監視し続けて、追加/削除/属性変更に合わせて attach / detach する
+	 * - 最初に root 配下の既存要素を autoAttach する
+	 * - 追加された input/textarea/contenteditable は attach する
+	 * - 削除された要素（swap時は raw / display のどちらか）は detach して `data-tig-attached` を外す
+	 * - `data-tig-*` の設定やルールが変わった要素は detach してから attach し直す
+	 * - 監視対象は observe() で attach したものだけ（それ以外の Guard には触らない）
+	 *
+	 * @param {Document|DocumentFragment|ShadowRoot|Element} [root=document]
+	 * @returns {AutoAttachObserver}
+	 */
+	observe(root = document) {
+		/**
+		 * observe で attach した Guard（key: attach した元の要素）
+		 * @type {Map<GuardElement, Guard>}
+		 */
+		const tracked = new Map();
 
-		for (const el of elements) {
-			const ds = el.dataset;
+		/**
+		 * @param {GuardElement} el
+		 */
+		const attachOne = (el) => {
+			const guard = this.attachElement(el);
+			if (guard) { tracked.set(el, guard); }
+		};
 
-			// 二重attach防止
-			if (ds.tigAttached === "true") { continue; }
+		/**
+		 * @param {GuardElement} el
+		 */
+		const detachOne = (el) => {
+			const guard = tracked.get(el);
+			if (!guard) { return; }
+			tracked.delete(el);
+			guard.detach();
+			delete el.dataset.tigAttached;
+		};
+
+		for (const el of collectElements(root)) {
+			attachOne(el);
+		}
 
-			// JPIGの設定が何も無ければ対象外
-			if (!hasAnyJpigConfig(ds)) { continue; }
+		const observer = new MutationObserver((records) => {
+			let removed = false;
 
-			/** @type {AttachOptions} */
-			const options = {};
+			/** @type {Set<GuardElement>} */
+			const added = new Set();
 
-			// warn / invalidClass
-			const warn = parseDatasetBool(ds.tigWarn);
-			if (warn != null) { options.warn = warn; }
+			/** @type {Set<GuardElement>} */
+			const changed = new Set();
 
-			if (ds.tigInvalidClass != null && String(ds.tigInvalidClass).trim() !== "") {
-				options.invalidClass = String(ds.tigInvalidClass);
+			for (const record of records) {
+				if (record.type === "childList") {
+					if (record.removedNodes.length > 0) {
+						removed = true;
+					}
+					for (const node of Array.from(record.addedNodes)) {
+						for (const el of collectElements(/** @type {any} */ (node))) {
+							added.add(el);
+						}
+					}
+				} else if (record.type === "attributes") {
+					const target = record.target;
+					if (!isTargetElement(target)) {
+						continue;
+					}
+					if (!isConfigAttribute(record.attributeName)) {
+						continue;
+					}
+					// display 側は設定を持たないので無視
+					if (target.dataset.tigRole === "display") {
+						continue;
+					}
+					changed.add(target);
+				}
 			}
 
-			// separateValue（未指定は auto）
-			options.separateValue = { mode: parseSeparateMode(ds.tigSeparate) };
-
-			// ルール収集
-			/** @type {Rule[]} */
-			const rules = [];
-			for (const fac of this.ruleFactories) {
-				try {
-					const rule = fac.fromDataset(ds, el);
-					if (rule) { rules.push(rule); }
-				} catch (e) {
-					const w = options.warn ?? true;
-					if (w) {
-						console.warn(`[text-input-guard] autoAttach: rule "${fac.name}" fromDataset() threw an error.`, e);
+			// 1) DOMから外れたものを detach（移動しただけなら接続されたままなので残す）
+			if (removed) {
+				for (const [el, guard] of Array.from(tracked)) {
+					if (!guard.getRawElement().isConnected || !guard.getDisplayElement().isConnected) {
+						detachOne(el);
 					}
 				}
 			}
-			if (rules.length > 0) { options.rules = rules; }
 
-			// ルールが無いなら attach しない（v0.1方針）
-			if (!options.rules || options.rules.length === 0) { continue; }
+			// 2) 設定が変わったものは付け直す
+			for (const el of changed) {
+				if (!el.isConnected) { continue; }
+				detachOne(el);
+				attachOne(el);
+			}
 
-			// attach（init内で auto/swap 判定も完了）
-			const guard = this.attachFn(el, options);
-			guards.push(guard);
+			// 3) 追加されたものを attach（swap で生成した display は設定を持たないので対象外になる）
+			for (const el of added) {
+				if (!el.isConnected || tracked.has(el)) { continue; }
+				attachOne(el);
+			}
+		});
 
-			// 二重attach防止フラグ
-			el.dataset.tigAttached = "true";
-		}
+		observer.observe(root, { childList: true, subtree: true, attributes: true });
 
 		return {
-			detach: () => { for (const g of guards) { g.detach(); } },
-			isValid: () => guards.every((g) => g.isValid()),
-			getErrors: () => guards.flatMap((g) => g.getErrors()),
-			getGuards: () => guards
+			disconnect: () => observer.disconnect(),
+			detach: () => {
+				observer.disconnect();
+				for (const el of Array.from(tracked.keys())) {
+					detachOne(el);
+				}
+			},
+			getGuards: () => Array.from(tracked.values())
 		};
 	}
 }
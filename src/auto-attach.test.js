@@ -0,0 +1,250 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+// DOM のクラスを参照するので、先に global に注入する
+function setupDom(html) {
+	const dom = new JSDOM(`<!doctype html><html><body>${html}</body></html>`, {
+		url: "http://localhost/"
+	});
+
+	globalThis.window = dom.window;
+	globalThis.document = dom.window.document;
+
+	globalThis.HTMLElement = dom.window.HTMLElement;
+	globalThis.HTMLInputElement = dom.window.HTMLInputElement;
+	globalThis.HTMLTextAreaElement = dom.window.HTMLTextAreaElement;
+	globalThis.MutationObserver = dom.window.MutationObserver;
+
+	return dom;
+}
+
+// MutationObserver のコールバックを待つ
+function flush() {
+	return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// テスト用：data-tig-rules-upper があれば大文字化、data-tig-rules-upper-bracket="true" なら [] で表示
+const upperFactory = {
+	name: "upper",
+	fromDataset(ds) {
+		if (ds.tigRulesUpper == null) {
+			return null;
+		}
+		const bracket = ds.tigRulesUpperBracket === "true";
+		return {
+			name: "upper",
+			targets: ["input", "textarea"],
+			normalizeChar(v) {
+				return String(v).replace(/[[\]]/g, "").toUpperCase();
+			},
+			...(bracket ? { format: (v) => (v === "" ? v : `[${v}]`) } : {})
+		};
+	}
+};
+
+async function createAuto() {
+	const { attach } = await import("./text-input-guard.js");
+	const { InputGuardAutoAttach } = await import("./auto-attach.js");
+	return new InputGuardAutoAttach(attach, [upperFactory]);
+}
+
+test("auto-attach - observe: 既存要素と後から追加された要素を attach する", async () => {
+	setupDom("<div id='root'><input id='a' data-tig-rules-upper value='a'></div>");
+	const auto = await createAuto();
+
+	const root = document.getElementById("root");
+	const observer = auto.observe(root);
+	assert.equal(observer.getGuards().length, 1);
+	assert.equal(document.getElementById("a").value, "A");
+
+	// 子孫ごと追加しても拾う
+	const wrapper = document.createElement("div");
+	wrapper.innerHTML = "<input id='b' data-tig-rules-upper value='b'><input id='c' value='c'>";
+	root.appendChild(wrapper);
+	await flush();
+
+	assert.equal(observer.getGuards().length, 2);
+	assert.equal(document.getElementById("b").dataset.tigAttached, "true");
+	assert.equal(document.getElementById("b").value, "B");
+	// 設定の無い要素は対象外
+	assert.equal(document.getElementById("c").dataset.tigAttached, undefined);
+
+	observer.detach();
+});
+
+test("auto-attach - observe: 削除された要素は detach し、移動しただけなら残す", async () => {
+	setupDom("<div id='root'><input id='a' data-tig-rules-upper><div id='box'></div></div>");
+	const auto = await createAuto();
+
+	const root = document.getElementById("root");
+	const observer = auto.observe(root);
+	const a = document.getElementById("a");
+	const guard = observer.getGuards()[0];
+
+	// 移動
+	document.getElementById("box").appendChild(a);
+	await flush();
+	assert.equal(observer.getGuards()[0], guard);
+	assert.equal(a.dataset.tigAttached, "true");
+
+	// 削除
+	a.remove();
+	await flush();
+	assert.equal(observer.getGuards().length, 0);
+	assert.equal(a.dataset.tigAttached, undefined);
+
+	// detach 済みなので入力しても何もしない
+	a.value = "x";
+	a.dispatchEvent(new window.Event("input", { bubbles: true }));
+	assert.equal(a.value, "x");
+
+	observer.detach();
+});
+
+test("auto-attach - observe: swap 時は display 側が削除されても detach する", async () => {
+	setupDom("<div id='root'><input id='a' name='a' data-tig-rules-upper data-tig-rules-upper-bracket='true'></div>");
+	const auto = await createAuto();
+
+	const root = document.getElementById("root");
+	const observer = auto.observe(root);
+	await flush();
+
+	const guard = observer.getGuards()[0];
+	assert.notEqual(guard.getDisplayElement(), guard.getRawElement());
+	// swap で生成された display は attach 対象にならない
+	assert.equal(observer.getGuards().length, 1);
+
+	guard.getDisplayElement().remove();
+	await flush();
+	assert.equal(observer.getGuards().length, 0);
+
+	observer.detach();
+});
+
+test("auto-attach - observe: data-tig-rules-* の変更で attach し直す", async () => {
+	setupDom("<div id='root'><input id='a' name='a' data-tig-rules-upper></div>");
+	const auto = await createAuto();
+
+	const root = document.getElementById("root");
+	const observer = auto.observe(root);
+	const a = document.getElementById("a");
+	const before = observer.getGuards()[0];
+	assert.equal(before.getDisplayElement(), a);
+
+	a.dataset.tigRulesUpperBracket = "true";
+	await flush();
+
+	const after = observer.getGuards()[0];
+	assert.equal(observer.getGuards().length, 1);
+	assert.notEqual(after, before);
+	assert.notEqual(after.getDisplayElement(), a);
+	assert.equal(after.getRawElement(), a);
+
+	// 設定を消すと対象外になる
+	a.removeAttribute("data-tig-rules-upper");
+	await flush();
+	assert.equal(observer.getGuards().length, 0);
+	assert.equal(a.dataset.tigAttached, undefined);
+	assert.equal(a.hidden, false);
+
+	observer.detach();
+});
+
+test("auto-attach - observe: disconnect 後は監視しないが、attach 済みの Guard は残す", async () => {
+	setupDom("<div id='root'><input id='a' data-tig-rules-upper></div>");
+	const auto = await createAuto();
+
+	const root = document.getElementById("root");
+	const observer = auto.observe(root);
+	observer.disconnect();
+
+	root.insertAdjacentHTML("beforeend", "<input id='b' data-tig-rules-upper>");
+	await flush();
+
+	assert.equal(observer.getGuards().length, 1);
+	assert.equal(document.getElementById("a").dataset.tigAttached, "true");
+	assert.equal(document.getElementById("b").dataset.tigAttached, undefined);
+
+	observer.detach();
+	assert.equal(document.getElementById("a").dataset.tigAttached, undefined);
+});
+
+// テスト用：data-tig-rules-<name> があれば value の末尾に mark を付ける
+function markFactory(name, mark) {
+	const key = "tigRules" + name[0].toUpperCase() + name.slice(1);
+	return {
+		name,
+		fromDataset(ds) {
+			if (ds[key] == null) {
+				return null;
+			}
+			return {
+				name,
+				targets: ["input"],
+				normalizeStructure(v) {
+					return String(v) + mark;
+				}
+			};
+		}
+	};
+}
+
+test("auto-attach - register: 追加したルールを data 属性から使える（省略時は末尾）", async () => {
+	setupDom("<input id='a' data-tig-rules-upper data-tig-rules-mark value='a'>");
+	const auto = await createAuto();
+
+	auto.register(markFactory("mark", "!"));
+	assert.deepEqual(auto.getRuleNames(), ["upper", "mark"]);
+
+	const group = auto.autoAttach(document);
+	assert.equal(group.getGuards().length, 1);
+	assert.equal(document.getElementById("a").value, "A!");
+});
+
+test("auto-attach - register: before / after で実行順を指定できる", async () => {
+	setupDom("");
+	const auto = await createAuto();
+
+	auto.register(markFactory("first", "1"), { before: "upper" });
+	auto.register(markFactory("second", "2"), { after: "upper" });
+	auto.register(markFactory("third", "3"), { after: "first" });
+	assert.deepEqual(auto.getRuleNames(), ["first", "third", "upper", "second"]);
+
+	assert.throws(() => auto.register(markFactory("x", "x"), { before: "missing" }), /not registered/);
+	assert.throws(() => auto.register(markFactory("y", "y"), { before: "upper", after: "upper" }), TypeError);
+	assert.deepEqual(auto.getRuleNames(), ["first", "third", "upper", "second"]);
+});
+
+test("auto-attach - register: 同名は Error、replace: true なら置き換える", async () => {
+	setupDom("<input id='a' data-tig-rules-upper value='a'>");
+	const auto = await createAuto();
+
+	assert.throws(() => auto.register(markFactory("upper", "!")), /already registered/);
+
+	// 位置指定なしならその位置のまま
+	auto.register(markFactory("mark", "?"));
+	auto.register(markFactory("upper", "!"), { replace: true });
+	assert.deepEqual(auto.getRuleNames(), ["upper", "mark"]);
+
+	// 位置指定ありなら移動する
+	auto.register(markFactory("upper", "!"), { replace: true, after: "mark" });
+	assert.deepEqual(auto.getRuleNames(), ["mark", "upper"]);
+
+	// 位置指定が不正なら、置き換える前に例外にして既存の登録を残す
+	assert.throws(() => auto.register(markFactory("upper", "?"), { replace: true, before: "missing" }), /not registered/);
+	assert.throws(() => auto.register(markFactory("upper", "?"), { replace: true, after: "upper" }), /relative to itself/);
+	assert.deepEqual(auto.getRuleNames(), ["mark", "upper"]);
+
+	auto.autoAttach(document);
+	assert.equal(document.getElementById("a").value, "a!");
+});
+
+test("auto-attach - register: name / fromDataset が無いと TypeError", async () => {
+	setupDom("");
+	const auto = await createAuto();
+
+	assert.throws(() => auto.register({ name: "", fromDataset: () => null }), TypeError);
+	assert.throws(() => auto.register({ name: "x" }), TypeError);
+});
@@ -0,0 +1,295 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+/**
+ * contenteditable 要素をプレーンテキストとして扱うためのヘルパー
+ * - 値は文字列（改行は "\n"）として読み書きする
+ * - キャレット位置は Selection / Range API とテキスト上の位置（UTF-16 index）を相互変換する
+ *
+ * テキストへの変換規則
+ * - テキストノードはそのまま
+ * - `<br>` は "\n"
+ * - ブロック要素（div / p など）は、直前が改行で終わっていなければ前に "\n" を入れる
+ * - 末尾の `<br>` は空行を表示するための placeholder として扱い、改行として数えない
+ *
+ * 書き込み時は、テキストノードと `<br>` だけで構成し直す
+ */
+
+/**
+ * 改行として扱うブロック要素
+ * @type {ReadonlySet<string>}
+ */
+const BLOCK_TAGS = new Set([
+	"ADDRESS", "ARTICLE", "ASIDE", "BLOCKQUOTE", "DIV", "DL", "DT", "DD", "FIELDSET", "FIGURE", "FOOTER",
+	"FORM", "H1", "H2", "H3", "H4", "H5", "H6", "HEADER", "HR", "LI", "MAIN", "NAV", "OL", "P", "PRE",
+	"SECTION", "TABLE", "TR", "UL"
+]);
+
+/**
+ * テキスト上の位置
+ * @typedef {Object} EditablePoint
+ * @property {Node} node
+ * @property {number} offset
+ */
+
+/**
+ * contenteditable（プレーンテキストとして扱える値）かを判定する
+ * - `contenteditable` / `contenteditable="true"` / `contenteditable="plaintext-only"` を対象にする
+ * @param {Element} el
+ * @returns {boolean}
+ */
+export function isContentEditable(el) {
+	if (!(el instanceof HTMLElement)) {
+		return false;
+	}
+	const v = el.getAttribute("contenteditable");
+	if (v == null) {
+		return false;
+	}
+	const s = v.trim().toLowerCase();
+	return s === "" || s === "true" || s === "plaintext-only";
+}
+
+/**
+ * テキストへ変換したときの1区切り
+ * - "text": テキストノード（length 文字）
+ * - "br": `<br>`（"\n" 1文字）
+ * - "block": ブロック要素の手前に入れた改行（"\n" 1文字、node はブロック要素）
+ * @typedef {Object} EditableSegment
+ * @property {"text"|"br"|"block"} type
+ * @property {Node} node
+ * @property {number} start - テキスト上の開始位置
+ * @property {number} length
+ */
+
+/**
+ * root 配下をテキストへ変換しながら走査する
+ * - stop が指定された場合、その境界点に到達した時点の文字数を stopped に入れて止める
+ * @param {HTMLElement} root
+ * @param {EditablePoint|null} stop
+ * @returns {{ text: string, segments: EditableSegment[], stopped: number|null }}
+ */
+function walk(root, stop) {
+	let text = "";
+	/** @type {EditableSegment[]} */
+	const segments = [];
+	/** @type {number|null} */
+	let stopped = null;
+
+	/**
+	 * @param {EditableSegment["type"]} type
+	 * @param {Node} node
+	 * @param {string} s
+	 */
+	const push = (type, node, s) => {
+		segments.push({ type, node, start: text.length, length: s.length });
+		text += s;
+	};
+
+	/**
+	 * @param {Node} node
+	 * @returns {boolean} 停止したら true
+	 */
+	const visit = (node) => {
+		if (node.nodeType === Node.TEXT_NODE) {
+			const data = /** @type {Text} */ (node).data;
+			if (stop && node === stop.node) {
+				stopped = text.length + Math.min(stop.offset, data.length);
+				return true;
+			}
+			push("text", node, data);
+			return false;
+		}
+		if (node.nodeType !== Node.ELEMENT_NODE) {
+			return false;
+		}
+
+		const el = /** @type {Element} */ (node);
+		if (el.tagName === "BR") {
+			push("br", el, "\n");
+			return false;
+		}
+		if (el !== root && BLOCK_TAGS.has(el.tagName) && text.length > 0 && !text.endsWith("\n")) {
+			push("block", el, "\n");
+		}
+
+		const children = el.childNodes;
+		for (let i = 0; i < children.length; i++) {
+			if (stop && el === stop.node && i === stop.offset) {
+				stopped = text.length;
+				return true;
+			}
+			if (visit(children[i])) {
+				return true;
+			}
+		}
+		if (stop && el === stop.node) {
+			stopped = text.length;
+			return true;
+		}
+		return false;
+	};
+
+	visit(root);
+	return { text, segments, stopped };
+}
+
+/**
+ * 末尾の `<br>`（空行表示用の placeholder）を除いたテキストを返す
+ * @param {{ text: string, segments: EditableSegment[] }} result
+ * @returns {string}
+ */
+function trimPlaceholder(result) {
+	for (let i = result.segments.length - 1; i >= 0; i--) {
+		const seg = result.segments[i];
+		if (seg.length === 0) {
+			continue;
+		}
+		return seg.type === "br" ? result.text.slice(0, -1) : result.text;
+	}
+	return result.text;
+}
+
+/**
+ * contenteditable のテキストを取得する
+ * @param {HTMLElement} root
+ * @returns {string}
+ */
+export function getEditableText(root) {
+	return trimPlaceholder(walk(root, null));
+}
+
+/**
+ * contenteditable のテキストを書き換える（同じ値なら DOM に触れない）
+ * - テキストノードと `<br>` だけで構成し直す
+ * - 末尾が改行の場合は、空行を表示するための `<br>` を1つ足す
+ * @param {HTMLElement} root
+ * @param {string} text
+ * @returns {void}
+ */
+export function setEditableText(root, text) {
+	if (getEditableText(root) === text) {
+		return;
+	}
+
+	const doc = root.ownerDocument;
+	const fragment = doc.createDocumentFragment();
+	const lines = text.split("\n");
+	for (let i = 0; i < lines.length; i++) {
+		if (i > 0) {
+			fragment.appendChild(doc.createElement("br"));
+		}
+		if (lines[i] !== "") {
+			fragment.appendChild(doc.createTextNode(lines[i]));
+		}
+	}
+	if (text.endsWith("\n")) {
+		fragment.appendChild(doc.createElement("br"));
+	}
+	root.replaceChildren(fragment);
+}
+
+/**
+ * DOM 上の境界点をテキスト上の位置に変換する（root の外なら null）
+ * @param {HTMLElement} root
+ * @param {Node} node
+ * @param {number} offset
+ * @returns {number|null}
+ */
+function toTextOffset(root, node, offset) {
+	if (node !== root && !root.contains(node)) {
+		return null;
+	}
+	const { stopped } = walk(root, { node, offset });
+	if (stopped == null) {
+		return null;
+	}
+	return Math.min(stopped, getEditableText(root).length);
+}
+
+/**
+ * テキスト上の位置を DOM 上の境界点に変換する
+ * - テキストノードの中を優先し、無ければ `<br>` の手前やブロック要素の先頭を指す
+ * @param {HTMLElement} root
+ * @param {number} index
+ * @returns {EditablePoint}
+ */
+function toPoint(root, index) {
+	const { segments } = walk(root, null);
+
+	for (const seg of segments) {
+		if (seg.type === "text") {
+			if (index <= seg.start + seg.length) {
+				return { node: seg.node, offset: index - seg.start };
+			}
+			continue;
+		}
+		if (seg.type === "br" && index === seg.start) {
+			const parent = /** @type {Node} */ (seg.node.parentNode);
+			return { node: parent, offset: Array.prototype.indexOf.call(parent.childNodes, seg.node) };
+		}
+		if (seg.type === "block" && index === seg.start + 1) {
+			return { node: seg.node, offset: 0 };
+		}
+	}
+
+	return { node: root, offset: root.childNodes.length };
+}
+
+/**
+ * contenteditable の選択範囲をテキスト上の位置で取得する
+ * - 選択範囲が root の外にある場合は null
+ * @param {HTMLElement} root
+ * @returns {{ start: number|null, end: number|null, direction: "forward"|"backward"|"none"|null }}
+ */
+export function getEditableSelection(root) {
+	const selection = root.ownerDocument.getSelection();
+	if (!selection || selection.rangeCount === 0 || !selection.anchorNode || !selection.focusNode) {
+		return { start: null, end: null, direction: null };
+	}
+
+	const anchor = toTextOffset(root, selection.anchorNode, selection.anchorOffset);
+	const focus = toTextOffset(root, selection.focusNode, selection.focusOffset);
+	if (anchor == null || focus == null) {
+		return { start: null, end: null, direction: null };
+	}
+
+	if (anchor === focus) {
+		return { start: anchor, end: focus, direction: "none" };
+	}
+	return anchor < focus
+		? { start: anchor, end: focus, direction: "forward" }
+		: { start: focus, end: anchor, direction: "backward" };
+}
+
+/**
+ * contenteditable の選択範囲をテキスト上の位置で設定する
+ * @param {HTMLElement} root
+ * @param {number} start
+ * @param {number} end
+ * @param {"forward"|"backward"|"none"|null} [direction]
+ * @returns {void}
+ */
+export function setEditableSelection(root, start, end, direction) {
+	const selection = root.ownerDocument.getSelection();
+	if (!selection) {
+		return;
+	}
+
+	const length = getEditableText(root).length;
+	const s = toPoint(root, Math.max(0, Math.min(start, length)));
+	const e = toPoint(root, Math.max(0, Math.min(end, length)));
+
+	if (direction === "backward") {
+		selection.setBaseAndExtent(e.node, e.offset, s.node, s.offset);
+	} else {
+		selection.setBaseAndExtent(s.node, s.offset, e.node, e.offset);
+	}
+}
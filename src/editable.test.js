@@ -0,0 +1,88 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+import {
+	isContentEditable,
+	getEditableText,
+	setEditableText,
+	getEditableSelection,
+	setEditableSelection
+} from "./editable.js";
+
+// DOM のクラスを参照するので、先に global に注入する
+function setupDom(html) {
+	const dom = new JSDOM(`<!doctype html><html><body>${html}</body></html>`, {
+		url: "http://localhost/"
+	});
+
+	globalThis.window = dom.window;
+	globalThis.document = dom.window.document;
+
+	globalThis.Node = dom.window.Node;
+	globalThis.HTMLElement = dom.window.HTMLElement;
+
+	return dom;
+}
+
+test("editable - isContentEditable: contenteditable / true / plaintext-only を対象にする", () => {
+	setupDom("<div id='a' contenteditable></div><div id='b' contenteditable='plaintext-only'></div>"
+		+ "<div id='c' contenteditable='false'></div><div id='d'></div>");
+
+	assert.equal(isContentEditable(document.getElementById("a")), true);
+	assert.equal(isContentEditable(document.getElementById("b")), true);
+	assert.equal(isContentEditable(document.getElementById("c")), false);
+	assert.equal(isContentEditable(document.getElementById("d")), false);
+});
+
+test("editable - getEditableText: br / ブロック要素を改行として読み、末尾の br は数えない", () => {
+	setupDom("<div id='ce' contenteditable>あい<br>う<div>え</div><div><br></div><p><b>お</b></p></div>");
+	const ce = document.getElementById("ce");
+
+	assert.equal(getEditableText(ce), "あい\nう\nえ\n\nお");
+
+	ce.innerHTML = "abc<br>";
+	assert.equal(getEditableText(ce), "abc");
+
+	ce.innerHTML = "abc<br><br>";
+	assert.equal(getEditableText(ce), "abc\n");
+});
+
+test("editable - setEditableText: テキストノードと br で構成し、末尾改行は placeholder を足す", () => {
+	setupDom("<div id='ce' contenteditable><div>old</div></div>");
+	const ce = document.getElementById("ce");
+
+	setEditableText(ce, "a\n\nb");
+	assert.equal(ce.innerHTML, "a<br><br>b");
+	assert.equal(getEditableText(ce), "a\n\nb");
+
+	setEditableText(ce, "a\n");
+	assert.equal(ce.innerHTML, "a<br><br>");
+	assert.equal(getEditableText(ce), "a\n");
+
+	// 同じ値なら DOM に触れない
+	const before = ce.firstChild;
+	setEditableText(ce, "a\n");
+	assert.equal(ce.firstChild, before);
+});
+
+test("editable - selection: テキスト上の位置と Selection を相互変換する", () => {
+	setupDom("<div id='ce' contenteditable>ab<br>cd<div>ef</div></div>");
+	const ce = document.getElementById("ce");
+
+	// "ab\ncd\nef" の "d" と "e" の間〜"f" の後ろ
+	setEditableSelection(ce, 5, 8, "forward");
+	assert.deepEqual(getEditableSelection(ce), { start: 5, end: 8, direction: "forward" });
+
+	setEditableSelection(ce, 1, 4, "backward");
+	assert.deepEqual(getEditableSelection(ce), { start: 1, end: 4, direction: "backward" });
+
+	// br の直後（2行目の先頭）
+	setEditableSelection(ce, 3, 3);
+	assert.deepEqual(getEditableSelection(ce), { start: 3, end: 3, direction: "none" });
+
+	// 要素の外の選択範囲は null
+	document.getSelection().setBaseAndExtent(document.body, 0, document.body, 0);
+	assert.deepEqual(getEditableSelection(ce), { start: null, end: null, direction: null });
+});
@@ -0,0 +1,302 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import { findGuard } from "./text-input-guard.js";
+
+/**
+ * @typedef {import("./text-input-guard.js").Guard} Guard
+ * @typedef {import("./text-input-guard.js").TigError} TigError
+ */
+
+/**
+ * フォーム内の1フィールド分の検証結果
+ * @typedef {Object} FormFieldResult
+ * @property {Guard} guard - 対象の Guard
+ * @property {string} name - 送信時の name（raw側の name 属性、無ければ空文字）
+ * @property {import("./text-input-guard.js").GuardElement} element - ユーザーが操作する表示要素
+ * @property {boolean} isValid - エラーが無い場合は true
+ * @property {TigError[]} errors - 発生したエラー一覧
+ */
+
+/**
+ * フォーム全体の検証結果
+ * @typedef {Object} FormValidateResult
+ * @property {HTMLFormElement} form - 対象のフォーム
+ * @property {boolean} isValid - 全フィールドが valid なら true
+ * @property {FormFieldResult[]} fields - フィールドごとの結果（DOM順）
+ * @property {FormFieldResult[]} invalidFields - エラーのあるフィールドだけを抜き出したもの（DOM順）
+ */
+
+/**
+ * attachForm() に渡す設定オプション
+ * @typedef {Object} AttachFormOptions
+ * @property {boolean} [focusInvalid=true] - 送信を止めたときに最初のエラー要素へスクロールしてフォーカスする
+ * @property {ScrollIntoViewOptions} [scrollOptions] - スクロール時のオプション（既定は { block: "center" }）
+ * @property {(result: FormValidateResult) => void} [onValidate] - submit 時の検証完了の通知（送信する/しないに関わらず呼ばれる）
+ */
+
+/**
+ * attachForm() が返す公開API
+ * @typedef {Object} FormGuard
+ * @property {() => void} detach - submit の監視を解除（各 Guard は detach しない）
+ * @property {() => Promise<FormValidateResult>} validate - 全 Guard を commit して結果を返す（送信はしない）
+ * @property {() => Guard[]} getGuards - フォーム内の Guard 配列（DOM順）
+ */
+
+/**
+ * フォームの submit を監視して、全 Guard の確定評価と送信可否の判定を行う
+ */
+class InputGuardForm {
+	/**
+	 * @param {HTMLFormElement} form
+	 * @param {AttachFormOptions} options
+	 */
+	constructor(form, options) {
+		if (!(form instanceof HTMLFormElement)) {
+			throw new TypeError("[text-input-guard] attachForm() expects a <form> element.");
+		}
+
+		/**
+		 * 対象のフォーム
+		 * @type {HTMLFormElement}
+		 */
+		this.form = form;
+
+		/**
+		 * 送信を止めたときに最初のエラー要素へフォーカスするか
+		 * @type {boolean}
+		 */
+		this.focusInvalid = options.focusInvalid ?? true;
+
+		/**
+		 * スクロール時のオプション
+		 * @type {ScrollIntoViewOptions}
+		 */
+		this.scrollOptions = options.scrollOptions ?? { block: "center" };
+
+		/**
+		 * submit 時の検証完了の通知
+		 * @type {((result: FormValidateResult) => void) | undefined}
+		 */
+		this.onAttachValidate = options.onValidate;
+
+		/**
+		 * 非同期検証の完了後に送信し直している最中かどうか
+		 * true の間の submit は検証済みなので素通りさせる
+		 * @type {boolean}
+		 */
+		this.resubmitting = false;
+
+		/**
+		 * 非同期検証の完了を待って送信し直す予定があるかどうか
+		 * true の間の submit（二度押しなど）は止めて無視する（送信が重ならないように）
+		 * @type {boolean}
+		 */
+		this.waitingResubmit = false;
+
+		/**
+		 * submitイベントハンドラ（this固定）
+		 */
+		this.onSubmit = this.onSubmit.bind(this);
+	}
+
+	/**
+	 * submit の監視を開始する
+	 * @returns {void}
+	 */
+	bindEvents() {
+		this.form.addEventListener("submit", this.onSubmit);
+	}
+
+	/**
+	 * submit の監視を解除する
+	 * @returns {void}
+	 */
+	unbindEvents() {
+		this.form.removeEventListener("submit", this.onSubmit);
+	}
+
+	/**
+	 * フォーム内の Guard を DOM順で集める
+	 * - submit のたびに集め直すので、後から attach された要素も対象になる
+	 * - swap時は display 側の要素がフォームに属しているので、そこから引く
+	 * @returns {Guard[]}
+	 */
+	getGuards() {
+		/** @type {Guard[]} */
+		const guards = [];
+		for (const el of Array.from(this.form.elements)) {
+			const guard = findGuard(el);
+			if (guard && !guards.includes(guard)) {
+				guards.push(guard);
+			}
+		}
+		return guards;
+	}
+
+	/**
+	 * 現在の Guard の状態から結果を組み立てる
+	 * @param {Guard[]} guards
+	 * @returns {FormValidateResult}
+	 */
+	createResult(guards) {
+		/** @type {FormFieldResult[]} */
+		const fields = guards.map((guard) => {
+			return {
+				guard,
+				name: guard.getRawElement().getAttribute("name") ?? "",
+				element: guard.getDisplayElement(),
+				isValid: guard.isValid(),
+				errors: guard.getErrors()
+			};
+		});
+		const invalidFields = fields.filter((f) => !f.isValid);
+		return {
+			form: this.form,
+			isValid: invalidFields.length === 0,
+			fields,
+			invalidFields
+		};
+	}
+
+	/**
+	 * 全 Guard を commit し、非同期検証の完了を待って結果を返す
+	 * @returns {Promise<FormValidateResult>}
+	 */
+	async validate() {
+		const guards = this.getGuards();
+		for (const guard of guards) {
+			guard.commit();
+		}
+		await Promise.all(guards.map((g) => g.whenSettled()));
+		return this.createResult(guards);
+	}
+
+	/**
+	 * 最初のエラー要素へスクロールしてフォーカスする
+	 * @param {FormValidateResult} result
+	 * @returns {void}
+	 */
+	focusFirstInvalid(result) {
+		if (!this.focusInvalid) {
+			return;
+		}
+		const first = result.invalidFields[0];
+		if (!first) {
+			return;
+		}
+		const el = first.element;
+		if (typeof el.scrollIntoView === "function") {
+			el.scrollIntoView(this.scrollOptions);
+		}
+		el.focus({ preventScroll: true });
+	}
+
+	/**
+	 * 検証結果をコールバックへ通知する
+	 * @param {FormValidateResult} result
+	 * @returns {void}
+	 */
+	notifyValidate(result) {
+		if (this.onAttachValidate) {
+			this.onAttachValidate(result);
+		}
+	}
+
+	/**
+	 * 非同期検証の完了後にフォームを送信し直す
+	 * @param {HTMLElement|null} submitter
+	 * @returns {void}
+	 */
+	resubmit(submitter) {
+		this.resubmitting = true;
+		try {
+			if (typeof this.form.requestSubmit === "function") {
+				this.form.requestSubmit(submitter ?? undefined);
+			} else {
+				this.form.submit();
+			}
+		} finally {
+			this.resubmitting = false;
+		}
+	}
+
+	/**
+	 * submitイベント：全 Guard を commit し、invalid なら送信を止める
+	 * - 同期で結果が出る場合はその場で判定する
+	 * - 非同期検証の結果待ちがある場合はいったん送信を止め、完了後に valid なら送信し直す
+	 * @param {Event} e
+	 * @returns {void}
+	 */
+	onSubmit(e) {
+		if (this.resubmitting) {
+			return;
+		}
+		if (this.waitingResubmit) {
+			e.preventDefault();
+			return;
+		}
+
+		const guards = this.getGuards();
+		for (const guard of guards) {
+			guard.commit();
+		}
+
+		if (guards.some((g) => g.isPending())) {
+			e.preventDefault();
+			this.waitingResubmit = true;
+			const submitter = /** @type {SubmitEvent} */ (e).submitter ?? null;
+			Promise.all(guards.map((g) => g.whenSettled())).then(() => {
+				this.waitingResubmit = false;
+				const result = this.createResult(guards);
+				this.notifyValidate(result);
+				if (result.isValid) {
+					this.resubmit(submitter);
+				} else {
+					this.focusFirstInvalid(result);
+				}
+			});
+			return;
+		}
+
+		const result = this.createResult(guards);
+		this.notifyValidate(result);
+		if (!result.isValid) {
+			e.preventDefault();
+			this.focusFirstInvalid(result);
+		}
+	}
+
+	/**
+	 * 外部に公開する FormGuard API を生成して返す
+	 * @returns {FormGuard}
+	 */
+	getFormGuard() {
+		return {
+			detach: () => this.unbindEvents(),
+			validate: () => this.validate(),
+			getGuards: () => this.getGuards()
+		};
+	}
+}
+
+/**
+ * フォームの submit 時に全 Guard を commit し、invalid なら送信を止める
+ * - 対象はフォームに属する input / textarea のうち、attach 済みのもの
+ * - 送信を止めた場合は最初のエラー要素へスクロールしてフォーカスする
+ * @param {HTMLFormElement} form
+ * @param {AttachFormOptions} [options]
+ * @returns {FormGuard}
+ */
+export function attachForm(form, options = {}) {
+	const formGuard = new InputGuardForm(form, options);
+	formGuard.bindEvents();
+	return formGuard.getFormGuard();
+}
@@ -0,0 +1,202 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+// DOM のクラスを参照するので、先に global に注入する
+function setupDom(html) {
+	const dom = new JSDOM(`<!doctype html><html><body>${html}</body></html>`, {
+		url: "http://localhost/"
+	});
+
+	globalThis.window = dom.window;
+	globalThis.document = dom.window.document;
+
+	globalThis.HTMLElement = dom.window.HTMLElement;
+	globalThis.HTMLInputElement = dom.window.HTMLInputElement;
+	globalThis.HTMLTextAreaElement = dom.window.HTMLTextAreaElement;
+	globalThis.HTMLFormElement = dom.window.HTMLFormElement;
+
+	return dom;
+}
+
+// テスト用：空ならエラー
+function ruleRequired() {
+	return {
+		name: "required",
+		targets: ["input", "textarea"],
+		validate(v, ctx) {
+			if (v === "") {
+				ctx.pushError({ code: "required.empty", rule: "required", phase: "validate" });
+			}
+		}
+	};
+}
+
+// テスト用：format があると swap する
+function ruleFormatBracket() {
+	return {
+		name: "bracket",
+		targets: ["input"],
+		normalizeChar(v) {
+			return String(v).replace(/[[\]]/g, "");
+		},
+		format(v) {
+			return v === "" ? v : `[${v}]`;
+		}
+	};
+}
+
+function submit(form) {
+	const e = new window.Event("submit", { bubbles: true, cancelable: true });
+	form.dispatchEvent(e);
+	return e;
+}
+
+const FORM_HTML = `
+<form id="f">
+	<input id="a" name="a" type="text" value="ok">
+	<input id="b" name="b" type="text" value="">
+	<input id="c" name="c" type="text" value="">
+</form>`;
+
+test("form-guard - submit: invalid な Guard があると送信を止め、最初のエラー要素へフォーカスする", async () => {
+	setupDom(FORM_HTML);
+
+	const { attach } = await import("./text-input-guard.js");
+	const { attachForm } = await import("./form-guard.js");
+
+	attach(document.getElementById("a"), { rules: [ruleRequired()] });
+	attach(document.getElementById("b"), { rules: [ruleRequired()] });
+	attach(document.getElementById("c"), { rules: [ruleRequired()] });
+
+	const results = [];
+	attachForm(document.getElementById("f"), { onValidate: (r) => results.push(r) });
+
+	const e = submit(document.getElementById("f"));
+
+	assert.equal(e.defaultPrevented, true);
+	assert.equal(document.activeElement, document.getElementById("b"));
+
+	const result = results[0];
+	assert.equal(result.isValid, false);
+	assert.deepEqual(result.fields.map((f) => f.name), ["a", "b", "c"]);
+	assert.deepEqual(result.invalidFields.map((f) => f.name), ["b", "c"]);
+	assert.equal(result.invalidFields[0].errors[0].code, "required.empty");
+});
+
+test("form-guard - submit: 全て valid なら送信を止めない", async () => {
+	setupDom(FORM_HTML);
+
+	const { attach } = await import("./text-input-guard.js");
+	const { attachForm } = await import("./form-guard.js");
+
+	attach(document.getElementById("a"), { rules: [ruleRequired()] });
+
+	attachForm(document.getElementById("f"));
+
+	const e = submit(document.getElementById("f"));
+	assert.equal(e.defaultPrevented, false);
+});
+
+test("form-guard - submit: commit が走り、swap 時は display 側にフォーカスして name は raw 側を返す", async () => {
+	setupDom(FORM_HTML);
+
+	const { attach } = await import("./text-input-guard.js");
+	const { attachForm } = await import("./form-guard.js");
+
+	const guard = attach(document.getElementById("b"), { rules: [ruleFormatBracket(), ruleRequired()] });
+	const display = guard.getDisplayElement();
+	assert.notEqual(display, guard.getRawElement());
+
+	const results = [];
+	attachForm(document.getElementById("f"), { onValidate: (r) => results.push(r) });
+
+	// 入力した体で値を入れ、blur せずに送信
+	display.value = "x";
+	let e = submit(document.getElementById("f"));
+	assert.equal(e.defaultPrevented, false);
+	assert.equal(display.value, "[x]");
+	assert.equal(guard.getRawValue(), "x");
+
+	display.value = "";
+	e = submit(document.getElementById("f"));
+	assert.equal(e.defaultPrevented, true);
+	assert.equal(document.activeElement, display);
+	assert.equal(results[1].invalidFields[0].name, "b");
+	assert.equal(results[1].invalidFields[0].element, display);
+});
+
+test("form-guard - submit: 非同期検証の結果待ちがあれば止め、完了後に valid なら送信し直す", async () => {
+	setupDom(FORM_HTML);
+
+	const { attach } = await import("./text-input-guard.js");
+	const { attachForm } = await import("./form-guard.js");
+
+	const guard = attach(document.getElementById("a"), {
+		rules: [{
+			name: "slow",
+			targets: ["input"],
+			validateAsync: () => new Promise((resolve) => setTimeout(resolve, 5))
+		}]
+	});
+	await guard.whenSettled();
+
+	const form = document.getElementById("f");
+	let resubmitted = 0;
+	form.requestSubmit = () => {
+		resubmitted++;
+		// 送信し直しの submit は素通りする
+		assert.equal(submit(form).defaultPrevented, false);
+	};
+
+	attachForm(form);
+
+	document.getElementById("a").value = "changed";
+	const e = submit(form);
+	assert.equal(e.defaultPrevented, true);
+	assert.equal(guard.isPending(), true);
+
+	// 結果待ちの間の submit（二度押し）は止めて、送信し直しは1回だけ
+	assert.equal(submit(form).defaultPrevented, true);
+	assert.equal(submit(form).defaultPrevented, true);
+
+	await guard.whenSettled();
+	await new Promise((resolve) => setTimeout(resolve, 0));
+	assert.equal(resubmitted, 1);
+
+	// 送信し直した後は、また submit を受け付ける
+	document.getElementById("a").value = "again";
+	assert.equal(submit(form).defaultPrevented, true);
+	await guard.whenSettled();
+	await new Promise((resolve) => setTimeout(resolve, 0));
+	assert.equal(resubmitted, 2);
+});
+
+test("form-guard - validate / detach: 送信せずに結果を返し、detach 後は submit を監視しない", async () => {
+	setupDom(FORM_HTML);
+
+	const { attach } = await import("./text-input-guard.js");
+	const { attachForm } = await import("./form-guard.js");
+
+	attach(document.getElementById("b"), { rules: [ruleRequired()] });
+
+	const formGuard = attachForm(document.getElementById("f"));
+	assert.equal(formGuard.getGuards().length, 1);
+
+	const result = await formGuard.validate();
+	assert.equal(result.isValid, false);
+	assert.equal(result.invalidFields[0].name, "b");
+
+	formGuard.detach();
+	const e = submit(document.getElementById("f"));
+	assert.equal(e.defaultPrevented, false);
+});
+
+test("form-guard - attachForm: form 以外を渡すと TypeError", async () => {
+	setupDom(FORM_HTML);
+
+	const { attachForm } = await import("./form-guard.js");
+
+	assert.throws(() => attachForm(document.getElementById("a")), TypeError);
+});
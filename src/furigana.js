@@ -0,0 +1,203 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+/**
+ * @typedef {import("./text-input-guard.js").Guard} Guard
+ */
+
+/**
+ * linkFurigana() に渡す設定オプション
+ * @typedef {Object} LinkFuriganaOptions
+ * @property {boolean} [clearOnEmpty=true] - 氏名欄が空になったらフリガナ欄も空にする
+ */
+
+/**
+ * linkFurigana() が返す公開API
+ * @typedef {Object} FuriganaLink
+ * @property {() => void} detach - 連携を解除（各 Guard は detach しない）
+ */
+
+/**
+ * 変換前の読みとして扱える文字（ひらがな・カタカナ・長音・空白）
+ */
+const READING_PATTERN = /^[ぁ-ゖァ-ヺー\s]+$/;
+
+/**
+ * 氏名欄の IME 入力から読みを拾い、フリガナ欄へ追記する
+ * - compositionupdate のうち、かなだけの状態を「変換前の読み」として覚えておく
+ * - compositionend で確定した文字があれば、覚えておいた読みをフリガナ欄の末尾へ追記する
+ * - かなへの変換はフリガナ欄のルール（kana の target など）に任せる
+ */
+class InputGuardFurigana {
+	/**
+	 * @param {Guard} nameGuard
+	 * @param {Guard} readingGuard
+	 * @param {LinkFuriganaOptions} options
+	 */
+	constructor(nameGuard, readingGuard, options) {
+		/**
+		 * 読みを拾う氏名欄の Guard
+		 * @type {Guard}
+		 */
+		this.nameGuard = nameGuard;
+
+		/**
+		 * 読みを追記するフリガナ欄の Guard
+		 * @type {Guard}
+		 */
+		this.readingGuard = readingGuard;
+
+		/**
+		 * 氏名欄が空になったらフリガナ欄も空にするか
+		 * @type {boolean}
+		 */
+		this.clearOnEmpty = options.clearOnEmpty ?? true;
+
+		/**
+		 * 変換中の読み（最後に見えた、かなだけの変換中文字列）
+		 * @type {string}
+		 */
+		this.reading = "";
+
+		/**
+		 * イベントを登録した要素（swap時は display 側）
+		 * @type {HTMLElement}
+		 */
+		this.element = /** @type {HTMLElement} */ (nameGuard.getDisplayElement());
+
+		/**
+		 * IME開始イベントハンドラ（this固定）
+		 */
+		this.onCompositionStart = this.onCompositionStart.bind(this);
+
+		/**
+		 * IME変換中イベントハンドラ（this固定）
+		 */
+		this.onCompositionUpdate = this.onCompositionUpdate.bind(this);
+
+		/**
+		 * IME終了イベントハンドラ（this固定）
+		 */
+		this.onCompositionEnd = this.onCompositionEnd.bind(this);
+
+		/**
+		 * inputイベントハンドラ（this固定）
+		 */
+		this.onInput = this.onInput.bind(this);
+	}
+
+	/**
+	 * イベントの監視を開始する
+	 * @returns {void}
+	 */
+	bindEvents() {
+		this.element.addEventListener("compositionstart", this.onCompositionStart);
+		this.element.addEventListener("compositionupdate", this.onCompositionUpdate);
+		this.element.addEventListener("compositionend", this.onCompositionEnd);
+		this.element.addEventListener("input", this.onInput);
+	}
+
+	/**
+	 * イベントの監視を解除する
+	 * @returns {void}
+	 */
+	unbindEvents() {
+		this.element.removeEventListener("compositionstart", this.onCompositionStart);
+		this.element.removeEventListener("compositionupdate", this.onCompositionUpdate);
+		this.element.removeEventListener("compositionend", this.onCompositionEnd);
+		this.element.removeEventListener("input", this.onInput);
+	}
+
+	/**
+	 * IME変換開始：読みをリセットする
+	 * @returns {void}
+	 */
+	onCompositionStart() {
+		this.reading = "";
+	}
+
+	/**
+	 * IME変換中：かなだけの間は読みとして覚える（漢字に変換された後の値は無視する）
+	 * @param {Event} e
+	 * @returns {void}
+	 */
+	onCompositionUpdate(e) {
+		const data = /** @type {CompositionEvent} */ (e).data;
+		if (typeof data === "string" && READING_PATTERN.test(data)) {
+			this.reading = data;
+		}
+	}
+
+	/**
+	 * IME変換終了：確定した文字があれば読みをフリガナ欄へ追記する
+	 * - かなのまま確定した場合は、確定した文字をそのまま読みにする
+	 * @param {Event} e
+	 * @returns {void}
+	 */
+	onCompositionEnd(e) {
+		const data = /** @type {CompositionEvent} */ (e).data;
+		const reading = typeof data === "string" && READING_PATTERN.test(data) ? data : this.reading;
+		this.reading = "";
+
+		// 変換をキャンセルした場合は何もしない
+		if (!data || !reading) {
+			return;
+		}
+		this.append(reading);
+	}
+
+	/**
+	 * input：氏名欄が空になったらフリガナ欄も空にする
+	 * @returns {void}
+	 */
+	onInput() {
+		if (!this.clearOnEmpty) {
+			return;
+		}
+		if (this.nameGuard.getRawValue() === "" && this.readingGuard.getRawValue() !== "") {
+			this.readingGuard.setValue("", "commit");
+		}
+	}
+
+	/**
+	 * フリガナ欄の末尾へ追記する（手で直した内容はそのまま残す）
+	 * - setValue で評価させるので、フリガナ欄のルールで変換される
+	 * @param {string} reading
+	 * @returns {void}
+	 */
+	append(reading) {
+		this.readingGuard.setValue(this.readingGuard.getRawValue() + reading, "commit");
+	}
+
+	/**
+	 * 外部に公開する FuriganaLink API を生成して返す
+	 * @returns {FuriganaLink}
+	 */
+	getLink() {
+		return {
+			detach: () => this.unbindEvents()
+		};
+	}
+}
+
+/**
+ * 氏名欄の IME 入力から読みを拾い、フリガナ欄へ自動で追記する
+ * - 変換前のかなを拾うので、氏名欄はキーボードで IME 入力されることが前提
+ * - フリガナ欄は手で編集してもよい（追記は常に末尾）
+ * @param {Guard} nameGuard - 氏名欄の Guard
+ * @param {Guard} readingGuard - フリガナ欄の Guard
+ * @param {LinkFuriganaOptions} [options]
+ * @returns {FuriganaLink}
+ */
+export function linkFurigana(nameGuard, readingGuard, options = {}) {
+	const link = new InputGuardFurigana(nameGuard, readingGuard, options);
+	link.bindEvents();
+	return link.getLink();
+}
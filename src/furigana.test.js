@@ -0,0 +1,133 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+import { JSDOM } from "jsdom";
+
+// DOM のクラスを参照するので、先に global に注入する
+function setupDom(html) {
+	const dom = new JSDOM(`<!doctype html><html><body>${html}</body></html>`, {
+		url: "http://localhost/"
+	});
+
+	globalThis.window = dom.window;
+	globalThis.document = dom.window.document;
+
+	globalThis.HTMLElement = dom.window.HTMLElement;
+	globalThis.HTMLInputElement = dom.window.HTMLInputElement;
+	globalThis.HTMLTextAreaElement = dom.window.HTMLTextAreaElement;
+	globalThis.InputEvent = dom.window.InputEvent;
+	globalThis.KeyboardEvent = dom.window.KeyboardEvent;
+
+	return dom;
+}
+
+// テスト用：IME で reading を入力し、committed に変換して確定する
+function typeWithIme(el, readingSteps, committed) {
+	el.dispatchEvent(new window.CompositionEvent("compositionstart", { data: "" }));
+	for (const data of readingSteps) {
+		el.dispatchEvent(new window.CompositionEvent("compositionupdate", { data }));
+	}
+	if (committed !== readingSteps[readingSteps.length - 1]) {
+		el.dispatchEvent(new window.CompositionEvent("compositionupdate", { data: committed }));
+	}
+	el.value += committed;
+	el.dispatchEvent(new window.CompositionEvent("compositionend", { data: committed }));
+	el.dispatchEvent(new window.Event("input", { bubbles: true }));
+}
+
+// テスト用：全選択して Backspace で消す
+function clearByBackspace(el) {
+	el.setSelectionRange(0, el.value.length);
+	el.dispatchEvent(new window.InputEvent("beforeinput", { bubbles: true, cancelable: true, inputType: "deleteContentBackward" }));
+	el.value = "";
+	el.dispatchEvent(new window.InputEvent("input", { bubbles: true, inputType: "deleteContentBackward" }));
+}
+
+const HTML = `
+<input id="name" type="text" value="">
+<input id="reading" type="text" value="">`;
+
+test("furigana - 変換前のかなをフリガナ欄へ追記し、フリガナ欄のルールで変換する", async () => {
+	setupDom(HTML);
+
+	const { attach } = await import("./text-input-guard.js");
+	const { linkFurigana } = await import("./furigana.js");
+	const { kana } = await import("./rules/kana.js");
+
+	const name = attach(document.getElementById("name"));
+	const reading = attach(document.getElementById("reading"), { rules: [kana({ target: "katakana-full" })] });
+	linkFurigana(name, reading);
+
+	typeWithIme(document.getElementById("name"), ["y", "や", "やm", "やま", "やまだ"], "山田");
+	assert.equal(reading.getRawValue(), "ヤマダ");
+
+	// 全角スペースはかなのまま確定（フリガナ欄の kana ルールで半角になる）
+	typeWithIme(document.getElementById("name"), ["　"], "　");
+	typeWithIme(document.getElementById("name"), ["た", "たろう"], "太郎");
+	assert.equal(name.getRawValue(), "山田　太郎");
+	assert.equal(reading.getRawValue(), "ヤマダ タロウ");
+});
+
+test("furigana - フリガナ欄は手で直せて、追記は末尾に行う", async () => {
+	setupDom(HTML);
+
+	const { attach } = await import("./text-input-guard.js");
+	const { linkFurigana } = await import("./furigana.js");
+	const { kana } = await import("./rules/kana.js");
+
+	const name = attach(document.getElementById("name"));
+	const reading = attach(document.getElementById("reading"), { rules: [kana({ target: "hiragana" })] });
+	linkFurigana(name, reading);
+
+	typeWithIme(document.getElementById("name"), ["しょうじ"], "東海林");
+	assert.equal(reading.getRawValue(), "しょうじ");
+
+	// 手で直す
+	reading.setValue("とうかいりん");
+	typeWithIme(document.getElementById("name"), ["さん"], "さん");
+	assert.equal(reading.getRawValue(), "とうかいりんさん");
+});
+
+test("furigana - 変換をキャンセルしたら追記しない／氏名欄が空になったら空にする", async () => {
+	setupDom(HTML);
+
+	const { attach } = await import("./text-input-guard.js");
+	const { linkFurigana } = await import("./furigana.js");
+
+	const name = attach(document.getElementById("name"));
+	const reading = attach(document.getElementById("reading"));
+	const link = linkFurigana(name, reading);
+
+	const el = document.getElementById("name");
+	el.dispatchEvent(new window.CompositionEvent("compositionstart", { data: "" }));
+	el.dispatchEvent(new window.CompositionEvent("compositionupdate", { data: "やま" }));
+	el.dispatchEvent(new window.CompositionEvent("compositionend", { data: "" }));
+	assert.equal(reading.getRawValue(), "");
+
+	typeWithIme(el, ["やま"], "山");
+	assert.equal(reading.getRawValue(), "やま");
+
+	clearByBackspace(el);
+	assert.equal(reading.getRawValue(), "");
+
+	// detach 後は連携しない
+	link.detach();
+	typeWithIme(el, ["かわ"], "川");
+	assert.equal(reading.getRawValue(), "");
+});
+
+test("furigana - clearOnEmpty: false なら氏名欄を消してもフリガナ欄は残す", async () => {
+	setupDom(HTML);
+
+	const { attach } = await import("./text-input-guard.js");
+	const { linkFurigana } = await import("./furigana.js");
+
+	const name = attach(document.getElementById("name"));
+	const reading = attach(document.getElementById("reading"));
+	linkFurigana(name, reading, { clearOnEmpty: false });
+
+	const el = document.getElementById("name");
+	typeWithIme(el, ["やま"], "山");
+	clearByBackspace(el);
+	assert.equal(reading.getRawValue(), "やま");
+});
@@ -0,0 +1,20 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+/**
+ * warn が true のときだけ console.warn を出す
+ * @param {string} msg
+ * @param {boolean} warn
+ */
+export function warnLog(msg, warn) {
+	if (warn) {
+		console.warn(msg);
+	}
+}
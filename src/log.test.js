@@ -0,0 +1,16 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { warnLog } from "./log.js";
+
+test("log - warnLog: warn が true のときだけ console.warn を出す", (t) => {
+	const warn = t.mock.method(console, "warn", () => {});
+
+	warnLog("off", false);
+	assert.equal(warn.mock.callCount(), 0);
+
+	warnLog("on", true);
+	assert.equal(warn.mock.callCount(), 1);
+	assert.deepEqual(warn.mock.calls[0].arguments, ["on"]);
+});
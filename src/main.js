@@ -1,6 +1,7 @@
 /**
  * TextInputGuard - Public Entry
- * - ESM/CJS: named exports (attach / autoAttach / rules / numeric / digits / comma / version)
+ * - ESM/CJS: named exports (attach / attachForm / createPipeline / autoAttach / registerRule / rules /
+ *   numeric / digits / comma / version)
  * - UMD: exposed to global (e.g. window.TextInputGuard) with the same shape
  *
  * AUTHOR:
@@ -12,6 +13,10 @@
 
 import { attach, attachAll } from "./text-input-guard.js";
 import { InputGuardAutoAttach } from "./auto-attach.js";
+import { attachForm } from "./form-guard.js";
+import { linkFurigana } from "./furigana.js";
+import { createPipeline } from "./pipeline.js";
+import { setLocale, getLocale, setMessages, formatMessage } from "./messages.js";
 
 // rules
 import { numeric } from "./rules/numeric.js";
@@ -27,26 +32,55 @@ import { bytes } from "./rules/bytes.js";
 import { prefix } from "./rules/prefix.js";
 import { suffix } from "./rules/suffix.js";
 import { trim } from "./rules/trim.js";
+import { date } from "./rules/date.js";
+import { postalCode } from "./rules/postal-code.js";
+import { phoneJp } from "./rules/phone-jp.js";
+import { range } from "./rules/range.js";
+import { mask } from "./rules/mask.js";
+import { creditCard } from "./rules/credit-card.js";
+import { checkDigit } from "./rules/check-digit.js";
+import { zengin } from "./rules/zengin.js";
+import { wrap } from "./rules/wrap.js";
+import { lines } from "./rules/lines.js";
+import { newline } from "./rules/newline.js";
+import { forbiddenWords } from "./rules/forbidden-words.js";
+import { platformDependent } from "./rules/platform-dependent.js";
 
 // ---- individual exports (ESM/CJS) ----
 // eslint-disable-next-line max-len
-export { attach, attachAll, numeric, digits, comma, imeOff, kana, ascii, filter, length, width, bytes, prefix, suffix, trim };
+export { attach, attachAll, attachForm, linkFurigana, createPipeline, numeric, digits, comma, imeOff, kana, ascii, filter, length, width, bytes, prefix, suffix, trim, date, postalCode, phoneJp, range, mask, creditCard, checkDigit, zengin, wrap, lines, newline, forbiddenWords, platformDependent };
+
+// ---- messages ----
+export { setLocale, getLocale, setMessages, formatMessage };
 
 // ---- autoAttach ----
 const auto = new InputGuardAutoAttach(attach, [
 	{ name: "numeric", fromDataset: numeric.fromDataset },
+	{ name: "range", fromDataset: range.fromDataset },
 	{ name: "digits", fromDataset: digits.fromDataset },
 	{ name: "comma", fromDataset: comma.fromDataset },
 	{ name: "imeOff", fromDataset: imeOff.fromDataset },
 	{ name: "kana", fromDataset: kana.fromDataset },
 	{ name: "ascii", fromDataset: ascii.fromDataset },
 	{ name: "filter", fromDataset: filter.fromDataset },
+	{ name: "newline", fromDataset: newline.fromDataset },
 	{ name: "length", fromDataset: length.fromDataset },
 	{ name: "width", fromDataset: width.fromDataset },
 	{ name: "bytes", fromDataset: bytes.fromDataset },
 	{ name: "prefix", fromDataset: prefix.fromDataset },
 	{ name: "suffix", fromDataset: suffix.fromDataset },
-	{ name: "trim", fromDataset: trim.fromDataset }
+	{ name: "trim", fromDataset: trim.fromDataset },
+	{ name: "date", fromDataset: date.fromDataset },
+	{ name: "postalCode", fromDataset: postalCode.fromDataset },
+	{ name: "phoneJp", fromDataset: phoneJp.fromDataset },
+	{ name: "mask", fromDataset: mask.fromDataset },
+	{ name: "creditCard", fromDataset: creditCard.fromDataset },
+	{ name: "checkDigit", fromDataset: checkDigit.fromDataset },
+	{ name: "zengin", fromDataset: zengin.fromDataset },
+	{ name: "wrap", fromDataset: wrap.fromDataset },
+	{ name: "lines", fromDataset: lines.fromDataset },
+	{ name: "forbiddenWords", fromDataset: forbiddenWords.fromDataset },
+	{ name: "platformDependent", fromDataset: platformDependent.fromDataset }
 ]);
 
 /**
@@ -55,6 +89,28 @@ const auto = new InputGuardAutoAttach(attach, [
  */
 export const autoAttach = (root) => auto.autoAttach(root);
 
+/**
+ * root 配下を監視し、追加/削除/data属性の変更に合わせて attach / detach し続ける
+ * @param {Document|DocumentFragment|ShadowRoot|Element} [root=document]
+ */
+autoAttach.observe = (root) => auto.observe(root);
+
+/**
+ * 独自ルールを登録して、autoAttach の `data-tig-rules-*` から使えるようにする
+ * - 同名のルールが登録済みの場合は Error（`replace: true` で置き換え）
+ * - `before` / `after` で組み込みルールとの実行順を指定できる（省略時は末尾）
+ * @param {import("./auto-attach.js").RuleFactory} factory
+ * @param {import("./auto-attach.js").RegisterRuleOptions} [options]
+ * @returns {void}
+ */
+export const registerRule = (factory, options) => auto.register(factory, options);
+
+/**
+ * autoAttach で使われるルール名を実行順で返す
+ * @returns {string[]}
+ */
+export const getRegisteredRules = () => auto.getRuleNames();
+
 /**
  * ルール生成関数の名前空間（rules.xxx(...) で使う）
  */
@@ -71,7 +127,20 @@ export const rules = {
 	bytes,
 	prefix,
 	suffix,
-	trim
+	trim,
+	date,
+	postalCode,
+	phoneJp,
+	range,
+	mask,
+	creditCard,
+	checkDigit,
+	zengin,
+	wrap,
+	lines,
+	newline,
+	forbiddenWords,
+	platformDependent
 };
 
 /**
@@ -88,7 +157,16 @@ export const version = typeof __VERSION__ !== "undefined" ? __VERSION__ : "dev";
 export const TextInputGuard = {
 	attach,
 	attachAll,
+	attachForm,
+	linkFurigana,
+	createPipeline,
 	autoAttach,
+	registerRule,
+	getRegisteredRules,
+	setLocale,
+	getLocale,
+	setMessages,
+	formatMessage,
 	rules,
 	numeric,
 	digits,
@@ -103,5 +181,18 @@ export const TextInputGuard = {
 	prefix,
 	suffix,
 	trim,
+	date,
+	postalCode,
+	phoneJp,
+	range,
+	mask,
+	creditCard,
+	checkDigit,
+	zengin,
+	wrap,
+	lines,
+	newline,
+	forbiddenWords,
+	platformDependent,
 	version
 };
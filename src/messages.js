@@ -0,0 +1,261 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+/**
+ * @typedef {import("./text-input-guard.js").TigError} TigError
+ */
+
+/**
+ * エラーメッセージのテンプレート
+ * - 文字列の場合は `{limit}` のように detail のプロパティを埋め込める
+ * - 関数の場合は detail とエラー本体を受け取って文字列を返す
+ * @typedef {string | ((detail: any, error: TigError) => string)} MessageTemplate
+ */
+
+/**
+ * エラーコードとメッセージの対応表（例: { "digits.int_overflow": "整数部は{limit}桁以内で入力してください" }）
+ * @typedef {Record<string, MessageTemplate>} MessageCatalog
+ */
+
+/**
+ * formatMessage() に渡すオプション
+ * @typedef {Object} FormatMessageOptions
+ * @property {string} [locale] - 使用するロケール（未指定なら setLocale() の値）
+ * @property {MessageCatalog} [messages] - 優先して使うメッセージ（Guard単位の上書きなど）
+ */
+
+/**
+ * 組み込みのメッセージ（日本語）
+ * @type {MessageCatalog}
+ */
+const JA = {
+	"length.max_overflow": "{limit}文字以内で入力してください（現在{actual}文字）",
+	"width.max_overflow": "半角{limit}文字分以内で入力してください（現在{actual}文字分）",
+	"bytes.max_overflow": "{limit}バイト以内で入力してください（現在{actual}バイト）",
+	"digits.int_overflow": "整数部は{limit}桁以内で入力してください（現在{actual}桁）",
+	"digits.frac_overflow": "小数部は{limit}桁以内で入力してください（現在{actual}桁）",
+	"filter.invalid_char": "使用できない文字が含まれています：{chars}",
+	"numeric.invalid_kanji": "漢数字を数値として読み取れません：{value}",
+	"numeric.decimal_not_allowed": "小数は入力できません：{value}",
+	"date.invalid": "正しい日付を入力してください",
+	"date.min_underflow": "{limit}以降の日付を入力してください",
+	"date.max_overflow": "{limit}以前の日付を入力してください",
+	"postalCode.max_overflow": "郵便番号は{limit}桁で入力してください（現在{actual}桁）",
+	"postalCode.min_underflow": "郵便番号は{limit}桁で入力してください（現在{actual}桁）",
+	"phoneJp.invalid": "電話番号として正しくありません",
+	"phoneJp.max_overflow": "電話番号は{limit}桁で入力してください（現在{actual}桁）",
+	"phoneJp.min_underflow": "電話番号は{limit}桁で入力してください（現在{actual}桁）",
+	"range.min": "{limit}以上の値を入力してください",
+	"range.max": "{limit}以下の値を入力してください",
+	"range.step": "{step}刻みの値を入力してください",
+	"mask.incomplete": "{required}文字すべて入力してください（現在{filled}文字）",
+	"creditCard.invalid_brand": "利用できないカード番号です",
+	"creditCard.max_overflow": "カード番号は{limit}桁以内で入力してください（現在{actual}桁）",
+	"creditCard.invalid_length": "カード番号の桁数が正しくありません（現在{actual}桁）",
+	"creditCard.checksum": "カード番号が正しくありません",
+	"checkDigit.max_overflow": "{limit}桁以内で入力してください（現在{actual}桁）",
+	"checkDigit.invalid_length": "桁数が正しくありません（現在{actual}桁）",
+	"checkDigit.mismatch": "番号が正しくありません（チェックディジットが一致しません）",
+	"zengin.invalid_char": "振込に使えない文字が含まれています：{chars}",
+	"lines.max_lines": "{limit}行以内で入力してください（現在{actual}行）",
+	"lines.max_width": "{line}行目が長すぎます（1行{limit}まで、現在{actual}）",
+	"newline.not_allowed": "改行は入力できません",
+	"forbiddenWords.found": "使用できない語句が含まれています：{words}",
+	"platformDependent.invalid_char": "機種依存文字が含まれています：{chars}"
+};
+
+/**
+ * 組み込みのメッセージ（英語）
+ * @type {MessageCatalog}
+ */
+const EN = {
+	"length.max_overflow": "Please enter no more than {limit} characters (currently {actual}).",
+	"width.max_overflow": "Please enter no more than {limit} half-width columns (currently {actual}).",
+	"bytes.max_overflow": "Please enter no more than {limit} bytes (currently {actual}).",
+	"digits.int_overflow": "The integer part must be {limit} digits or fewer (currently {actual}).",
+	"digits.frac_overflow": "The decimal part must be {limit} digits or fewer (currently {actual}).",
+	"filter.invalid_char": "Contains characters that are not allowed: {chars}",
+	"numeric.invalid_kanji": "Could not read the kanji numeral as a number: {value}",
+	"numeric.decimal_not_allowed": "Decimals are not allowed: {value}",
+	"date.invalid": "Please enter a valid date.",
+	"date.min_underflow": "Please enter a date on or after {limit}.",
+	"date.max_overflow": "Please enter a date on or before {limit}.",
+	"postalCode.max_overflow": "The postal code must be {limit} digits (currently {actual}).",
+	"postalCode.min_underflow": "The postal code must be {limit} digits (currently {actual}).",
+	"phoneJp.invalid": "Please enter a valid phone number.",
+	"phoneJp.max_overflow": "The phone number must be {limit} digits (currently {actual}).",
+	"phoneJp.min_underflow": "The phone number must be {limit} digits (currently {actual}).",
+	"range.min": "Please enter a value of {limit} or more.",
+	"range.max": "Please enter a value of {limit} or less.",
+	"range.step": "Please enter a value in steps of {step}.",
+	"mask.incomplete": "Please fill in all {required} characters (currently {filled}).",
+	"creditCard.invalid_brand": "This card number is not accepted.",
+	"creditCard.max_overflow": "The card number must be {limit} digits or fewer (currently {actual}).",
+	"creditCard.invalid_length": "The card number has the wrong number of digits (currently {actual}).",
+	"creditCard.checksum": "Please enter a valid card number.",
+	"checkDigit.max_overflow": "Please enter no more than {limit} digits (currently {actual}).",
+	"checkDigit.invalid_length": "The number has the wrong number of digits (currently {actual}).",
+	"checkDigit.mismatch": "Please enter a valid number (the check digit does not match).",
+	"zengin.invalid_char": "Contains characters that cannot be used for bank transfers: {chars}",
+	"lines.max_lines": "Please enter no more than {limit} lines (currently {actual}).",
+	"lines.max_width": "Line {line} is too long (up to {limit} per line, currently {actual}).",
+	"newline.not_allowed": "Line breaks are not allowed.",
+	"forbiddenWords.found": "Contains words that are not allowed: {words}",
+	"platformDependent.invalid_char": "Contains platform-dependent characters: {chars}"
+};
+
+/**
+ * 組み込みのメッセージ一覧（ロケール → カタログ）
+ * @type {Record<string, MessageCatalog>}
+ */
+const BUILTIN_CATALOGS = {
+	ja: JA,
+	en: EN
+};
+
+/**
+ * setMessages() で登録された上書き用メッセージ（ロケール → カタログ）
+ * @type {Record<string, MessageCatalog>}
+ */
+const customCatalogs = {};
+
+/**
+ * 既定のロケール
+ * @type {string}
+ */
+let currentLocale = "ja";
+
+/**
+ * 既定のロケールを設定する
+ * @param {string} locale - 例: "ja" / "en" / "en-US"
+ * @returns {void}
+ */
+export function setLocale(locale) {
+	currentLocale = String(locale);
+}
+
+/**
+ * 既定のロケールを取得する
+ * @returns {string}
+ */
+export function getLocale() {
+	return currentLocale;
+}
+
+/**
+ * 指定ロケールのメッセージを追加/上書きする（全 Guard に効く）
+ * - 組み込みに無いロケールを追加することもできる
+ * - 同じコードを再度登録した場合は後勝ち
+ * @param {string} locale
+ * @param {MessageCatalog} messages
+ * @returns {void}
+ */
+export function setMessages(locale, messages) {
+	const key = String(locale);
+	customCatalogs[key] = { ...customCatalogs[key], ...messages };
+}
+
+/**
+ * ロケールの探索順を作る（"en-US" → "en-US", "en" → 最後に "en"）
+ * @param {string} locale
+ * @returns {string[]}
+ */
+function getLocaleChain(locale) {
+	/** @type {string[]} */
+	const chain = [locale];
+	const base = locale.split("-")[0];
+	if (base && !chain.includes(base)) {
+		chain.push(base);
+	}
+	if (!chain.includes("en")) {
+		chain.push("en");
+	}
+	return chain;
+}
+
+/**
+ * コードに対応するテンプレートを探す
+ * - 優先順: options.messages → setMessages() の登録 → 組み込み（ロケールの探索順ごと）
+ * @param {string} code
+ * @param {string} locale
+ * @param {MessageCatalog|undefined} messages
+ * @returns {MessageTemplate|undefined}
+ */
+function findTemplate(code, locale, messages) {
+	if (messages && Object.prototype.hasOwnProperty.call(messages, code)) {
+		return messages[code];
+	}
+	for (const loc of getLocaleChain(locale)) {
+		const custom = customCatalogs[loc];
+		if (custom && Object.prototype.hasOwnProperty.call(custom, code)) {
+			return custom[code];
+		}
+		const builtin = BUILTIN_CATALOGS[loc];
+		if (builtin && Object.prototype.hasOwnProperty.call(builtin, code)) {
+			return builtin[code];
+		}
+	}
+	return;
+}
+
+/**
+ * detail の値を埋め込み用の文字列にする
+ * - 配列はロケールに合わせた区切り文字で連結する
+ * @param {any} value
+ * @param {string} locale
+ * @returns {string}
+ */
+function stringifyValue(value, locale) {
+	if (Array.isArray(value)) {
+		const separator = locale.startsWith("ja") ? "、" : ", ";
+		return value.map((v) => stringifyValue(v, locale)).join(separator);
+	}
+	if (value == null) {
+		return "";
+	}
+	return String(value);
+}
+
+/**
+ * テンプレートの `{name}` を detail の値で置き換える
+ * - detail に無い名前はそのまま残す（テンプレートの誤りに気付けるように）
+ * @param {string} template
+ * @param {any} detail
+ * @param {string} locale
+ * @returns {string}
+ */
+function interpolate(template, detail, locale) {
+	return template.replace(/\{(\w+)\}/g, (m, name) => {
+		if (detail == null || typeof detail !== "object" || !(name in detail)) {
+			return m;
+		}
+		return stringifyValue(detail[name], locale);
+	});
+}
+
+/**
+ * TigError を人が読めるメッセージへ変換する
+ * - 対応するメッセージが無い場合はエラーコードをそのまま返す
+ * @param {TigError} error
+ * @param {FormatMessageOptions} [options]
+ * @returns {string}
+ */
+export function formatMessage(error, options = {}) {
+	const locale = options.locale ?? currentLocale;
+	const template = findTemplate(error.code, locale, options.messages);
+
+	if (template == null) {
+		return error.code;
+	}
+	if (typeof template === "function") {
+		return String(template(error.detail, error));
+	}
+	return interpolate(String(template), error.detail, locale);
+}
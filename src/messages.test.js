@@ -0,0 +1,61 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { formatMessage, setLocale, getLocale, setMessages } from "./messages.js";
+
+const overflow = {
+	code: "digits.int_overflow",
+	rule: "digits",
+	phase: "validate",
+	detail: { limit: 8, actual: 9 }
+};
+
+test("messages - formatMessage: 既定は日本語で detail が埋め込まれる", () => {
+	assert.equal(getLocale(), "ja");
+	assert.equal(formatMessage(overflow), "整数部は8桁以内で入力してください（現在9桁）");
+});
+
+test("messages - formatMessage: locale=en で英語、地域付きロケールは言語へフォールバック", () => {
+	assert.equal(formatMessage(overflow, { locale: "en" }), "The integer part must be 8 digits or fewer (currently 9).");
+	assert.equal(formatMessage(overflow, { locale: "en-US" }), "The integer part must be 8 digits or fewer (currently 9).");
+	// 未知のロケールは英語
+	assert.equal(formatMessage(overflow, { locale: "fr" }), "The integer part must be 8 digits or fewer (currently 9).");
+});
+
+test("messages - formatMessage: 配列はロケールに合わせて連結される", () => {
+	const e = { code: "filter.invalid_char", rule: "filter", phase: "validate", detail: { chars: ["①", "㈱"] } };
+	assert.equal(formatMessage(e), "使用できない文字が含まれています：①、㈱");
+	assert.equal(formatMessage(e, { locale: "en" }), "Contains characters that are not allowed: ①, ㈱");
+});
+
+test("messages - formatMessage: 未登録のコードはコードをそのまま返し、未知の埋め込み名は残す", () => {
+	assert.equal(formatMessage({ code: "custom.unknown", rule: "custom", phase: "validate" }), "custom.unknown");
+	const e = { code: "custom.x", rule: "custom", phase: "validate", detail: { a: 1 } };
+	assert.equal(formatMessage(e, { messages: { "custom.x": "{a}/{b}" } }), "1/{b}");
+});
+
+test("messages - formatMessage: options.messages が最優先、関数テンプレートも使える", () => {
+	const messages = {
+		"digits.int_overflow": (detail, error) => `${error.rule}:${detail.limit}`
+	};
+	assert.equal(formatMessage(overflow, { messages }), "digits:8");
+});
+
+test("messages - setMessages / setLocale: 全体の上書きとロケール切り替え", () => {
+	try {
+		setMessages("ja", { "digits.int_overflow": "{limit}桁まで" });
+		assert.equal(formatMessage(overflow), "8桁まで");
+
+		// 上書きしていないコードは組み込みのまま
+		const e = { code: "bytes.max_overflow", rule: "bytes", phase: "validate", detail: { limit: 4, actual: 6 } };
+		assert.equal(formatMessage(e), "4バイト以内で入力してください（現在6バイト）");
+
+		setMessages("zh", { "digits.int_overflow": "整数部分最多{limit}位" });
+		setLocale("zh-CN");
+		assert.equal(formatMessage(overflow), "整数部分最多8位");
+	} finally {
+		setLocale("ja");
+		setMessages("ja", { "digits.int_overflow": "整数部は{limit}桁以内で入力してください（現在{actual}桁）" });
+	}
+});
@@ -0,0 +1,315 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+/**
+ * DOM を使わずにルールを実行するためのパイプライン
+ * - サーバー側（Node）での再検証など、要素が無い環境で使う
+ * - このモジュールは読み込み時に document / window へ触れない
+ */
+
+import { warnLog } from "./log.js";
+
+/**
+ * @typedef {import("./text-input-guard.js").Rule} Rule
+ * @typedef {import("./text-input-guard.js").TigError} TigError
+ * @typedef {import("./text-input-guard.js").ElementKind} ElementKind
+ * @typedef {import("./text-input-guard.js").GuardContext} GuardContext
+ * @typedef {import("./text-input-guard.js").RevertRequest} RevertRequest
+ */
+
+/**
+ * フェーズごとに振り分けたルール配列（配列の順番がフェーズ内の実行順）
+ * @typedef {Object} PhaseRules
+ * @property {Rule[]} normalizeChar - 文字単位の正規化
+ * @property {Rule[]} normalizeStructure - 構造の正規化
+ * @property {Rule[]} validate - エラー判定
+ * @property {Rule[]} validateAsync - 非同期のエラー判定
+ * @property {Rule[]} fix - 確定時の穏やか補正
+ * @property {Rule[]} format - 表示整形
+ */
+
+/**
+ * createPipeline() に渡す設定オプション
+ * @typedef {Object} PipelineOptions
+ * @property {ElementKind} [kind="input"] - どの要素種別として実行するか（targets の判定に使う）
+ * @property {boolean} [warn=true] - 非対応ルールを console.warn するか
+ */
+
+/**
+ * runInput() / runCommit() の実行結果
+ * @typedef {Object} PipelineResult
+ * @property {string} raw - 正規化済みの値（送信用の値）
+ * @property {string} display - 表示用の値（runCommit では format 後、runInput では formatOnInput のルールだけ適用）
+ * @property {TigError[]} errors - 発生したエラー一覧
+ * @property {RevertRequest|null} revert - block 系ルールが入力の取り消しを要求した場合の内容（無ければ null）
+ * @property {boolean} isValid - エラーも取り消し要求も無い場合は true
+ */
+
+/**
+ * createPipeline() が返す公開API
+ * @typedef {Object} Pipeline
+ * @property {(value: string) => PipelineResult} runInput - 入力中評価 normalize→validate
+ * @property {(value: string) => PipelineResult} runCommit - 確定評価 normalize→validate→fix→validate→format
+ */
+
+/**
+ * rules をフェーズ別に振り分ける
+ * - targets が合わないルールは warn してスキップ
+ * @param {Rule[]} rules
+ * @param {ElementKind} kind
+ * @param {boolean} warn
+ * @returns {PhaseRules}
+ */
+export function splitRulesByPhase(rules, kind, warn) {
+	/** @type {PhaseRules} */
+	const phases = {
+		normalizeChar: [],
+		normalizeStructure: [],
+		validate: [],
+		validateAsync: [],
+		fix: [],
+		format: []
+	};
+
+	for (const rule of rules) {
+		if (!rule.targets.includes(kind)) {
+			warnLog(`[text-input-guard] Rule "${rule.name}" is not supported for <${kind}>. skipped.`, warn);
+			continue;
+		}
+
+		if (rule.normalizeChar) {
+			phases.normalizeChar.push(rule);
+		}
+		if (rule.normalizeStructure) {
+			phases.normalizeStructure.push(rule);
+		}
+		if (rule.validate) {
+			phases.validate.push(rule);
+		}
+		if (rule.validateAsync) {
+			phases.validateAsync.push(rule);
+		}
+		if (rule.fix) {
+			phases.fix.push(rule);
+		}
+		if (rule.format) {
+			phases.format.push(rule);
+		}
+	}
+
+	return phases;
+}
+
+/**
+ * DOM を使わないパイプラインの実体
+ */
+class HeadlessPipeline {
+	/**
+	 * @param {Rule[]} rules
+	 * @param {PipelineOptions} options
+	 */
+	constructor(rules, options) {
+		/**
+		 * 要素種別
+		 * @type {ElementKind}
+		 */
+		this.kind = options.kind ?? "input";
+
+		/**
+		 * warnログを出すかどうか
+		 * @type {boolean}
+		 */
+		this.warn = options.warn ?? true;
+
+		/**
+		 * フェーズ別のルール配列
+		 * @type {PhaseRules}
+		 */
+		this.phases = splitRulesByPhase(Array.isArray(rules) ? rules : [], this.kind, this.warn);
+
+		/**
+		 * 実行中に積まれたエラー
+		 * @type {TigError[]}
+		 */
+		this.errors = [];
+
+		/**
+		 * 実行中に出た取り消し要求（最初の1件）
+		 * @type {RevertRequest|null}
+		 */
+		this.revertRequest = null;
+	}
+
+	/**
+	 * ルールに渡すコンテキストを作る
+	 * - 要素は存在しないので DOM 参照は null
+	 * - 空の入力欄へ value 全体を入力した扱いにする
+	 * @param {string} value
+	 * @param {"input"|"commit"} source
+	 * @returns {GuardContext}
+	 */
+	createCtx(value, source) {
+		return {
+			hostElement: /** @type {any} */ (null),
+			displayElement: /** @type {any} */ (null),
+			rawElement: null,
+			kind: this.kind,
+			warn: this.warn,
+			invalidClass: "",
+			composing: false,
+			source,
+			inputType: "insertText",
+			beforeText: "",
+			previousText: "",
+			replaceStart: 0,
+			replaceEnd: 0,
+			insertedText: value,
+			afterText: value,
+			pushError: (e) => this.errors.push(e),
+			requestRevert: (req) => {
+				// 1回でもrevert要求が出たら採用（最初の理由を保持）
+				if (!this.revertRequest) {
+					this.revertRequest = req;
+				}
+			}
+		};
+	}
+
+	/**
+	 * 指定フェーズのルールを順に適用する（値を返すフェーズ用）
+	 * @param {"normalizeChar"|"normalizeStructure"|"fix"|"format"} phase
+	 * @param {string} value
+	 * @param {GuardContext} ctx
+	 * @returns {string}
+	 */
+	runPhase(phase, value, ctx) {
+		let v = value;
+		for (const rule of this.phases[phase]) {
+			const fn = rule[phase];
+			v = fn ? fn(v, ctx) : v;
+		}
+		return v;
+	}
+
+	/**
+	 * validate フェーズを実行する（エラーと取り消し要求は積み直す）
+	 * @param {string} value
+	 * @param {GuardContext} ctx
+	 * @returns {void}
+	 */
+	runValidate(value, ctx) {
+		this.errors = [];
+		this.revertRequest = null;
+		for (const rule of this.phases.validate) {
+			if (rule.validate) {
+				rule.validate(value, ctx);
+			}
+		}
+	}
+
+	/**
+	 * 実行結果を組み立てる
+	 * @param {string} raw
+	 * @param {string} display
+	 * @returns {PipelineResult}
+	 */
+	createResult(raw, display) {
+		return {
+			raw,
+			display,
+			errors: this.errors,
+			revert: this.revertRequest,
+			isValid: this.errors.length === 0 && this.revertRequest == null
+		};
+	}
+
+	/**
+	 * 入力中評価（normalize.char → normalize.structure → validate）
+	 * @param {string} value
+	 * @returns {PipelineResult}
+	 */
+	runInput(value) {
+		const ctx = this.createCtx(String(value ?? ""), "input");
+
+		let raw = this.runPhase("normalizeChar", ctx.afterText, ctx);
+		raw = this.runPhase("normalizeStructure", raw, ctx);
+		ctx.afterText = raw;
+
+		this.runValidate(raw, ctx);
+
+		// formatOnInput のルールだけは入力中の表示にも使う
+		let display = raw;
+		for (const rule of this.phases.format) {
+			if (rule.formatOnInput && rule.format) {
+				display = rule.format(display, ctx);
+			}
+		}
+
+		return this.createResult(raw, display);
+	}
+
+	/**
+	 * 確定評価（normalize.char → normalize.structure → validate → fix → validate → format）
+	 * - block 系ルールの取り消し要求が出た場合は fix / format をせずに返す
+	 * @param {string} value
+	 * @returns {PipelineResult}
+	 */
+	runCommit(value) {
+		const ctx = this.createCtx(String(value ?? ""), "commit");
+
+		// 1) 正規化
+		let raw = this.runPhase("normalizeChar", ctx.afterText, ctx);
+		raw = this.runPhase("normalizeStructure", raw, ctx);
+		ctx.afterText = raw;
+
+		// 2) 入力内容の検査（fix前）
+		this.runValidate(raw, ctx);
+		if (this.revertRequest) {
+			return this.createResult(raw, raw);
+		}
+
+		// 3) commitのみの補正
+		raw = this.runPhase("fix", raw, ctx);
+
+		// 4) 最終rawで検査し直す
+		this.runValidate(raw, ctx);
+		if (this.revertRequest) {
+			return this.createResult(raw, raw);
+		}
+
+		// 5) 表示用は format 後
+		const display = this.runPhase("format", raw, ctx);
+
+		return this.createResult(raw, display);
+	}
+
+	/**
+	 * 外部に公開する Pipeline API を生成して返す
+	 * @returns {Pipeline}
+	 */
+	getPipeline() {
+		return {
+			runInput: (value) => this.runInput(value),
+			runCommit: (value) => this.runCommit(value)
+		};
+	}
+}
+
+/**
+ * DOM を使わずにルールを実行するパイプラインを作る
+ * - attach() と同じフェーズ順でルールを実行する
+ * - validateAsync は実行しない（必要なら呼び出し側で行う）
+ * @param {Rule[]} rules
+ * @param {PipelineOptions} [options]
+ * @returns {Pipeline}
+ */
+export function createPipeline(rules, options = {}) {
+	return new HeadlessPipeline(rules, options).getPipeline();
+}
@@ -0,0 +1,109 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+// DOM を用意せずに読み込めること自体もテスト対象
+import { createPipeline } from "./pipeline.js";
+import { numeric, digits, comma, length } from "./main.js";
+
+test("pipeline - import: document / window が無くても読み込める", () => {
+	assert.equal(typeof globalThis.document, "undefined");
+	assert.equal(typeof createPipeline, "function");
+});
+
+test("pipeline - runCommit: normalize → validate → fix → format の順で raw と display を返す", () => {
+	const pipeline = createPipeline([
+		numeric({ allowFullWidth: true, allowMinus: true, allowDecimal: true }),
+		digits({ int: 6, frac: 2, modeFrac: "error", fixFracOnBlur: "truncate" }),
+		comma()
+	]);
+
+	const result = pipeline.runCommit("－１２３４５．６７８");
+	assert.equal(result.raw, "-12345.67");
+	assert.equal(result.display, "-12,345.67");
+	assert.deepEqual(result.errors, []);
+	assert.equal(result.revert, null);
+	assert.equal(result.isValid, true);
+});
+
+test("pipeline - runInput: fix / format はせずにエラーだけ返す", () => {
+	const pipeline = createPipeline([
+		numeric({ allowDecimal: true }),
+		digits({ int: 6, frac: 2, modeFrac: "error", fixFracOnBlur: "truncate" }),
+		comma()
+	]);
+
+	const result = pipeline.runInput("12345.678");
+	assert.equal(result.raw, "12345.678");
+	assert.equal(result.display, "12345.678");
+	assert.equal(result.isValid, false);
+	assert.equal(result.errors.length, 1);
+	assert.equal(result.errors[0].code, "digits.frac_overflow");
+});
+
+test("pipeline - block 系ルールの取り消し要求は revert として返し、invalid 扱いにする", () => {
+	const pipeline = createPipeline([numeric(), digits({ int: 3 })]);
+
+	const result = pipeline.runCommit("12345");
+	assert.equal(result.isValid, false);
+	assert.deepEqual(result.errors, []);
+	assert.equal(result.revert.reason, "digits.int_overflow");
+});
+
+test("pipeline - 空の入力欄へ全体を入力した扱いで実行する（block の length は切り詰める）", () => {
+	const pipeline = createPipeline([length({ max: 3 })]);
+
+	assert.equal(pipeline.runInput("abcdef").raw, "abc");
+});
+
+test("pipeline - kind に対応しないルールはスキップする", () => {
+	const rule = {
+		name: "onlyTextarea",
+		targets: ["textarea"],
+		normalizeChar: (v) => v.toUpperCase()
+	};
+
+	assert.equal(createPipeline([rule], { warn: false }).runCommit("abc").raw, "abc");
+	assert.equal(createPipeline([rule], { kind: "textarea" }).runCommit("abc").raw, "ABC");
+});
+
+test("pipeline - numeric の allowKanji: 漢数字を変換し、読めない値は残してエラーにする", () => {
+	const pipeline = createPipeline([numeric({ allowKanji: true }), digits({ int: 10 }), comma()]);
+
+	const ok = pipeline.runCommit("3万5千");
+	assert.equal(ok.raw, "35000");
+	assert.equal(ok.display, "35,000");
+	assert.equal(ok.isValid, true);
+
+	const ng = pipeline.runCommit("3万5");
+	assert.equal(ng.raw, "3万5");
+	assert.equal(ng.display, "3万5");
+	assert.equal(ng.errors[0].code, "numeric.invalid_kanji");
+});
+
+test("pipeline - comma の区切り方を変えても、表示を入力し直すと同じ raw に戻る", () => {
+	const cases = [
+		[numeric({ allowDecimal: true, separator: ".", decimalSeparator: "," }), comma({ separator: ".", decimalSeparator: "," })],
+		[numeric({ separator: " " }), comma({ separator: " ", groups: [3, 2] })],
+		[numeric({ allowUnits: true }), comma({ style: "unit" })],
+		[numeric(), comma({ style: "unit" })]
+	];
+
+	for (const rules of cases) {
+		const pipeline = createPipeline(rules);
+		const first = pipeline.runCommit("123456789");
+		const again = pipeline.runCommit(first.display);
+		assert.equal(first.raw, "123456789");
+		assert.equal(again.raw, "123456789", first.display);
+		assert.equal(again.display, first.display);
+	}
+});
+
+test("pipeline - comma の negativeStyle: 会計表記で表示し、入力し直しても - の raw に戻る", () => {
+	const pipeline = createPipeline([numeric({ allowMinus: true }), comma({ negativeStyle: "parentheses" })]);
+
+	const first = pipeline.runCommit("▲1234");
+	assert.equal(first.raw, "-1234");
+	assert.equal(first.display, "(1,234)");
+	assert.equal(pipeline.runCommit(first.display).raw, "-1234");
+});
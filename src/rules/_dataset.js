@@ -117,4 +117,30 @@ function parseDatasetEnumList(v, allowed, defaultValue) {
 	return /** @type {T[]} */ (result);
 }
 
-export { parseDatasetBool, parseDatasetNumber, parseDatasetEnum, parseDatasetEnumList };
+/**
+ * 文字列のカンマ区切り複数指定を解釈する
+ * - 未指定（null/undefined/空文字）の場合は defaultValue を返す
+ * - 各要素は trim し、空要素は無視
+ *
+ * @param {string|string[]|undefined|null} v
+ * @param {string[]} [defaultValue]
+ * @returns {string[]|undefined}
+ */
+function parseDatasetStringList(v, defaultValue) {
+	if (v === null || v === undefined) { return defaultValue; }
+
+	// JSオプションで配列直渡しも許可
+	if (Array.isArray(v)) {
+		return v.map((x) => String(x).trim()).filter(Boolean);
+	}
+
+	const s = String(v).trim();
+	if (s === "") { return defaultValue; }
+
+	return s
+		.split(",")
+		.map((x) => x.trim())
+		.filter(Boolean);
+}
+
+export { parseDatasetBool, parseDatasetNumber, parseDatasetEnum, parseDatasetEnumList, parseDatasetStringList };
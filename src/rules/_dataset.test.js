@@ -2,7 +2,13 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 
-import { parseDatasetBool, parseDatasetNumber, parseDatasetEnum, parseDatasetEnumList } from "./_dataset.js";
+import {
+	parseDatasetBool,
+	parseDatasetNumber,
+	parseDatasetEnum,
+	parseDatasetEnumList,
+	parseDatasetStringList
+} from "./_dataset.js";
 
 test("dataset - parseDatasetBool: 未指定(null/undefined)は undefined", () => {
 	assert.equal(parseDatasetBool(), undefined);
@@ -155,3 +161,15 @@ test("dataset - parseDatasetEnumList: 重複は除去しない（入力順のま
 
 	assert.deepEqual(parseDatasetEnumList("a,a,b,a", allowed), ["a", "a", "b", "a"]);
 });
+
+test("dataset - parseDatasetStringList: 未指定・空文字は defaultValue", () => {
+	assert.equal(parseDatasetStringList(), undefined);
+	assert.equal(parseDatasetStringList(null), undefined);
+	assert.equal(parseDatasetStringList("  "), undefined);
+	assert.deepEqual(parseDatasetStringList("", ["x"]), ["x"]);
+});
+
+test("dataset - parseDatasetStringList: カンマ区切りを trim し、空要素は無視する", () => {
+	assert.deepEqual(parseDatasetStringList(" a, b ,,c ,"), ["a", "b", "c"]);
+	assert.deepEqual(parseDatasetStringList(["a ", "", " b"]), ["a", "b"]);
+});
@@ -0,0 +1,105 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+/**
+ * 10進数の文字列を、浮動小数点を使わずに扱うためのヘルパー
+ * - 値は「整数 / 10^scale」（BigInt）で表す
+ */
+
+/**
+ * 10進数を「整数 / 10^scale」で表す
+ * @typedef {Object} Decimal
+ * @property {bigint} int
+ * @property {number} scale - 小数部の桁数（0以上）
+ */
+
+/**
+ * 10進数の文字列を Decimal にする（"-12.5" / "+3" / ".5" / "12."）
+ * - 数値として解釈できなければ null
+ * @param {string|number} value
+ * @returns {Decimal|null}
+ */
+export function parseDecimal(value) {
+	const s = String(value).trim();
+	const m = s.match(/^([+-]?)(\d*)(?:\.(\d*))?$/);
+	if (!m || (m[2] === "" && (m[3] ?? "") === "")) {
+		return null;
+	}
+	const frac = m[3] ?? "";
+	const int = BigInt(`${m[2]}${frac}` || "0");
+	return { int: m[1] === "-" ? -int : int, scale: frac.length };
+}
+
+/**
+ * Decimal の scale をそろえた整数を返す
+ * @param {Decimal} d
+ * @param {number} scale - d.scale 以上
+ * @returns {bigint}
+ */
+export function scaleTo(d, scale) {
+	return d.int * 10n ** BigInt(scale - d.scale);
+}
+
+/**
+ * Decimal に 10^exp を掛ける
+ * @param {Decimal} d
+ * @param {number} exp
+ * @returns {Decimal}
+ */
+export function shiftDecimal(d, exp) {
+	if (d.scale >= exp) {
+		return { int: d.int, scale: d.scale - exp };
+	}
+	return { int: d.int * 10n ** BigInt(exp - d.scale), scale: 0 };
+}
+
+/**
+ * Decimal 同士を足す
+ * @param {Decimal} a
+ * @param {Decimal} b
+ * @returns {Decimal}
+ */
+export function addDecimal(a, b) {
+	const scale = Math.max(a.scale, b.scale);
+	return { int: scaleTo(a, scale) + scaleTo(b, scale), scale };
+}
+
+/**
+ * Decimal 同士を比較する
+ * @param {Decimal} a
+ * @param {Decimal} b
+ * @returns {-1|0|1}
+ */
+export function compareDecimal(a, b) {
+	const scale = Math.max(a.scale, b.scale);
+	const ai = scaleTo(a, scale);
+	const bi = scaleTo(b, scale);
+	if (ai === bi) {
+		return 0;
+	}
+	return ai < bi ? -1 : 1;
+}
+
+/**
+ * Decimal を10進数の文字列にする（小数部末尾の0は落とす）
+ * @param {Decimal} d
+ * @returns {string}
+ */
+export function decimalToString(d) {
+	const negative = d.int < 0n;
+	let s = (negative ? -d.int : d.int).toString();
+	if (d.scale > 0) {
+		s = s.padStart(d.scale + 1, "0");
+		const intPart = s.slice(0, s.length - d.scale);
+		const fracPart = s.slice(s.length - d.scale).replace(/0+$/, "");
+		s = fracPart === "" ? intPart : `${intPart}.${fracPart}`;
+	}
+	return negative && s !== "0" ? `-${s}` : s;
+}
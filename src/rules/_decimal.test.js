@@ -0,0 +1,27 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { parseDecimal, compareDecimal, addDecimal, shiftDecimal, decimalToString } from "./_decimal.js";
+
+test("parseDecimal - 10進数の文字列を読み取る", () => {
+	assert.deepEqual(parseDecimal("-12.50"), { int: -1250n, scale: 2 });
+	assert.deepEqual(parseDecimal("+3"), { int: 3n, scale: 0 });
+	assert.deepEqual(parseDecimal(".5"), { int: 5n, scale: 1 });
+	assert.deepEqual(parseDecimal("12."), { int: 12n, scale: 0 });
+
+	for (const value of ["", "-", ".", "-.", "1,000", "1e3", "abc"]) {
+		assert.equal(parseDecimal(value), null, value);
+	}
+});
+
+test("compareDecimal / addDecimal / shiftDecimal / decimalToString", () => {
+	assert.equal(compareDecimal(parseDecimal("0.30"), parseDecimal("0.3")), 0);
+	assert.equal(compareDecimal(parseDecimal("-1"), parseDecimal("0")), -1);
+	assert.equal(compareDecimal(parseDecimal("12345678901234567891"), parseDecimal("12345678901234567890")), 1);
+
+	assert.equal(decimalToString(addDecimal(parseDecimal("0.1"), parseDecimal("0.2"))), "0.3");
+	assert.equal(decimalToString(shiftDecimal(parseDecimal("1.2"), 8)), "120000000");
+	assert.equal(decimalToString(parseDecimal("-0.050")), "-0.05");
+	assert.equal(decimalToString(parseDecimal("-0.0")), "0");
+});
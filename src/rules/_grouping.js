@@ -0,0 +1,102 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+/**
+ * 数値の桁区切り（3桁区切り・インド式・万/億 の単位区切り）のヘルパー
+ * - comma の表示整形と、numeric で表示値を raw に戻す処理の両方から使う
+ */
+
+/**
+ * 4桁ごとの単位（下の桁から順）
+ * @type {ReadonlyArray<string>}
+ */
+const UNITS = ["", "万", "億", "兆", "京"];
+
+/**
+ * 整数部（数字だけの文字列）を区切り文字で区切る
+ * - groups は下の桁からの桁数で、最後の値を繰り返す（[3] なら 3桁区切り、[3, 2] ならインド式）
+ * @param {string} intPart
+ * @param {string} separator
+ * @param {ReadonlyArray<number>} groups
+ * @returns {string}
+ */
+export function groupDigits(intPart, separator, groups) {
+	const parts = [];
+	let rest = intPart;
+	let i = 0;
+	while (rest.length > 0) {
+		const size = groups[Math.min(i, groups.length - 1)];
+		if (rest.length <= size) {
+			parts.unshift(rest);
+			break;
+		}
+		parts.unshift(rest.slice(-size));
+		rest = rest.slice(0, -size);
+		i++;
+	}
+	return parts.join(separator);
+}
+
+/**
+ * 整数部（数字だけの文字列）を 万/億/兆/京 の単位で区切る（"123456789" → "1億2345万6789"）
+ * - 0 の区切りは省略する（"100006789" → "1億6789"）
+ * - 京 より上の桁は 京 の前にまとめる
+ * @param {string} intPart
+ * @returns {string}
+ */
+export function groupUnits(intPart) {
+	const digits = intPart.replace(/^0+/, "");
+	if (digits === "") {
+		return intPart === "" ? "" : "0";
+	}
+
+	let out = "";
+	let rest = digits;
+	for (let i = 0; rest.length > 0; i++) {
+		const isLast = i === UNITS.length - 1;
+		const chunk = isLast ? rest : rest.slice(-4);
+		rest = isLast ? "" : rest.slice(0, -4);
+
+		const n = chunk.replace(/^0+/, "");
+		if (n !== "") {
+			out = `${n}${UNITS[i]}${out}`;
+		}
+	}
+	return out;
+}
+
+/**
+ * groupUnits で区切った表示を数値の文字列へ戻す（"1億2345万6789" → "123456789"）
+ * - 単位は大きい順・単位の間は4桁以内のものだけ受け付ける（漢数字としての読み方とは別扱い）
+ * - 単位を含まない値や、形がそろわない値は null
+ * @param {string} value - 数字・"-"・"."・単位だけの文字列
+ * @returns {string|null}
+ */
+export function parseGroupedUnits(value) {
+	const m = String(value).match(/^(-?)((?:\d+京)?(?:\d{1,4}兆)?(?:\d{1,4}億)?(?:\d{1,4}万)?)(\d{0,4})(\.\d*)?$/);
+	if (!m || m[2] === "") {
+		return null;
+	}
+
+	const chunks = new Map();
+	for (const [, n, unit] of m[2].matchAll(/(\d+)([万億兆京])/g)) {
+		chunks.set(UNITS.indexOf(unit), n);
+	}
+
+	const top = Math.max(...chunks.keys());
+	let out = chunks.get(top);
+	for (let i = top - 1; i >= 1; i--) {
+		out += (chunks.get(i) ?? "").padStart(4, "0");
+	}
+	out += m[3].padStart(4, "0");
+	out = out.replace(/^0+(?=\d)/, "");
+
+	return `${m[1]}${out}${m[4] ?? ""}`;
+}
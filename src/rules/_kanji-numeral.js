@@ -0,0 +1,302 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import { shiftDecimal, addDecimal, decimalToString } from "./_decimal.js";
+
+/**
+ * 漢数字（大字・万/億/兆の単位を含む）を10進数の文字列へ変換するヘルパー
+ * - 「3万5千」「一千二百」「1.2億」「壱萬円」のようにアラビア数字と漢数字が混ざっていてもよい
+ * - 読み方が1つに決まらないものは変換しない（null を返す）
+ */
+
+/**
+ * 数字として扱う漢字
+ * @type {Readonly<Record<string, number>>}
+ */
+const KANJI_DIGITS = {
+	〇: 0,
+	零: 0,
+	一: 1,
+	壱: 1,
+	壹: 1,
+	弌: 1,
+	二: 2,
+	弐: 2,
+	貳: 2,
+	弍: 2,
+	三: 3,
+	参: 3,
+	參: 3,
+	弎: 3,
+	四: 4,
+	肆: 4,
+	五: 5,
+	伍: 5,
+	六: 6,
+	陸: 6,
+	七: 7,
+	漆: 7,
+	柒: 7,
+	八: 8,
+	捌: 8,
+	九: 9,
+	玖: 9
+};
+
+/**
+ * 十・百・千（値は10の指数）
+ * @type {Readonly<Record<string, number>>}
+ */
+const SMALL_UNITS = {
+	十: 1,
+	拾: 1,
+	百: 2,
+	佰: 2,
+	陌: 2,
+	千: 3,
+	仟: 3,
+	阡: 3
+};
+
+/**
+ * 万・億・兆・京（値は10の指数）
+ * @type {Readonly<Record<string, number>>}
+ */
+const LARGE_UNITS = {
+	万: 4,
+	萬: 4,
+	億: 8,
+	兆: 12,
+	京: 16
+};
+
+/**
+ * 金額の前後に付く文字（変換時は取り除く）
+ * @type {ReadonlySet<string>}
+ */
+const AFFIXES = new Set(["金", "円", "圓", "也"]);
+
+/**
+ * @typedef {import("./_decimal.js").Decimal} Decimal
+ */
+
+/**
+ * 数字列（"12" / "1.2" / "一二"）を Decimal にする
+ * @param {string} s
+ * @returns {Decimal|null}
+ */
+function toDecimal(s) {
+	let digits = "";
+	let scale = -1;
+	for (const ch of s) {
+		if (ch === ".") {
+			if (scale >= 0) {
+				return null;
+			}
+			scale = 0;
+			continue;
+		}
+		digits += ch >= "0" && ch <= "9" ? ch : String(KANJI_DIGITS[ch]);
+		if (scale >= 0) {
+			scale++;
+		}
+	}
+	if (digits === "") {
+		return null;
+	}
+	return { int: BigInt(digits), scale: Math.max(scale, 0) };
+}
+
+/**
+ * 漢数字として扱う文字（数字・単位）を含むか
+ * @param {string} ch
+ * @returns {boolean}
+ */
+export function isKanjiNumeralChar(ch) {
+	return ch in KANJI_DIGITS || ch in SMALL_UNITS || ch in LARGE_UNITS;
+}
+
+/**
+ * 漢数字として扱う文字、または金額の前後に付く文字か
+ * @param {string} ch
+ * @returns {boolean}
+ */
+export function isKanjiNumeralPart(ch) {
+	return isKanjiNumeralChar(ch) || AFFIXES.has(ch);
+}
+
+/**
+ * 文字列に漢数字（数字・単位）が含まれるか
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function hasKanjiNumeral(value) {
+	for (const ch of String(value)) {
+		if (isKanjiNumeralChar(ch)) {
+			return true;
+		}
+	}
+	return false;
+}
+
+/**
+ * 漢数字を含む数値を10進数の文字列にする
+ * - 前提：全角数字・小数点・マイナスは半角へ正規化済み、カンマは除去済み
+ * - 先頭の「-」「金」、末尾の「円」「也」は許可する
+ * - 次のような読み方が1つに決まらないものは null
+ *   - 単位の順序がおかしい（「十千」「万億」）
+ *   - 万/億/兆 の前に数が無い（「万」「億5千万」）
+ *   - 単位の後ろに1桁だけ続く「3万5」「1千2」（3万5 は 35000 とも 30005 とも読める）
+ *   - 単位の桁に収まらない数が付く「300005千」「12345万」「3万12345」（入力の途中で数字と単位が混ざった値など）
+ *   - 解釈できない文字が混ざっている
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function parseKanjiNumeral(value) {
+	let s = String(value);
+
+	let sign = "";
+	if (s.startsWith("-")) {
+		sign = "-";
+		s = s.slice(1);
+	}
+	s = s.replace(/^金/, "").replace(/[円圓]?也?$/, "");
+	if (s === "") {
+		return null;
+	}
+
+	/** @type {Decimal} */
+	let total = { int: 0n, scale: 0 };
+	/** @type {Decimal} */
+	let section = { int: 0n, scale: 0 };
+	let buf = "";
+	let bufHasArabic = false;
+
+	// 直前の単位（順序と省略の判定用）
+	let lastLarge = Infinity;
+	let lastSmall = Infinity;
+	let afterLarge = false;
+	let afterSmall = false;
+	let sectionHasValue = false;
+
+	/**
+	 * 単位の後ろに続く1桁が、省略した読み方（3万5 → 35000）とも取れるか
+	 * - 末尾の「3万5」「三万五」
+	 * - アラビア数字の「1千2」「1千2万」（漢数字の「千二」は 1002 と読める）
+	 * @param {boolean} atEnd
+	 * @returns {boolean}
+	 */
+	const isAmbiguousTail = (atEnd) => {
+		if (buf.replace(".", "").length !== 1) {
+			return false;
+		}
+		return (atEnd && afterLarge && !afterSmall) || (afterSmall && bufHasArabic);
+	};
+
+	/**
+	 * buf の整数部分の桁数
+	 * @returns {number}
+	 */
+	const intLength = () => buf.split(".")[0].length;
+
+	/**
+	 * 万/億/兆 の前、または末尾に付く数が、直前の単位の桁に収まるか
+	 * - 千の後ろは3桁まで、百の後ろは2桁まで（「3千200」は可、「3千1234」は不可）
+	 * - 万/億/兆 の前の数は4桁まで（「1200万」は可、「12345万」は不可）
+	 * - 末尾で直前が 万/億/兆 なら、その桁まで（「3万2000」は可、「3万12345」は不可）
+	 * @param {number} limit - 単位が無い場合の上限
+	 * @returns {boolean}
+	 */
+	const fitsSection = (limit) => {
+		if (afterSmall) {
+			return intLength() <= lastSmall;
+		}
+		return intLength() <= limit;
+	};
+
+	for (const ch of s) {
+		if ((ch >= "0" && ch <= "9") || ch === ".") {
+			buf += ch;
+			bufHasArabic = true;
+			continue;
+		}
+		if (ch in KANJI_DIGITS) {
+			buf += ch;
+			continue;
+		}
+
+		if (ch in SMALL_UNITS) {
+			const exp = SMALL_UNITS[ch];
+			if (exp >= lastSmall) {
+				return null;
+			}
+			// 十/百/千 の前は1桁だけ（「300005千」は読めない）
+			const coef = buf === "" ? { int: 1n, scale: 0 } : intLength() === 1 ? toDecimal(buf) : null;
+			if (!coef) {
+				return null;
+			}
+			section = addDecimal(section, shiftDecimal(coef, exp));
+			sectionHasValue = true;
+			lastSmall = exp;
+			afterSmall = true;
+			buf = "";
+			bufHasArabic = false;
+			continue;
+		}
+
+		if (ch in LARGE_UNITS) {
+			const exp = LARGE_UNITS[ch];
+			if (exp >= lastLarge) {
+				return null;
+			}
+			if (buf !== "") {
+				if (isAmbiguousTail(false) || !fitsSection(4)) {
+					return null;
+				}
+				const d = toDecimal(buf);
+				if (!d) {
+					return null;
+				}
+				section = addDecimal(section, d);
+				sectionHasValue = true;
+			}
+			if (!sectionHasValue) {
+				return null;
+			}
+			total = addDecimal(total, shiftDecimal(section, exp));
+			section = { int: 0n, scale: 0 };
+			sectionHasValue = false;
+			lastLarge = exp;
+			lastSmall = Infinity;
+			afterLarge = true;
+			afterSmall = false;
+			buf = "";
+			bufHasArabic = false;
+			continue;
+		}
+
+		return null;
+	}
+
+	if (buf !== "") {
+		if (isAmbiguousTail(true) || ((afterLarge || afterSmall) && !fitsSection(lastLarge))) {
+			return null;
+		}
+		const d = toDecimal(buf);
+		if (!d) {
+			return null;
+		}
+		section = addDecimal(section, d);
+	}
+	total = addDecimal(total, section);
+
+	const out = decimalToString(total);
+	return sign && out !== "0" ? `-${out}` : out;
+}
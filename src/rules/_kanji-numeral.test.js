@@ -0,0 +1,62 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { parseKanjiNumeral, hasKanjiNumeral } from "./_kanji-numeral.js";
+
+test("kanji-numeral - hasKanjiNumeral: 漢数字（数字・単位）を含むか", () => {
+	assert.equal(hasKanjiNumeral("3万"), true);
+	assert.equal(hasKanjiNumeral("壱"), true);
+	assert.equal(hasKanjiNumeral("1000円"), false);
+	assert.equal(hasKanjiNumeral("123"), false);
+});
+
+test("kanji-numeral - parseKanjiNumeral: 漢数字・大字・単位を数字にする", () => {
+	assert.equal(parseKanjiNumeral("3万5千"), "35000");
+	assert.equal(parseKanjiNumeral("一千二百"), "1200");
+	assert.equal(parseKanjiNumeral("千二百"), "1200");
+	assert.equal(parseKanjiNumeral("十二"), "12");
+	assert.equal(parseKanjiNumeral("千二"), "1002");
+	assert.equal(parseKanjiNumeral("1.2億"), "120000000");
+	assert.equal(parseKanjiNumeral("壱萬円"), "10000");
+	assert.equal(parseKanjiNumeral("金壱萬弐阡参百円也"), "12300");
+	assert.equal(parseKanjiNumeral("壱拾弐"), "12");
+	assert.equal(parseKanjiNumeral("二〇二四"), "2024");
+	assert.equal(parseKanjiNumeral("1億2345万6789"), "123456789");
+	assert.equal(parseKanjiNumeral("3億5万"), "300050000");
+	assert.equal(parseKanjiNumeral("1兆"), "1000000000000");
+	assert.equal(parseKanjiNumeral("九千九百九十九京"), "99990000000000000000");
+	assert.equal(parseKanjiNumeral("1.5万"), "15000");
+	assert.equal(parseKanjiNumeral("1.23456万"), "12345.6");
+	assert.equal(parseKanjiNumeral("-3万"), "-30000");
+});
+
+test("kanji-numeral - parseKanjiNumeral: 読み方が1つに決まらないものは null", () => {
+	// 単位の後ろの1桁（35000 とも 30005 とも読める）
+	assert.equal(parseKanjiNumeral("3万5"), null);
+	assert.equal(parseKanjiNumeral("三万五"), null);
+	assert.equal(parseKanjiNumeral("1千2"), null);
+	assert.equal(parseKanjiNumeral("1千2万"), null);
+
+	// 単位の順序
+	assert.equal(parseKanjiNumeral("十千"), null);
+	assert.equal(parseKanjiNumeral("百百"), null);
+	assert.equal(parseKanjiNumeral("1万2億"), null);
+
+	// 万/億 の前に数が無い
+	assert.equal(parseKanjiNumeral("万"), null);
+	assert.equal(parseKanjiNumeral("億5千万"), null);
+
+	// 単位の桁に収まらない数（入力の途中で数字と単位が混ざった値など）
+	assert.equal(parseKanjiNumeral("300005千"), null);
+	assert.equal(parseKanjiNumeral("12345万"), null);
+	assert.equal(parseKanjiNumeral("3万12345"), null);
+	assert.equal(parseKanjiNumeral("5千1234"), null);
+	assert.equal(parseKanjiNumeral("3千200万"), "32000000");
+	assert.equal(parseKanjiNumeral("3万2000"), "32000");
+
+	// その他
+	assert.equal(parseKanjiNumeral("1.2.3万"), null);
+	assert.equal(parseKanjiNumeral("3万x"), null);
+	assert.equal(parseKanjiNumeral("円"), null);
+});
@@ -33,7 +33,7 @@ export function ascii(options = {}) {
 
 	return {
 		name: "ascii",
-		targets: ["input", "textarea"],
+		targets: ["input", "textarea", "contenteditable"],
 
 		normalizeChar(value, ctx) {
 			let s = String(value);
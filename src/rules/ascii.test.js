@@ -8,7 +8,7 @@ test("ascii - ascii(): rule shape（name/targets/normalizeChar）", () => {
 	const rule = ascii();
 
 	assert.equal(rule.name, "ascii");
-	assert.deepEqual(rule.targets, ["input", "textarea"]);
+	assert.deepEqual(rule.targets, ["input", "textarea", "contenteditable"]);
 	assert.equal(typeof rule.normalizeChar, "function");
 });
 
@@ -142,7 +142,7 @@ export function bytes(options = {}) {
 
 	return {
 		name: "bytes",
-		targets: ["input", "textarea"],
+		targets: ["input", "textarea", "contenteditable"],
 
 		normalizeChar(value, ctx) {
 			// block 以外は何もしない
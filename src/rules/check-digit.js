@@ -0,0 +1,356 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import { parseDatasetBool, parseDatasetEnum, parseDatasetNumber, parseDatasetStringList } from "./_dataset.js";
+import { toHalfWidthDigit } from "./numeric.js";
+
+/**
+ * 組み込みの番号の種類
+ * - myNumber: 個人番号（12桁）
+ * - corporateNumber: 法人番号（13桁、先頭がチェックディジット）
+ * - invoice: 適格請求書発行事業者の登録番号（T + 法人番号13桁）
+ * - jan: JAN / EAN（8桁・13桁）
+ * - isbn10 / isbn13: ISBN（isbn は桁数で 10 / 13 を切り替える）
+ * - custom: 重み付きモジュラスを指定する
+ * @typedef {"myNumber"|"corporateNumber"|"invoice"|"jan"|"isbn10"|"isbn13"|"isbn"|"custom"} CheckDigitType
+ */
+
+/**
+ * checkDigit ルールのオプション
+ * @typedef {Object} CheckDigitRuleOptions
+ * @property {CheckDigitType} type - 番号の種類
+ * @property {"block"|"error"} [mode="block"] - 入力中に桁数を超えたときの挙動
+ * @property {number} [length] - custom：チェックディジットを含む桁数（custom では必須）
+ * @property {number[]} [weights] - custom：重み（チェックディジットを除いた右端の桁から順に掛け、足りなければ繰り返す）
+ * @property {number} [modulus=11] - custom：割る数
+ * @property {boolean} [complement=true] - custom：true なら「modulus − 余り」、false なら余りをそのままチェックディジットにする（10 以上は 0）
+ * @property {"last"|"first"} [position="last"] - custom：チェックディジットの位置
+ */
+
+/**
+ * チェックディジットの計算方法
+ * @typedef {Object} CheckDigitSpec
+ * @property {number[]} lengths - チェックディジットを含む桁数
+ * @property {"last"|"first"} position - チェックディジットの位置
+ * @property {(base: string) => string} compute - チェックディジットを除いた数字からチェックディジットを求める
+ */
+
+/**
+ * 重み付きの合計を求める（右端の桁から weights を順に掛け、足りなければ繰り返す）
+ * @param {string} base
+ * @param {ReadonlyArray<number>} weights
+ * @returns {number}
+ */
+function weightedSum(base, weights) {
+	let sum = 0;
+	for (let i = 0; i < base.length; i++) {
+		sum += Number(base[base.length - 1 - i]) * weights[i % weights.length];
+	}
+	return sum;
+}
+
+/**
+ * JAN / EAN（モジュラス10 ウェイト3・1）
+ * @param {string} base
+ * @returns {string}
+ */
+function computeJan(base) {
+	return String((10 - (weightedSum(base, [3, 1]) % 10)) % 10);
+}
+
+/**
+ * 法人番号（先頭のチェックディジット = 9 − 重み1・2 の合計を 9 で割った余り）
+ * @param {string} base
+ * @returns {string}
+ */
+function computeCorporateNumber(base) {
+	return String(9 - (weightedSum(base, [1, 2]) % 9));
+}
+
+/**
+ * 組み込みの計算方法
+ * @type {Readonly<Record<Exclude<CheckDigitType, "isbn"|"custom">, CheckDigitSpec>>}
+ */
+const BUILTIN_SPECS = {
+	myNumber: {
+		lengths: [12],
+		position: "last",
+		compute(base) {
+			const r = weightedSum(base, [2, 3, 4, 5, 6, 7]) % 11;
+			return r <= 1 ? "0" : String(11 - r);
+		}
+	},
+	corporateNumber: { lengths: [13], position: "first", compute: computeCorporateNumber },
+	invoice: { lengths: [13], position: "first", compute: computeCorporateNumber },
+	jan: { lengths: [8, 13], position: "last", compute: computeJan },
+	isbn10: {
+		lengths: [10],
+		position: "last",
+		compute(base) {
+			const r = weightedSum(base, [2, 3, 4, 5, 6, 7, 8, 9, 10]) % 11;
+			if (r === 0) {
+				return "0";
+			}
+			return r === 1 ? "X" : String(11 - r);
+		}
+	},
+	isbn13: { lengths: [13], position: "last", compute: computeJan }
+};
+
+/**
+ * 使用できる type
+ * @type {ReadonlyArray<CheckDigitType>}
+ */
+const CHECK_DIGIT_TYPES = ["myNumber", "corporateNumber", "invoice", "jan", "isbn10", "isbn13", "isbn", "custom"];
+
+/**
+ * オプションから計算方法を作る（isbn は入力された桁数で isbn10 / isbn13 を切り替える）
+ * @param {CheckDigitRuleOptions} options
+ * @param {number} length - 入力された桁数（isbn の切り替え用）
+ * @returns {CheckDigitSpec}
+ */
+function resolveSpec(options, length) {
+	if (options.type === "isbn") {
+		return {
+			...(length <= 10 ? BUILTIN_SPECS.isbn10 : BUILTIN_SPECS.isbn13),
+			lengths: [10, 13]
+		};
+	}
+	if (options.type !== "custom") {
+		return BUILTIN_SPECS[options.type];
+	}
+
+	const weights = Array.isArray(options.weights) && options.weights.length > 0 ? options.weights : [1];
+	const modulus = options.modulus ?? 11;
+	const complement = options.complement ?? true;
+	return {
+		lengths: [options.length ?? 0],
+		position: options.position ?? "last",
+		compute(base) {
+			const r = weightedSum(base, weights) % modulus;
+			const d = complement ? (modulus - r) % modulus : r;
+			return d >= 10 ? "0" : String(d);
+		}
+	};
+}
+
+/**
+ * チェックディジット付きの番号ルールを生成する
+ * - normalize.char: 全角数字→半角、空白・ハイフン類などを除去
+ *   invoice は先頭の T（全角・小文字も可）、isbn10 / isbn は末尾の X（全角・小文字も可）を残す
+ * - normalize.structure: invoice は確定時に T を付ける（raw は "T" + 13桁）
+ * - validate: 桁数を超えたら block / error、確定時に桁数が合わない・チェックディジットが合わない場合はエラー
+ *
+ * type: "custom" は length（2以上の整数）が必須
+ *
+ * @param {Partial<CheckDigitRuleOptions>} [options]
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function checkDigit(options = {}) {
+	/** @type {CheckDigitRuleOptions} */
+	const opt = {
+		...options,
+		type: options.type ?? "custom",
+		mode: options.mode ?? "block"
+	};
+
+	// 桁数が決まらないと入力中の桁数チェックで常に取り消されるため、設定ミスとして扱う
+	if (opt.type === "custom" && !(Number.isInteger(opt.length) && Number(opt.length) >= 2)) {
+		throw new Error(`Invalid length for type "custom": ${opt.length}`);
+	}
+
+	const isInvoice = opt.type === "invoice";
+	const allowX = opt.type === "isbn10" || opt.type === "isbn";
+
+	/**
+	 * 検査する数字部分（invoice の T を除く）
+	 * @param {string} value
+	 * @returns {string}
+	 */
+	function bodyOf(value) {
+		return isInvoice ? value.replace(/^T/, "") : value;
+	}
+
+	return {
+		name: "checkDigit",
+		targets: ["input"],
+
+		/**
+		 * 数字（と T / X）だけを残す
+		 * @param {string} value
+		 * @returns {string}
+		 */
+		normalizeChar(value) {
+			let out = "";
+			for (const ch of String(value)) {
+				if (ch >= "0" && ch <= "9") {
+					out += ch;
+					continue;
+				}
+				const d = toHalfWidthDigit(ch);
+				if (d) {
+					out += d;
+				} else if (isInvoice && /^[TtＴｔ]$/.test(ch)) {
+					out += "T";
+				} else if (allowX && /^[XxＸｘ]$/.test(ch)) {
+					out += "X";
+				}
+			}
+			return out;
+		},
+
+		/**
+		 * T は先頭、X は末尾だけに寄せる（invoice は確定時に T を付ける）
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} [ctx]
+		 * @returns {string}
+		 */
+		normalizeStructure(value, ctx) {
+			const v = String(value);
+			if (isInvoice) {
+				const digits = v.replace(/T/g, "");
+				const hasT = v.includes("T") || (ctx?.source === "commit" && digits !== "");
+				return (hasT ? "T" : "") + digits;
+			}
+			if (allowX) {
+				const digits = v.replace(/X/g, "");
+				return v.endsWith("X") ? digits + "X" : digits;
+			}
+			return v;
+		},
+
+		/**
+		 * 桁数とチェックディジットの検査
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {void}
+		 */
+		validate(value, ctx) {
+			const body = bodyOf(String(value));
+			if (body === "") {
+				return;
+			}
+
+			const spec = resolveSpec(opt, body.length);
+			const limit = Math.max(...spec.lengths);
+			if (body.length > limit) {
+				const detail = { type: opt.type, limit, actual: body.length };
+				if (opt.mode === "block") {
+					ctx.requestRevert({ reason: "checkDigit.max_overflow", detail });
+					return;
+				}
+				ctx.pushError({
+					code: "checkDigit.max_overflow",
+					rule: "checkDigit",
+					phase: "validate",
+					detail
+				});
+				return;
+			}
+
+			// 入力途中はうるさくしない
+			if (ctx.source !== "commit") {
+				return;
+			}
+
+			if (!spec.lengths.includes(body.length)) {
+				ctx.pushError({
+					code: "checkDigit.invalid_length",
+					rule: "checkDigit",
+					phase: "validate",
+					detail: { type: opt.type, lengths: spec.lengths, actual: body.length }
+				});
+				return;
+			}
+
+			const first = spec.position === "first";
+			const actual = first ? body.slice(0, 1) : body.slice(-1);
+			const base = first ? body.slice(1) : body.slice(0, -1);
+			// X はチェックディジットの位置以外では数字として扱えない
+			const expected = /^\d*$/.test(base) ? spec.compute(base) : null;
+			if (actual !== expected) {
+				ctx.pushError({
+					code: "checkDigit.mismatch",
+					rule: "checkDigit",
+					phase: "validate",
+					detail: { type: opt.type, expected, actual }
+				});
+			}
+		}
+	};
+}
+
+/**
+ * datasetから checkDigit ルールを生成する
+ * - data-tig-rules-check-digit が無い、または type が無ければ null（custom は length も必須）
+ * - オプションは data-tig-rules-check-digit-xxx から読む
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-check-digit              -> dataset.tigRulesCheckDigit
+ * - data-tig-rules-check-digit-type         -> dataset.tigRulesCheckDigitType
+ * - data-tig-rules-check-digit-mode         -> dataset.tigRulesCheckDigitMode
+ * - data-tig-rules-check-digit-length       -> dataset.tigRulesCheckDigitLength
+ * - data-tig-rules-check-digit-weights      -> dataset.tigRulesCheckDigitWeights（カンマ区切り）
+ * - data-tig-rules-check-digit-modulus      -> dataset.tigRulesCheckDigitModulus
+ * - data-tig-rules-check-digit-complement   -> dataset.tigRulesCheckDigitComplement
+ * - data-tig-rules-check-digit-position     -> dataset.tigRulesCheckDigitPosition
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+checkDigit.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesCheckDigit == null) {
+		return null;
+	}
+
+	const type = parseDatasetEnum(dataset.tigRulesCheckDigitType, CHECK_DIGIT_TYPES);
+	if (type == null) {
+		return null;
+	}
+
+	/** @type {CheckDigitRuleOptions} */
+	const options = { type };
+
+	const mode = parseDatasetEnum(dataset.tigRulesCheckDigitMode, ["block", "error"]);
+	if (mode != null) {
+		options.mode = mode;
+	}
+
+	const length = parseDatasetNumber(dataset.tigRulesCheckDigitLength);
+	if (length != null) {
+		options.length = length;
+	} else if (type === "custom") {
+		return null;
+	}
+
+	const weights = parseDatasetStringList(dataset.tigRulesCheckDigitWeights);
+	if (weights != null) {
+		options.weights = weights.map(Number).filter((n) => Number.isFinite(n));
+	}
+
+	const modulus = parseDatasetNumber(dataset.tigRulesCheckDigitModulus);
+	if (modulus != null) {
+		options.modulus = modulus;
+	}
+
+	const complement = parseDatasetBool(dataset.tigRulesCheckDigitComplement);
+	if (complement != null) {
+		options.complement = complement;
+	}
+
+	const position = parseDatasetEnum(dataset.tigRulesCheckDigitPosition, ["last", "first"]);
+	if (position != null) {
+		options.position = position;
+	}
+
+	return checkDigit(options);
+};
@@ -0,0 +1,160 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { checkDigit } from "./check-digit.js";
+import { createPipeline } from "../pipeline.js";
+
+const makeCtx = function (props = {}) {
+	/** @type {any[]} */
+	const errors = [];
+	/** @type {any[]} */
+	const reverts = [];
+
+	/** @type {any} */
+	const ctx = {
+		source: "commit",
+		pushError(e) { errors.push(e); },
+		requestRevert(req) { reverts.push(req); },
+		_getErrors() { return errors; },
+		_getReverts() { return reverts; },
+		...props
+	};
+
+	return ctx;
+};
+
+// 確定時の検査で出たエラーコードの一覧
+const codesOf = function (rule, value) {
+	const ctx = makeCtx();
+	rule.validate(value, ctx);
+	return ctx._getErrors().map((e) => e.code);
+};
+
+test("checkDigit - 組み込みの計算方法で正しい番号を通す", () => {
+	assert.deepEqual(codesOf(checkDigit({ type: "myNumber" }), "123456789018"), []);
+	assert.deepEqual(codesOf(checkDigit({ type: "corporateNumber" }), "8700110005901"), []);
+	assert.deepEqual(codesOf(checkDigit({ type: "invoice" }), "T8700110005901"), []);
+	assert.deepEqual(codesOf(checkDigit({ type: "jan" }), "4901234567894"), []);
+	assert.deepEqual(codesOf(checkDigit({ type: "jan" }), "49123456"), []);
+	assert.deepEqual(codesOf(checkDigit({ type: "isbn10" }), "0306406152"), []);
+	assert.deepEqual(codesOf(checkDigit({ type: "isbn10" }), "080442957X"), []);
+	assert.deepEqual(codesOf(checkDigit({ type: "isbn13" }), "9780306406157"), []);
+	assert.deepEqual(codesOf(checkDigit({ type: "isbn" }), "0306406152"), []);
+	assert.deepEqual(codesOf(checkDigit({ type: "isbn" }), "9780306406157"), []);
+});
+
+test("checkDigit - validate: チェックディジットが合わなければ checkDigit.mismatch", () => {
+	const ctx = makeCtx();
+	checkDigit({ type: "myNumber" }).validate("123456789012", ctx);
+	assert.deepEqual(ctx._getErrors(), [{
+		code: "checkDigit.mismatch",
+		rule: "checkDigit",
+		phase: "validate",
+		detail: { type: "myNumber", expected: "8", actual: "2" }
+	}]);
+
+	// 法人番号は先頭がチェックディジット
+	assert.deepEqual(codesOf(checkDigit({ type: "corporateNumber" }), "1700110005901"), ["checkDigit.mismatch"]);
+	assert.deepEqual(codesOf(checkDigit({ type: "isbn10" }), "0804429570"), ["checkDigit.mismatch"]);
+	assert.deepEqual(codesOf(checkDigit({ type: "isbn" }), "978030640615X"), ["checkDigit.mismatch"]);
+});
+
+test("checkDigit - validate: 桁数の検査（入力中は超過だけ、確定時は不足も）", () => {
+	const rule = checkDigit({ type: "myNumber" });
+
+	const input = makeCtx({ source: "input" });
+	rule.validate("12345", input);
+	assert.deepEqual(input._getErrors(), []);
+
+	const commit = makeCtx();
+	rule.validate("12345", commit);
+	assert.deepEqual(commit._getErrors(), [{
+		code: "checkDigit.invalid_length",
+		rule: "checkDigit",
+		phase: "validate",
+		detail: { type: "myNumber", lengths: [12], actual: 5 }
+	}]);
+
+	const block = makeCtx({ source: "input" });
+	rule.validate("1234567890123", block);
+	assert.deepEqual(block._getReverts(), [{
+		reason: "checkDigit.max_overflow",
+		detail: { type: "myNumber", limit: 12, actual: 13 }
+	}]);
+
+	const error = makeCtx({ source: "input" });
+	checkDigit({ type: "myNumber", mode: "error" }).validate("1234567890123", error);
+	assert.equal(error._getErrors()[0].code, "checkDigit.max_overflow");
+
+	assert.deepEqual(codesOf(rule, ""), []);
+});
+
+test("checkDigit - normalize: 全角数字と T / X を整え、区切りを除去する", () => {
+	const invoice = checkDigit({ type: "invoice" });
+	assert.equal(invoice.normalizeChar("ｔ８７００－１１０００５９０１"), "T8700110005901");
+	assert.equal(invoice.normalizeStructure("87T00", makeCtx({ source: "input" })), "T8700");
+	assert.equal(invoice.normalizeStructure("8700", makeCtx({ source: "input" })), "8700");
+	assert.equal(invoice.normalizeStructure("8700110005901", makeCtx()), "T8700110005901");
+
+	const isbn = checkDigit({ type: "isbn10" });
+	assert.equal(isbn.normalizeChar("4-8044-2957-ｘ"), "480442957X");
+	assert.equal(isbn.normalizeStructure("08X04", makeCtx({ source: "input" })), "0804");
+
+	// T / X を使わない種類では除去する
+	assert.equal(checkDigit({ type: "jan" }).normalizeChar("T49X01"), "4901");
+});
+
+test("checkDigit - custom: 重み付きモジュラスを指定できる", () => {
+	// モジュラス11 ウェイト2〜7（個人番号と同じ）
+	const rule = checkDigit({ type: "custom", length: 12, weights: [2, 3, 4, 5, 6, 7], modulus: 11 });
+	assert.deepEqual(codesOf(rule, "123456789018"), []);
+	assert.deepEqual(codesOf(rule, "123456789010"), ["checkDigit.mismatch"]);
+
+	// 余りをそのまま使う・先頭がチェックディジット
+	const first = checkDigit({ type: "custom", length: 4, weights: [1], modulus: 7, complement: false, position: "first" });
+	// 1 + 2 + 3 = 6
+	assert.deepEqual(codesOf(first, "6123"), []);
+	assert.deepEqual(codesOf(first, "0123"), ["checkDigit.mismatch"]);
+});
+
+test("checkDigit - custom: length が無い・不正な場合は例外", () => {
+	assert.throws(() => checkDigit({ type: "custom", weights: [1] }), /Invalid length for type "custom": undefined/);
+	assert.throws(() => checkDigit({ type: "custom", length: 1 }), /Invalid length/);
+	assert.throws(() => checkDigit({ type: "custom", length: 4.5 }), /Invalid length/);
+
+	// options 省略時は custom 扱いなので同じく例外（TypeError にはしない）
+	assert.throws(() => checkDigit(), /Invalid length for type "custom"/);
+});
+
+test("checkDigit - pipeline: invoice は確定時に T を付けた raw になる", () => {
+	const pipeline = createPipeline([checkDigit({ type: "invoice" })]);
+
+	const result = pipeline.runCommit("８７００１１０００５９０１");
+	assert.equal(result.raw, "T8700110005901");
+	assert.equal(result.display, "T8700110005901");
+	assert.equal(result.isValid, true);
+});
+
+test("checkDigit - fromDataset: data-tig-rules-check-digit-* からオプションを読む", () => {
+	assert.equal(checkDigit.fromDataset({}, null), null);
+	assert.equal(checkDigit.fromDataset({ tigRulesCheckDigit: "" }, null), null);
+
+	const jan = checkDigit.fromDataset({ tigRulesCheckDigit: "", tigRulesCheckDigitType: "jan" }, null);
+	assert.equal(jan.name, "checkDigit");
+	assert.deepEqual(codesOf(jan, "4901234567894"), []);
+
+	const custom = checkDigit.fromDataset({
+		tigRulesCheckDigit: "",
+		tigRulesCheckDigitType: "custom",
+		tigRulesCheckDigitLength: "4",
+		tigRulesCheckDigitWeights: "1",
+		tigRulesCheckDigitModulus: "7",
+		tigRulesCheckDigitComplement: "false",
+		tigRulesCheckDigitPosition: "first"
+	}, null);
+	assert.deepEqual(codesOf(custom, "6123"), []);
+
+	// custom で length が無ければ null
+	assert.equal(checkDigit.fromDataset({ tigRulesCheckDigit: "", tigRulesCheckDigitType: "custom" }, null), null);
+});
@@ -8,12 +8,68 @@
  *  The MIT license https://opensource.org/licenses/MIT
  */
 
+import { parseDatasetEnum, parseDatasetStringList } from "./_dataset.js";
+import { groupDigits, groupUnits } from "./_grouping.js";
+
+/**
+ * comma ルールのオプション
+ * @typedef {Object} CommaRuleOptions
+ * @property {string} [separator=","] - 区切り文字（"'" や薄いスペース "\u2009" など）
+ * @property {number|number[]} [groups=3] - 区切る桁数（下の桁から。配列の最後の値を繰り返す。インド式なら [3, 2]）
+ * @property {"group"|"unit"} [style="group"] - "unit" なら 万/億/兆 の単位で区切る（"1億2345万6789"）
+ * @property {string} [decimalSeparator="."] - 表示する小数点
+ * @property {"minus"|"triangle"|"whiteTriangle"|"parentheses"} [negativeStyle="minus"] - 負数の表示
+ *   - "minus": "-1,234" / "triangle": "▲1,234" / "whiteTriangle": "△1,234" / "parentheses": "(1,234)"
+ */
+
+/**
+ * 負数の表示（前に付ける文字, 後ろに付ける文字）
+ * @type {Readonly<Record<string, readonly [string, string]>>}
+ */
+const NEGATIVE_MARKS = {
+	minus: ["-", ""],
+	triangle: ["▲", ""],
+	whiteTriangle: ["△", ""],
+	parentheses: ["(", ")"]
+};
+
 /**
  * カンマ付与ルール
  * - blur時のみ整数部に3桁区切りカンマを付与する
+ * - 区切り文字・区切る桁数・万/億 の単位区切り・小数点の表示を変更できる
+ * - 負数を会計表記（▲ / △ / 括弧）で表示できる（numeric はどの表記も "-" として読む）
+ *
+ * 区切り文字や小数点を変えた場合は、表示値を raw に戻せるよう numeric の separator / decimalSeparator もそろえること
+ *
+ * @param {CommaRuleOptions} [options]
  * @returns {import("../text-input-guard.js").Rule}
  */
-export function comma() {
+export function comma(options = {}) {
+	const groupsOption = Array.isArray(options.groups) ? options.groups : [options.groups ?? 3];
+	const groups = groupsOption.filter((n) => Number.isInteger(n) && n > 0);
+
+	const opt = {
+		separator: options.separator ?? ",",
+		groups: groups.length > 0 ? groups : [3],
+		style: options.style ?? "group",
+		decimalSeparator: options.decimalSeparator ?? ".",
+		negativeStyle: options.negativeStyle ?? "minus"
+	};
+
+	/**
+	 * 符号を付けて返す
+	 * @param {string} sign - "-" または ""
+	 * @param {string} body
+	 * @returns {string}
+	 */
+	function withSign(sign, body) {
+		if (sign === "") {
+			return body;
+		}
+		const [open, close] = NEGATIVE_MARKS[opt.negativeStyle] ?? NEGATIVE_MARKS.minus;
+		return `${open}${body}${close}`;
+	}
+
 	return {
 		name: "comma",
 		targets: ["input", "textarea"],
@@ -33,6 +89,10 @@ export function comma() {
 			if (v === "" || v === "-" || v === "." || v === "-.") {
 				return v;
 			}
+			// 数値になっていない値（変換できない漢数字など）はそのまま
+			if (!/^-?\d*\.?\d*$/.test(v)) {
+				return v;
+			}
 
 			let sign = "";
 			let s = v;
@@ -46,22 +106,31 @@ export function comma() {
 			const intPart = dotIndex >= 0 ? s.slice(0, dotIndex) : s;
 			const fracPart = dotIndex >= 0 ? s.slice(dotIndex + 1) : null;
 
-			// 整数部にカンマ
-			const withComma = intPart.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+			// 整数部に区切り
+			const withComma = opt.style === "unit"
+				? groupUnits(intPart)
+				: groupDigits(intPart, opt.separator, opt.groups);
 
 			if (fracPart != null) {
-				return `${sign}${withComma}.${fracPart}`;
+				return withSign(sign, `${withComma}${opt.decimalSeparator}${fracPart}`);
 			}
-			return `${sign}${withComma}`;
+			return withSign(sign, withComma);
 		}
 	};
 }
+
 /**
  * datasetから comma ルールを生成する
  * - data-tig-rules-comma が無ければ null
+ * - オプションは data-tig-rules-comma-xxx から読む
  *
  * 対応する data 属性（dataset 名）
- * - data-tig-rules-comma -> dataset.tigRulesComma
+ * - data-tig-rules-comma                     -> dataset.tigRulesComma
+ * - data-tig-rules-comma-separator           -> dataset.tigRulesCommaSeparator
+ * - data-tig-rules-comma-groups              -> dataset.tigRulesCommaGroups（"3, 2" のようなカンマ区切り）
+ * - data-tig-rules-comma-style               -> dataset.tigRulesCommaStyle
+ * - data-tig-rules-comma-decimal-separator   -> dataset.tigRulesCommaDecimalSeparator
+ * - data-tig-rules-comma-negative-style      -> dataset.tigRulesCommaNegativeStyle
  *
  * @param {DOMStringMap} dataset
  * @param {HTMLInputElement|HTMLTextAreaElement} _el
@@ -72,5 +141,35 @@ comma.fromDataset = function fromDataset(dataset, _el) {
 	if (dataset.tigRulesComma == null) {
 		return null;
 	}
-	return comma();
+
+	/** @type {CommaRuleOptions} */
+	const options = {};
+
+	if (dataset.tigRulesCommaSeparator != null) {
+		options.separator = dataset.tigRulesCommaSeparator;
+	}
+
+	const groups = parseDatasetStringList(dataset.tigRulesCommaGroups);
+	if (groups != null) {
+		options.groups = groups.map(Number);
+	}
+
+	const style = parseDatasetEnum(dataset.tigRulesCommaStyle, ["group", "unit"]);
+	if (style != null) {
+		options.style = style;
+	}
+
+	if (dataset.tigRulesCommaDecimalSeparator != null) {
+		options.decimalSeparator = dataset.tigRulesCommaDecimalSeparator;
+	}
+
+	const negativeStyle = parseDatasetEnum(
+		dataset.tigRulesCommaNegativeStyle,
+		["minus", "triangle", "whiteTriangle", "parentheses"]
+	);
+	if (negativeStyle != null) {
+		options.negativeStyle = negativeStyle;
+	}
+
+	return comma(options);
 };
@@ -61,3 +61,63 @@ test("comma - fromDataset: tigRulesComma があれば comma ルールが返る",
 	assert.equal(rule.name, "comma");
 	assert.equal(rule.format("1234"), "1,234");
 });
+
+test("comma - format: separator / groups で区切り文字と桁数を変えられる", () => {
+	assert.equal(comma({ separator: "'" }).format("1234567.89"), "1'234'567.89");
+	assert.equal(comma({ separator: " " }).format("-1234567"), "-1 234 567");
+
+	// インド式（下3桁、以降2桁ごと）
+	const indian = comma({ groups: [3, 2] });
+	assert.equal(indian.format("1234567"), "12,34,567");
+	assert.equal(indian.format("123456789.5"), "12,34,56,789.5");
+	assert.equal(indian.format("123"), "123");
+
+	assert.equal(comma({ groups: 4 }).format("123456789"), "1,2345,6789");
+});
+
+test("comma - format: style: \"unit\" なら 万/億/兆 の単位で区切る", () => {
+	const rule = comma({ style: "unit" });
+
+	assert.equal(rule.format("123456789"), "1億2345万6789");
+	assert.equal(rule.format("100006789"), "1億6789");
+	assert.equal(rule.format("30005"), "3万5");
+	assert.equal(rule.format("1000000000000"), "1兆");
+	assert.equal(rule.format("-12345.6"), "-1万2345.6");
+	assert.equal(rule.format("0"), "0");
+	assert.equal(rule.format("1234"), "1234");
+});
+
+test("comma - format: decimalSeparator で小数点の表示を変えられる", () => {
+	const rule = comma({ separator: ".", decimalSeparator: "," });
+
+	assert.equal(rule.format("1234567.89"), "1.234.567,89");
+	assert.equal(rule.format("12"), "12");
+});
+
+test("comma - fromDataset: data-tig-rules-comma-* からオプションを読む", () => {
+	const rule = comma.fromDataset({
+		tigRulesComma: "",
+		tigRulesCommaSeparator: " ",
+		tigRulesCommaGroups: "3, 2",
+		tigRulesCommaDecimalSeparator: ","
+	}, /** @type {any} */ (null));
+
+	assert.equal(rule.format("1234567.5"), "12 34 567,5");
+
+	const unit = comma.fromDataset({ tigRulesComma: "", tigRulesCommaStyle: "unit" }, /** @type {any} */ (null));
+	assert.equal(unit.format("123456789"), "1億2345万6789");
+});
+
+test("comma - format: negativeStyle で負数を会計表記にする", () => {
+	assert.equal(comma({ negativeStyle: "triangle" }).format("-1234"), "▲1,234");
+	assert.equal(comma({ negativeStyle: "whiteTriangle" }).format("-1234.5"), "△1,234.5");
+	assert.equal(comma({ negativeStyle: "parentheses" }).format("-1234"), "(1,234)");
+	assert.equal(comma({ negativeStyle: "parentheses", style: "unit" }).format("-123456"), "(12万3456)");
+
+	// 正の数や入力途中の値はそのまま
+	assert.equal(comma({ negativeStyle: "triangle" }).format("1234"), "1,234");
+	assert.equal(comma({ negativeStyle: "triangle" }).format("-"), "-");
+
+	const rule = comma.fromDataset({ tigRulesComma: "", tigRulesCommaNegativeStyle: "triangle" }, /** @type {any} */ (null));
+	assert.equal(rule.format("-500"), "▲500");
+});
@@ -0,0 +1,318 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import { parseDatasetEnum, parseDatasetEnumList } from "./_dataset.js";
+import { toHalfWidthDigit } from "./numeric.js";
+
+/**
+ * カードの国際ブランド
+ * @typedef {"visa"|"mastercard"|"amex"|"jcb"|"diners"|"discover"|"unionpay"} CardBrand
+ */
+
+/**
+ * creditCard ルールのオプション
+ * @typedef {Object} CreditCardRuleOptions
+ * @property {"block"|"error"} [mode="block"] - 入力中にブランドの最大桁数を超えたときの挙動
+ * @property {CardBrand[]} [brands] - 受け付けるブランド（未指定なら全部）
+ */
+
+/**
+ * ブランドごとの番号の形
+ * @typedef {Object} CardBrandSpec
+ * @property {CardBrand} brand
+ * @property {Array<[string, string]>} ranges - IIN（番号の先頭）の範囲（同じ桁数の from / to）
+ * @property {number[]} lengths - 有効な桁数
+ */
+
+/**
+ * 組み込みのブランド表
+ * @type {ReadonlyArray<CardBrandSpec>}
+ */
+const CARD_BRANDS = [
+	{ brand: "visa", ranges: [["4", "4"]], lengths: [13, 16, 19] },
+	{ brand: "mastercard", ranges: [["51", "55"], ["2221", "2720"]], lengths: [16] },
+	{ brand: "amex", ranges: [["34", "34"], ["37", "37"]], lengths: [15] },
+	{ brand: "jcb", ranges: [["3528", "3589"]], lengths: [16, 17, 18, 19] },
+	{ brand: "diners", ranges: [["300", "305"], ["36", "36"], ["38", "39"]], lengths: [14, 15, 16, 17, 18, 19] },
+	{ brand: "discover", ranges: [["6011", "6011"], ["644", "649"], ["65", "65"]], lengths: [16, 17, 18, 19] },
+	{ brand: "unionpay", ranges: [["62", "62"]], lengths: [16, 17, 18, 19] }
+];
+
+/**
+ * 受け付けるブランドの一覧
+ * @type {ReadonlyArray<CardBrand>}
+ */
+const CARD_BRAND_NAMES = CARD_BRANDS.map((b) => b.brand);
+
+/**
+ * 全角数字を半角へ、それ以外（空白・ハイフン類など）は除去する
+ * @param {string} value
+ * @returns {string}
+ */
+function toDigits(value) {
+	let out = "";
+	for (const ch of String(value)) {
+		if (ch >= "0" && ch <= "9") {
+			out += ch;
+			continue;
+		}
+		const d = toHalfWidthDigit(ch);
+		if (d) {
+			out += d;
+		}
+	}
+	return out;
+}
+
+/**
+ * 番号の先頭からブランドを判定する
+ * - 決まった場合はブランドの表、まだ桁が足りず決まらない場合は null、どのブランドにもならない場合は "unknown"
+ * - 複数の範囲に当たる場合は、IIN の桁数が長い方を優先する
+ * @param {string} digits
+ * @param {ReadonlyArray<CardBrandSpec>} specs
+ * @returns {CardBrandSpec|null|"unknown"}
+ */
+function detectSpec(digits, specs) {
+	/** @type {CardBrandSpec|null} */
+	let found = null;
+	let foundLength = 0;
+	let possible = false;
+
+	for (const spec of specs) {
+		for (const [from, to] of spec.ranges) {
+			if (digits.length >= from.length) {
+				const head = digits.slice(0, from.length);
+				if (from <= head && head <= to && from.length > foundLength) {
+					found = spec;
+					foundLength = from.length;
+				}
+			} else {
+				// 途中までの入力でも、この範囲に入る可能性があるか
+				const n = digits.length;
+				if (from.slice(0, n) <= digits && digits <= to.slice(0, n)) {
+					possible = true;
+				}
+			}
+		}
+	}
+
+	if (found) {
+		return found;
+	}
+	return possible || digits.length === 0 ? null : "unknown";
+}
+
+/**
+ * Luhn（mod 10）チェック
+ * @param {string} digits
+ * @returns {boolean}
+ */
+function isLuhnValid(digits) {
+	let sum = 0;
+	for (let i = 0; i < digits.length; i++) {
+		let n = Number(digits[digits.length - 1 - i]);
+		if (i % 2 === 1) {
+			n *= 2;
+			if (n > 9) {
+				n -= 9;
+			}
+		}
+		sum += n;
+	}
+	return sum % 10 === 0;
+}
+
+/**
+ * 表示の区切り方（American Express 15桁は 4-6-5、Diners 14桁は 4-6-4、それ以外は4桁ごと）
+ * @param {CardBrand} brand
+ * @param {number} length
+ * @returns {number[]}
+ */
+function groupsOf(brand, length) {
+	if (brand === "amex" && length === 15) {
+		return [4, 6, 5];
+	}
+	if (brand === "diners" && length === 14) {
+		return [4, 6, 4];
+	}
+	const groups = [];
+	for (let rest = length; rest > 0; rest -= 4) {
+		groups.push(Math.min(4, rest));
+	}
+	return groups;
+}
+
+/**
+ * クレジットカード番号ルールを生成する
+ * - normalize.char: 全角数字→半角、空白・ハイフン類などを除去（raw は数字のみ）
+ * - validate: IIN からブランドを判定し、ブランドの最大桁数を超えたら block / error
+ *   確定時にブランドが決まらない・桁数が合わない・Luhn チェックに通らない場合はエラー（detail に brand を入れる）
+ * - format: 確定時にブランドに合わせて区切る（"4111 1111 1111 1111" / "3782 822463 10005"）
+ *
+ * 判定したブランドは creditCard.detectBrand(guard.getRawValue()) でも取得できる（ロゴの切り替えなど）
+ *
+ * @param {CreditCardRuleOptions} [options]
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function creditCard(options = {}) {
+	/** @type {CreditCardRuleOptions} */
+	const opt = {
+		mode: options.mode ?? "block",
+		brands: Array.isArray(options.brands) ? options.brands : [...CARD_BRAND_NAMES]
+	};
+
+	const specs = CARD_BRANDS.filter((b) => opt.brands?.includes(b.brand));
+
+	return {
+		name: "creditCard",
+		targets: ["input"],
+
+		/**
+		 * 数字だけを残す（表示用の空白もここで落とす）
+		 * @param {string} value
+		 * @returns {string}
+		 */
+		normalizeChar(value) {
+			return toDigits(value);
+		},
+
+		/**
+		 * ブランド・桁数・チェックディジットの検査
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {void}
+		 */
+		validate(value, ctx) {
+			const v = String(value);
+			const spec = detectSpec(v, specs);
+
+			if (spec === "unknown" || (spec == null && v.length > 0 && ctx.source === "commit")) {
+				ctx.pushError({
+					code: "creditCard.invalid_brand",
+					rule: "creditCard",
+					phase: "validate",
+					detail: { brand: null, value: v }
+				});
+				return;
+			}
+			if (spec == null) {
+				return;
+			}
+
+			const limit = Math.max(...spec.lengths);
+			if (v.length > limit) {
+				const detail = { brand: spec.brand, limit, actual: v.length };
+				if (opt.mode === "block") {
+					ctx.requestRevert({ reason: "creditCard.max_overflow", detail });
+					return;
+				}
+				ctx.pushError({
+					code: "creditCard.max_overflow",
+					rule: "creditCard",
+					phase: "validate",
+					detail
+				});
+				return;
+			}
+
+			// 入力途中はうるさくしない
+			if (ctx.source !== "commit") {
+				return;
+			}
+
+			if (!spec.lengths.includes(v.length)) {
+				ctx.pushError({
+					code: "creditCard.invalid_length",
+					rule: "creditCard",
+					phase: "validate",
+					detail: { brand: spec.brand, lengths: spec.lengths, actual: v.length }
+				});
+				return;
+			}
+
+			if (!isLuhnValid(v)) {
+				ctx.pushError({
+					code: "creditCard.checksum",
+					rule: "creditCard",
+					phase: "validate",
+					detail: { brand: spec.brand }
+				});
+			}
+		},
+
+		/**
+		 * 表示整形（ブランドが決まっている場合のみ、空白で区切る）
+		 * @param {string} value
+		 * @returns {string}
+		 */
+		format(value) {
+			const v = String(value);
+			const spec = detectSpec(v, specs);
+			if (spec == null || spec === "unknown") {
+				return v;
+			}
+
+			const parts = [];
+			let pos = 0;
+			for (const n of groupsOf(spec.brand, v.length)) {
+				parts.push(v.slice(pos, pos + n));
+				pos += n;
+			}
+			return parts.join(" ");
+		}
+	};
+}
+
+/**
+ * カード番号からブランドを判定する（表示値を渡してもよい）
+ * - 判定できない場合は null
+ * @param {string} value
+ * @returns {CardBrand|null}
+ */
+creditCard.detectBrand = function detectBrand(value) {
+	const spec = detectSpec(toDigits(value), CARD_BRANDS);
+	return spec == null || spec === "unknown" ? null : spec.brand;
+};
+
+/**
+ * datasetから creditCard ルールを生成する
+ * - data-tig-rules-credit-card が無ければ null
+ * - オプションは data-tig-rules-credit-card-xxx から読む
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-credit-card           -> dataset.tigRulesCreditCard
+ * - data-tig-rules-credit-card-mode      -> dataset.tigRulesCreditCardMode
+ * - data-tig-rules-credit-card-brands    -> dataset.tigRulesCreditCardBrands（カンマ区切り）
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+creditCard.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesCreditCard == null) {
+		return null;
+	}
+
+	/** @type {CreditCardRuleOptions} */
+	const options = {};
+
+	const mode = parseDatasetEnum(dataset.tigRulesCreditCardMode, ["block", "error"]);
+	if (mode != null) {
+		options.mode = mode;
+	}
+
+	const brands = parseDatasetEnumList(dataset.tigRulesCreditCardBrands, CARD_BRAND_NAMES);
+	if (brands != null) {
+		options.brands = brands;
+	}
+
+	return creditCard(options);
+};
@@ -0,0 +1,158 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { creditCard } from "./credit-card.js";
+import { createPipeline } from "../pipeline.js";
+
+const makeCtx = function (props = {}) {
+	/** @type {any[]} */
+	const errors = [];
+	/** @type {any[]} */
+	const reverts = [];
+
+	/** @type {any} */
+	const ctx = {
+		source: "input",
+		pushError(e) { errors.push(e); },
+		requestRevert(req) { reverts.push(req); },
+		_getErrors() { return errors; },
+		_getReverts() { return reverts; },
+		...props
+	};
+
+	return ctx;
+};
+
+test("creditCard - normalizeChar: 全角数字を半角にし、区切りを除去する", () => {
+	const rule = creditCard();
+	assert.equal(rule.normalizeChar("４１１１ １１１１－1111　1111"), "4111111111111111");
+});
+
+test("creditCard - detectBrand: IIN からブランドを判定する", () => {
+	assert.equal(creditCard.detectBrand("4111 1111 1111 1111"), "visa");
+	assert.equal(creditCard.detectBrand("5500"), "mastercard");
+	assert.equal(creditCard.detectBrand("2221"), "mastercard");
+	assert.equal(creditCard.detectBrand("378282246310005"), "amex");
+	assert.equal(creditCard.detectBrand("3530111333300000"), "jcb");
+	assert.equal(creditCard.detectBrand("30569309025904"), "diners");
+	assert.equal(creditCard.detectBrand("6011111111111117"), "discover");
+	assert.equal(creditCard.detectBrand("6200000000000005"), "unionpay");
+
+	// 桁が足りず決まらない・どのブランドでもない
+	assert.equal(creditCard.detectBrand("35"), null);
+	assert.equal(creditCard.detectBrand("1234"), null);
+	assert.equal(creditCard.detectBrand(""), null);
+});
+
+test("creditCard - validate: 確定時に桁数と Luhn を検査し、detail に brand を入れる", () => {
+	const rule = creditCard();
+
+	const ok = makeCtx({ source: "commit" });
+	rule.validate("4111111111111111", ok);
+	assert.deepEqual(ok._getErrors(), []);
+
+	const checksum = makeCtx({ source: "commit" });
+	rule.validate("4111111111111112", checksum);
+	assert.deepEqual(checksum._getErrors(), [{
+		code: "creditCard.checksum",
+		rule: "creditCard",
+		phase: "validate",
+		detail: { brand: "visa" }
+	}]);
+
+	const length = makeCtx({ source: "commit" });
+	rule.validate("37828224631000", length);
+	assert.deepEqual(length._getErrors(), [{
+		code: "creditCard.invalid_length",
+		rule: "creditCard",
+		phase: "validate",
+		detail: { brand: "amex", lengths: [15], actual: 14 }
+	}]);
+
+	// 入力途中は桁数・Luhn を見ない
+	const input = makeCtx();
+	rule.validate("411111", input);
+	assert.deepEqual(input._getErrors(), []);
+});
+
+test("creditCard - validate: ブランドが決まらない・許可されていない場合は invalid_brand", () => {
+	const unknown = makeCtx();
+	creditCard().validate("1234", unknown);
+	assert.equal(unknown._getErrors()[0].code, "creditCard.invalid_brand");
+
+	// 入力途中で決まらないだけならエラーにしない
+	const pending = makeCtx();
+	creditCard().validate("3", pending);
+	assert.deepEqual(pending._getErrors(), []);
+
+	const pendingCommit = makeCtx({ source: "commit" });
+	creditCard().validate("3", pendingCommit);
+	assert.equal(pendingCommit._getErrors()[0].code, "creditCard.invalid_brand");
+
+	const notAllowed = makeCtx();
+	creditCard({ brands: ["visa", "mastercard"] }).validate("37", notAllowed);
+	assert.deepEqual(notAllowed._getErrors(), [{
+		code: "creditCard.invalid_brand",
+		rule: "creditCard",
+		phase: "validate",
+		detail: { brand: null, value: "37" }
+	}]);
+});
+
+test("creditCard - validate: ブランドの最大桁数を超えたら block / error", () => {
+	const block = makeCtx();
+	creditCard().validate("3782822463100051", block);
+	assert.deepEqual(block._getReverts(), [{
+		reason: "creditCard.max_overflow",
+		detail: { brand: "amex", limit: 15, actual: 16 }
+	}]);
+	assert.deepEqual(block._getErrors(), []);
+
+	const error = makeCtx();
+	creditCard({ mode: "error" }).validate("3782822463100051", error);
+	assert.equal(error._getErrors()[0].code, "creditCard.max_overflow");
+	assert.deepEqual(error._getReverts(), []);
+});
+
+test("creditCard - format: ブランドに合わせて区切る", () => {
+	const rule = creditCard();
+	assert.equal(rule.format("4111111111111111"), "4111 1111 1111 1111");
+	assert.equal(rule.format("3530111333300000"), "3530 1113 3330 0000");
+	assert.equal(rule.format("378282246310005"), "3782 822463 10005");
+	assert.equal(rule.format("30569309025904"), "3056 930902 5904");
+	assert.equal(rule.format("4111111111111111111"), "4111 1111 1111 1111 111");
+
+	// ブランドが決まらない場合はそのまま
+	assert.equal(rule.format("1234567"), "1234567");
+});
+
+test("creditCard - pipeline: 表示を入力し直しても raw は数字のみ", () => {
+	const pipeline = createPipeline([creditCard()]);
+
+	const result = pipeline.runCommit("３７８２－８２２４６３－１０００５");
+	assert.equal(result.raw, "378282246310005");
+	assert.equal(result.display, "3782 822463 10005");
+	assert.equal(result.isValid, true);
+
+	assert.equal(pipeline.runCommit(result.display).raw, "378282246310005");
+});
+
+test("creditCard - fromDataset: data-tig-rules-credit-card-* からオプションを読む", () => {
+	assert.equal(creditCard.fromDataset({}, null), null);
+
+	const rule = creditCard.fromDataset({
+		tigRulesCreditCard: "",
+		tigRulesCreditCardMode: "error",
+		tigRulesCreditCardBrands: "visa, jcb, foo"
+	}, null);
+	assert.equal(rule.name, "creditCard");
+
+	const amex = makeCtx();
+	rule.validate("37", amex);
+	assert.equal(amex._getErrors()[0].code, "creditCard.invalid_brand");
+
+	const overflow = makeCtx();
+	rule.validate("41111111111111111111", overflow);
+	assert.equal(overflow._getErrors()[0].code, "creditCard.max_overflow");
+});
@@ -0,0 +1,425 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import { parseDatasetBool } from "./_dataset.js";
+
+/**
+ * date ルールのオプション
+ * @typedef {Object} DateRuleOptions
+ * @property {string} [format] - 確定時の表示形式（未指定なら raw と同じ YYYY-MM-DD）
+ * @property {string} [min] - 入力できる最も古い日付（date ルールが解釈できる形式）
+ * @property {string} [max] - 入力できる最も新しい日付（date ルールが解釈できる形式）
+ * @property {boolean} [gannen=false] - 表示形式の和暦年（e / ee）で1年を「元」と表示するか
+ *
+ * format で使えるトークン（それ以外の文字はそのまま出力）
+ * - YYYY : 西暦年（4桁）
+ * - MM / M : 月（2桁ゼロ埋め / ゼロ埋めなし）
+ * - DD / D : 日（2桁ゼロ埋め / ゼロ埋めなし）
+ * - GGGG / G : 元号（令和 / R）
+ * - ee / e : 和暦年（2桁ゼロ埋め / ゼロ埋めなし）
+ */
+
+/**
+ * 元号
+ * @typedef {Object} Era
+ * @property {string} name - 元号名（令和）
+ * @property {string} abbr - アルファベット略称（R）
+ * @property {string} start - 開始日（YYYY-MM-DD）
+ */
+
+/**
+ * 解釈した日付の各要素（実在する日付かは未確認）
+ * @typedef {Object} DateParts
+ * @property {number} year - 西暦年
+ * @property {number} month
+ * @property {number} day
+ * @property {Era|null} era - 和暦で入力された場合の元号
+ */
+
+/**
+ * 対応する元号（開始日の昇順）
+ * - 明治の開始日は改元の詔が出た日（グレゴリオ暦）とする
+ * @type {ReadonlyArray<Era>}
+ */
+const ERAS = [
+	{ name: "明治", abbr: "M", start: "1868-10-23" },
+	{ name: "大正", abbr: "T", start: "1912-07-30" },
+	{ name: "昭和", abbr: "S", start: "1926-12-25" },
+	{ name: "平成", abbr: "H", start: "1989-01-08" },
+	{ name: "令和", abbr: "R", start: "2019-05-01" }
+];
+
+/**
+ * 和暦：元号 + 年 + 月 + 日（R6.4.1 / 令和6年4月1日 / 令和元年5月1日 / H01-04-01）
+ */
+const ERA_PATTERN = /^(明治|大正|昭和|平成|令和|[MTSHR])\.?(元|\d{1,2})(?:年|[./-])(\d{1,2})(?:月|[./-])(\d{1,2})日?$/i;
+
+/**
+ * 西暦：年 + 月 + 日（2024/4/1 / 2024-04-01 / 2024.4.1 / 2024年4月1日）
+ */
+const WESTERN_PATTERN = /^(\d{4})(?:年|[./-])(\d{1,2})(?:月|[./-])(\d{1,2})日?$/;
+
+/**
+ * 西暦：区切りなし8桁（20240401）
+ */
+const COMPACT_PATTERN = /^(\d{4})(\d{2})(\d{2})$/;
+
+/**
+ * format のトークン（長いものを先に判定する）
+ */
+const FORMAT_TOKEN = /GGGG|YYYY|MM|DD|ee|G|M|D|e/g;
+
+/**
+ * ハイフンとして扱う文字
+ * @type {ReadonlySet<string>}
+ */
+const hyphenLike = new Set([
+	"‐", // U+2010 HYPHEN
+	"‑", // U+2011 NON-BREAKING HYPHEN
+	"‒", // U+2012 FIGURE DASH
+	"–", // U+2013 EN DASH
+	"—", // U+2014 EM DASH
+	"―", // U+2015 HORIZONTAL BAR
+	"−" // U+2212 MINUS SIGN
+]);
+
+/**
+ * 入力文字を日付として解釈しやすい形にそろえる
+ * - 全角英数字・記号を半角へ
+ * - ハイフン類を "-" へ
+ * - 空白は除去
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeDateChars(value) {
+	let out = "";
+	for (const ch of String(value)) {
+		const code = ch.charCodeAt(0);
+		if (code >= 0xFF01 && code <= 0xFF5E) {
+			out += String.fromCharCode(code - 0xFEE0);
+		} else if (hyphenLike.has(ch)) {
+			out += "-";
+		} else if (/\s/.test(ch)) {
+			continue;
+		} else {
+			out += ch;
+		}
+	}
+	return out;
+}
+
+/**
+ * 元号を名前または略称から探す
+ * @param {string} s
+ * @returns {Era|null}
+ */
+function findEra(s) {
+	const upper = s.toUpperCase();
+	return ERAS.find((era) => era.name === s || era.abbr === upper) ?? null;
+}
+
+/**
+ * 文字列を日付の各要素へ分解する（形式として解釈できなければ null）
+ * @param {string} value
+ * @returns {DateParts|null}
+ */
+function parseDateParts(value) {
+	const s = normalizeDateChars(value);
+
+	const eraMatch = s.match(ERA_PATTERN);
+	if (eraMatch) {
+		const era = /** @type {Era} */ (findEra(eraMatch[1]));
+		const eraYear = eraMatch[2] === "元" ? 1 : Number(eraMatch[2]);
+		return {
+			year: Number(era.start.slice(0, 4)) + eraYear - 1,
+			month: Number(eraMatch[3]),
+			day: Number(eraMatch[4]),
+			era
+		};
+	}
+
+	const m = s.match(WESTERN_PATTERN) ?? s.match(COMPACT_PATTERN);
+	if (m) {
+		return { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]), era: null };
+	}
+
+	return null;
+}
+
+/**
+ * 月の日数
+ * @param {number} year
+ * @param {number} month
+ * @returns {number}
+ */
+function daysInMonth(year, month) {
+	if (month === 2) {
+		const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+		return leap ? 29 : 28;
+	}
+	return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+/**
+ * 2桁ゼロ埋め
+ * @param {number} n
+ * @returns {string}
+ */
+function pad2(n) {
+	return String(n).padStart(2, "0");
+}
+
+/**
+ * 日付の各要素を YYYY-MM-DD にする
+ * - 実在しない日付（2月30日など）や、元号の期間外（平成32年など）は null
+ * @param {DateParts} parts
+ * @returns {string|null}
+ */
+function toIsoDate(parts) {
+	const { year, month, day, era } = parts;
+	if (year < 1 || year > 9999 || month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) {
+		return null;
+	}
+
+	const iso = `${String(year).padStart(4, "0")}-${pad2(month)}-${pad2(day)}`;
+
+	if (era) {
+		const next = ERAS[ERAS.indexOf(era) + 1];
+		if (iso < era.start || (next && iso >= next.start)) {
+			return null;
+		}
+	}
+
+	return iso;
+}
+
+/**
+ * 文字列を YYYY-MM-DD にする（解釈できない / 実在しない日付なら null）
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseDate(value) {
+	const parts = parseDateParts(value);
+	return parts ? toIsoDate(parts) : null;
+}
+
+/**
+ * YYYY-MM-DD を format に従って整形する
+ * - 元号のトークンがあるのに明治より前の日付なら null
+ * @param {string} iso
+ * @param {string} format
+ * @param {boolean} gannen
+ * @returns {string|null}
+ */
+function formatDate(iso, format, gannen) {
+	const year = Number(iso.slice(0, 4));
+	const month = Number(iso.slice(5, 7));
+	const day = Number(iso.slice(8, 10));
+
+	/** @type {Era|null} */
+	let era = null;
+	for (const e of ERAS) {
+		if (e.start <= iso) {
+			era = e;
+		}
+	}
+	const eraYear = era ? year - Number(era.start.slice(0, 4)) + 1 : 0;
+
+	let failed = false;
+	const out = format.replace(FORMAT_TOKEN, (token) => {
+		switch (token) {
+			case "YYYY": return iso.slice(0, 4);
+			case "MM": return pad2(month);
+			case "M": return String(month);
+			case "DD": return pad2(day);
+			case "D": return String(day);
+			default: break;
+		}
+
+		if (!era) {
+			failed = true;
+			return token;
+		}
+		switch (token) {
+			case "GGGG": return era.name;
+			case "G": return era.abbr;
+			case "ee": return gannen && eraYear === 1 ? "元" : pad2(eraYear);
+			default: return gannen && eraYear === 1 ? "元" : String(eraYear);
+		}
+	});
+
+	return failed ? null : out;
+}
+
+/**
+ * min / max オプションを YYYY-MM-DD にする
+ * @param {"min"|"max"} name
+ * @param {string|undefined} value
+ * @returns {string|undefined}
+ */
+function parseLimit(name, value) {
+	if (value == null) {
+		return;
+	}
+	const iso = parseDate(value);
+	if (iso == null) {
+		throw new Error(`Invalid ${name}: ${value}`);
+	}
+	return iso;
+}
+
+/**
+ * date ルールを生成する
+ *
+ * 入力できる形式
+ * - 西暦：2024/4/1, 2024-04-01, 2024.4.1, 2024年4月1日, 20240401
+ * - 和暦：R6.4.1, R06/04/01, 令和6年4月1日, 令和元年5月1日（明治〜令和）
+ * - 全角数字・全角記号も可
+ *
+ * 動作
+ * - raw は確定時に YYYY-MM-DD へ正規化する（解釈できない場合はそのまま残してエラー）
+ * - format 指定時は確定時の表示を整形する
+ * - 実在しない日付、min / max の範囲外はエラー
+ * - 入力中は形式として解釈できない値や実在しない日付（入力途中）をエラーにしない
+ * - min / max が解釈できない日付なら例外
+ *
+ * @param {DateRuleOptions} [options]
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function date(options = {}) {
+	/** @type {DateRuleOptions} */
+	const opt = {
+		format: typeof options.format === "string" && options.format !== "" ? options.format : undefined,
+		min: parseLimit("min", options.min),
+		max: parseLimit("max", options.max),
+		gannen: options.gannen ?? false
+	};
+
+	return {
+		name: "date",
+		targets: ["input"],
+
+		normalizeChar(value, ctx) {
+			return normalizeDateChars(value);
+		},
+
+		validate(value, ctx) {
+			if (value === "") {
+				return;
+			}
+
+			const parts = parseDateParts(value);
+			if (!parts) {
+				// 入力途中（2024/4 など）はうるさくしない
+				if (ctx.source === "commit") {
+					ctx.pushError({
+						code: "date.invalid",
+						rule: "date",
+						phase: "validate",
+						detail: { value }
+					});
+				}
+				return;
+			}
+
+			const iso = toIsoDate(parts);
+			if (iso == null) {
+				// 入力途中（2024/02/0 など）も実在しない日付になるので、確定時だけエラーにする
+				if (ctx.source === "commit") {
+					ctx.pushError({
+						code: "date.invalid",
+						rule: "date",
+						phase: "validate",
+						detail: { value }
+					});
+				}
+				return;
+			}
+
+			if (opt.min != null && iso < opt.min) {
+				ctx.pushError({
+					code: "date.min_underflow",
+					rule: "date",
+					phase: "validate",
+					detail: { limit: opt.min, actual: iso }
+				});
+			}
+			if (opt.max != null && iso > opt.max) {
+				ctx.pushError({
+					code: "date.max_overflow",
+					rule: "date",
+					phase: "validate",
+					detail: { limit: opt.max, actual: iso }
+				});
+			}
+		},
+
+		fix(value, ctx) {
+			if (value === "") {
+				return value;
+			}
+			// 解釈できない値は直さない（validate でエラーにする）
+			return parseDate(value) ?? value;
+		},
+
+		format(value, ctx) {
+			if (opt.format == null || value === "") {
+				return value;
+			}
+			if (parseDate(value) !== value) {
+				return value;
+			}
+			return formatDate(value, opt.format, opt.gannen ?? false) ?? value;
+		}
+	};
+}
+
+/**
+ * datasetから date ルールを生成する
+ * - data-tig-rules-date が無ければ null
+ * - オプションは data-tig-rules-date-xxx から読む
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-date          -> dataset.tigRulesDate
+ * - data-tig-rules-date-format   -> dataset.tigRulesDateFormat
+ * - data-tig-rules-date-min      -> dataset.tigRulesDateMin
+ * - data-tig-rules-date-max      -> dataset.tigRulesDateMax
+ * - data-tig-rules-date-gannen   -> dataset.tigRulesDateGannen
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+date.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesDate == null) {
+		return null;
+	}
+
+	/** @type {DateRuleOptions} */
+	const options = {};
+
+	if (dataset.tigRulesDateFormat != null) {
+		options.format = dataset.tigRulesDateFormat;
+	}
+	if (dataset.tigRulesDateMin != null) {
+		options.min = dataset.tigRulesDateMin;
+	}
+	if (dataset.tigRulesDateMax != null) {
+		options.max = dataset.tigRulesDateMax;
+	}
+
+	const gannen = parseDatasetBool(dataset.tigRulesDateGannen);
+	if (gannen != null) {
+		options.gannen = gannen;
+	}
+
+	return date(options);
+};
@@ -0,0 +1,169 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { date } from "./date.js";
+
+const makeCtx = function ({ source = "input" } = {}) {
+	/** @type {any[]} */
+	const errors = [];
+
+	/** @type {any} */
+	const ctx = {
+		source,
+		pushError(e) { errors.push(e); },
+		_getErrors() { return errors; }
+	};
+
+	return ctx;
+};
+
+// normalizeChar → fix の順で通した raw を返す
+function commit(rule, value) {
+	return rule.fix(rule.normalizeChar(value, makeCtx()), makeCtx({ source: "commit" }));
+}
+
+test("date - fix: 西暦の各形式を YYYY-MM-DD にする", () => {
+	const rule = date();
+
+	assert.equal(commit(rule, "2024/4/1"), "2024-04-01");
+	assert.equal(commit(rule, "2024-04-01"), "2024-04-01");
+	assert.equal(commit(rule, "2024.4.1"), "2024-04-01");
+	assert.equal(commit(rule, "2024年4月1日"), "2024-04-01");
+	assert.equal(commit(rule, "20240401"), "2024-04-01");
+	assert.equal(commit(rule, "２０２４／０４／０１"), "2024-04-01");
+	assert.equal(commit(rule, "２０２４０４０１"), "2024-04-01");
+});
+
+test("date - fix: 和暦（明治〜令和、元年、略称）を YYYY-MM-DD にする", () => {
+	const rule = date();
+
+	assert.equal(commit(rule, "R6.4.1"), "2024-04-01");
+	assert.equal(commit(rule, "r06/04/01"), "2024-04-01");
+	assert.equal(commit(rule, "令和6年4月1日"), "2024-04-01");
+	assert.equal(commit(rule, "令和元年5月1日"), "2019-05-01");
+	assert.equal(commit(rule, "Ｈ３１．４．３０"), "2019-04-30");
+	assert.equal(commit(rule, "平成元年1月8日"), "1989-01-08");
+	assert.equal(commit(rule, "昭和64年1月7日"), "1989-01-07");
+	assert.equal(commit(rule, "大正15年12月24日"), "1926-12-24");
+	assert.equal(commit(rule, "明治45年7月29日"), "1912-07-29");
+});
+
+test("date - fix: 解釈できない / 実在しない日付はそのまま残す", () => {
+	const rule = date();
+
+	assert.equal(commit(rule, "2024/4"), "2024/4");
+	assert.equal(commit(rule, "2023/2/29"), "2023/2/29");
+	assert.equal(commit(rule, ""), "");
+});
+
+test("date - validate: 実在しない日付と元号の期間外は date.invalid", () => {
+	const rule = date();
+
+	for (const value of ["2023-02-29", "2024/4/31", "2024/13/1", "平成31年5月1日", "令和元年4月30日", "H32.1.1"]) {
+		const ctx = makeCtx({ source: "commit" });
+		rule.validate(value, ctx);
+		assert.equal(ctx._getErrors().length, 1, value);
+		assert.equal(ctx._getErrors()[0].code, "date.invalid");
+	}
+
+	const ok = makeCtx({ source: "commit" });
+	rule.validate("2024-02-29", ok);
+	assert.deepEqual(ok._getErrors(), []);
+});
+
+test("date - validate: 入力途中で実在しない日付になっている間はエラーにしない", () => {
+	const rule = date();
+
+	for (const value of ["2024/02/0", "2024/2/3", "2024/1", "R6.4.0"]) {
+		const ctx = makeCtx({ source: "input" });
+		rule.validate(value, ctx);
+		assert.deepEqual(ctx._getErrors(), [], value);
+	}
+
+	const commitCtx = makeCtx({ source: "commit" });
+	rule.validate("2024/02/0", commitCtx);
+	assert.equal(commitCtx._getErrors()[0].code, "date.invalid");
+});
+
+test("date - options: 解釈できない min / max は例外にする", () => {
+	assert.throws(() => date({ min: "2024/13/1" }), /Invalid min: 2024\/13\/1/);
+	assert.throws(() => date({ max: "tomorrow" }), /Invalid max: tomorrow/);
+	assert.throws(() => date.fromDataset({ tigRulesDate: "", tigRulesDateMin: "R6" }, null), /Invalid min/);
+});
+
+test("date - validate: 解釈できない値は確定時だけエラーにする", () => {
+	const rule = date();
+
+	const input = makeCtx({ source: "input" });
+	rule.validate("2024/4", input);
+	assert.deepEqual(input._getErrors(), []);
+
+	const commitCtx = makeCtx({ source: "commit" });
+	rule.validate("2024/4", commitCtx);
+	assert.equal(commitCtx._getErrors().length, 1);
+	assert.deepEqual(commitCtx._getErrors()[0], {
+		code: "date.invalid",
+		rule: "date",
+		phase: "validate",
+		detail: { value: "2024/4" }
+	});
+});
+
+test("date - validate: min / max（和暦でも指定できる）", () => {
+	const rule = date({ min: "R1.5.1", max: "2024-12-31" });
+
+	const under = makeCtx();
+	rule.validate("2019-04-30", under);
+	assert.deepEqual(under._getErrors()[0], {
+		code: "date.min_underflow",
+		rule: "date",
+		phase: "validate",
+		detail: { limit: "2019-05-01", actual: "2019-04-30" }
+	});
+
+	const over = makeCtx();
+	rule.validate("2025-01-01", over);
+	assert.equal(over._getErrors()[0].code, "date.max_overflow");
+
+	const ok = makeCtx();
+	rule.validate("令和元年5月1日", ok);
+	assert.deepEqual(ok._getErrors(), []);
+});
+
+test("date - format: 指定した表示形式で整形する", () => {
+	assert.equal(date().format("2024-04-01", makeCtx()), "2024-04-01");
+	assert.equal(date({ format: "YYYY年MM月DD日" }).format("2024-04-01", makeCtx()), "2024年04月01日");
+	assert.equal(date({ format: "GGGGe年M月D日" }).format("2024-04-01", makeCtx()), "令和6年4月1日");
+	assert.equal(date({ format: "Gee.MM.DD" }).format("1989-01-08", makeCtx()), "H01.01.08");
+	assert.equal(date({ format: "GGGGe年M月D日", gannen: true }).format("2019-05-01", makeCtx()), "令和元年5月1日");
+
+	// 整形できない値はそのまま
+	assert.equal(date({ format: "YYYY年MM月DD日" }).format("2024/4", makeCtx()), "2024/4");
+	assert.equal(date({ format: "GGGGe年" }).format("1868-01-01", makeCtx()), "1868-01-01");
+});
+
+test("date - format: 整形した表示を再び解釈できる", () => {
+	const rule = date({ format: "GGGGe年M月D日", gannen: true });
+
+	const display = rule.format("2019-05-01", makeCtx());
+	assert.equal(commit(rule, display), "2019-05-01");
+});
+
+test("date - fromDataset: data-tig-rules-date-* からオプションを読む", () => {
+	assert.equal(date.fromDataset({}, null), null);
+
+	const rule = date.fromDataset({
+		tigRulesDate: "",
+		tigRulesDateFormat: "GGGGe年M月D日",
+		tigRulesDateMin: "2000-01-01",
+		tigRulesDateGannen: "true"
+	}, null);
+
+	assert.equal(rule.name, "date");
+	assert.equal(rule.format("2019-05-01", makeCtx()), "令和元年5月1日");
+
+	const ctx = makeCtx();
+	rule.validate("1999-12-31", ctx);
+	assert.equal(ctx._getErrors()[0].code, "date.min_underflow");
+});
@@ -54,6 +54,16 @@ function splitNumber(value) {
 	return { sign, intPart, fracPart, hasDot: true };
 }
 
+/**
+ * numericルール後の値（数字/./-のみ）か
+ * - numeric の allowKanji で、変換できない漢数字が残っている場合は false
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isPlainNumber(value) {
+	return /^-?\d*\.?\d*$/.test(value);
+}
+
 /**
  * 整数部の桁数を数える（先頭ゼロを含める/含めないを選べる）
  * @param {string} intPart
@@ -181,6 +191,9 @@ export function digits(options = {}) {
 			// 入力途中は極力うるさくしない（numericのfixに任せる）
 			if (v === "" || v === "-" || v === "." || v === "-.") { return; }
 
+			// 数値になっていない値は numeric 側でエラーにする
+			if (!isPlainNumber(v)) { return; }
+
 			const { intPart, fracPart } = splitNumber(v);
 
 			// 整数部桁数
@@ -240,6 +253,7 @@ export function digits(options = {}) {
 		fix(value, _ctx) {
 			const v = String(value);
 			if (v === "" || v === "-" || v === "." || v === "-.") { return v; }
+			if (!isPlainNumber(v)) { return v; }
 
 			const parts = splitNumber(v);
 			let { intPart, fracPart } = parts;
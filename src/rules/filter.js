@@ -296,7 +296,7 @@ export function filter(options = {}) {
 
 	return {
 		name: "filter",
-		targets: ["input", "textarea"],
+		targets: ["input", "textarea", "contenteditable"],
 
 		/**
 		 * 許可集合で落とす（drop モードのみ）
@@ -26,7 +26,7 @@ test("filter - filter(): rule shape（name/targets/normalizeChar/validate）", (
 	const rule = filter();
 
 	assert.equal(rule.name, "filter");
-	assert.deepEqual(rule.targets, ["input", "textarea"]);
+	assert.deepEqual(rule.targets, ["input", "textarea", "contenteditable"]);
 	assert.equal(typeof rule.normalizeChar, "function");
 	assert.equal(typeof rule.validate, "function");
 });
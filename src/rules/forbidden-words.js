@@ -0,0 +1,221 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import Mojix from "./libs/mojix.js";
+import { parseDatasetBool, parseDatasetEnum, parseDatasetStringList } from "./_dataset.js";
+
+/**
+ * forbiddenWords ルールのオプション
+ * @typedef {Object} ForbiddenWordsRuleOptions
+ * @property {string[]} [words=[]] - 禁止する語
+ * @property {"block"|"error"} [mode="block"] - 禁止語が含まれたときの挙動
+ * @property {boolean} [ignoreSpaces=true] - 空白を無視して照合する（"ば か" も "ばか" として扱う）
+ */
+
+/**
+ * 禁止語が見つかった位置
+ * @typedef {Object} ForbiddenWordMatch
+ * @property {string} word - 見つかった禁止語（words に指定した形）
+ * @property {number} index - 入力値の中の開始位置（UTF-16 のインデックス）
+ * @property {number} length - 入力値の中の長さ（UTF-16 の長さ。間の空白も含む）
+ */
+
+/**
+ * 照合の単位（半角カナは濁点・半濁点までを1単位にする）
+ */
+const UNIT = /[ｦ-ﾝ][ﾞﾟ]?|[\s\S]/gu;
+
+/**
+ * 照合用に正規化する
+ * - 全角英数字 → 半角、英大文字 → 小文字
+ * - 半角カナ → 全角、カタカナ → ひらがな
+ * @param {string} text
+ * @returns {string}
+ */
+const normalizeForMatch = function(text) {
+	return Mojix.toHiragana(Mojix.toFullWidthKana(Mojix.toHalfWidthAsciiCode(text))).toLowerCase();
+};
+
+/**
+ * 値を正規化し、正規化後の各文字が元の値のどこから来たかを記録する
+ * @param {string} value
+ * @param {boolean} ignoreSpaces
+ * @returns {{ text: string, starts: number[], ends: number[] }}
+ */
+const mapNormalized = function(value, ignoreSpaces) {
+	let text = "";
+
+	/**
+	 * 正規化後の各文字に対応する、元の値の開始位置
+	 * @type {number[]}
+	 */
+	const starts = [];
+
+	/**
+	 * 正規化後の各文字に対応する、元の値の終了位置
+	 * @type {number[]}
+	 */
+	const ends = [];
+
+	for (const m of value.matchAll(UNIT)) {
+		const unit = normalizeForMatch(m[0]);
+		if (ignoreSpaces && /^\s*$/.test(unit)) {
+			continue;
+		}
+		const start = /** @type {number} */ (m.index);
+		for (let i = 0; i < unit.length; i++) {
+			starts.push(start);
+			ends.push(start + m[0].length);
+		}
+		text += unit;
+	}
+
+	return { text, starts, ends };
+};
+
+/**
+ * forbiddenWords ルールを生成する
+ * - 全角/半角・ひらがな/カタカナ・英大文字/小文字の違いや、間に入れた空白を無視して照合する
+ * @param {ForbiddenWordsRuleOptions} [options]
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function forbiddenWords(options = {}) {
+	/** @type {ForbiddenWordsRuleOptions} */
+	const opt = {
+		words: Array.isArray(options.words) ? options.words : [],
+		mode: options.mode ?? "block",
+		ignoreSpaces: options.ignoreSpaces ?? true
+	};
+
+	/**
+	 * 照合用に正規化した禁止語（空になる語は除く）
+	 * @type {{ word: string, key: string }[]}
+	 */
+	const patterns = [];
+	for (const word of /** @type {string[]} */ (opt.words)) {
+		let key = normalizeForMatch(String(word));
+		if (opt.ignoreSpaces) {
+			key = key.replace(/\s/g, "");
+		}
+		if (key !== "") {
+			patterns.push({ word: String(word), key });
+		}
+	}
+
+	/**
+	 * 禁止語を探す
+	 * @param {string} value
+	 * @returns {ForbiddenWordMatch[]}
+	 */
+	const findMatches = function(value) {
+		const { text, starts, ends } = mapNormalized(value, /** @type {boolean} */ (opt.ignoreSpaces));
+
+		/** @type {ForbiddenWordMatch[]} */
+		const matches = [];
+		for (const { word, key } of patterns) {
+			let i = text.indexOf(key);
+			while (i !== -1) {
+				const index = starts[i];
+				matches.push({ word, index, length: ends[i + key.length - 1] - index });
+				i = text.indexOf(key, i + key.length);
+			}
+		}
+		return matches.sort((a, b) => a.index - b.index);
+	};
+
+	return {
+		name: "forbiddenWords",
+		targets: ["input", "textarea", "contenteditable"],
+
+		/**
+		 * 禁止語の検査
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {void}
+		 */
+		validate(value, ctx) {
+			const v = String(value);
+			if (v === "" || patterns.length === 0) {
+				return;
+			}
+
+			const matches = findMatches(v);
+			if (matches.length === 0) {
+				return;
+			}
+
+			/** @type {string[]} */
+			const words = [];
+			for (const m of matches) {
+				if (!words.includes(m.word)) {
+					words.push(m.word);
+				}
+			}
+
+			const detail = { count: matches.length, words, matches };
+			// 確定時は巻き戻す先が無いので、block でもエラーにする
+			if (opt.mode === "block" && ctx.source !== "commit") {
+				// 編集前から含まれていた禁止語（setValue や確定済みの値）はエラーにするだけで、ほかの編集は止めない
+				if (matches.length > findMatches(ctx.previousText ?? "").length) {
+					ctx.requestRevert({ reason: "forbiddenWords.found", detail });
+					return;
+				}
+			}
+			ctx.pushError({
+				code: "forbiddenWords.found",
+				rule: "forbiddenWords",
+				phase: "validate",
+				detail
+			});
+		}
+	};
+}
+
+/**
+ * datasetから forbiddenWords ルールを生成する
+ * - data-tig-rules-forbidden-words が無ければ null
+ * - オプションは data-tig-rules-forbidden-words-xxx から読む
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-forbidden-words                  -> dataset.tigRulesForbiddenWords
+ * - data-tig-rules-forbidden-words-words            -> dataset.tigRulesForbiddenWordsWords（カンマ区切り）
+ * - data-tig-rules-forbidden-words-mode             -> dataset.tigRulesForbiddenWordsMode
+ * - data-tig-rules-forbidden-words-ignore-spaces    -> dataset.tigRulesForbiddenWordsIgnoreSpaces
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+forbiddenWords.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesForbiddenWords == null) {
+		return null;
+	}
+
+	/** @type {ForbiddenWordsRuleOptions} */
+	const options = {};
+
+	const words = parseDatasetStringList(dataset.tigRulesForbiddenWordsWords);
+	if (words != null) {
+		options.words = words;
+	}
+
+	const mode = parseDatasetEnum(dataset.tigRulesForbiddenWordsMode, ["block", "error"]);
+	if (mode != null) {
+		options.mode = mode;
+	}
+
+	const ignoreSpaces = parseDatasetBool(dataset.tigRulesForbiddenWordsIgnoreSpaces);
+	if (ignoreSpaces != null) {
+		options.ignoreSpaces = ignoreSpaces;
+	}
+
+	return forbiddenWords(options);
+};
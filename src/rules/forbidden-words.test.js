@@ -0,0 +1,122 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { forbiddenWords } from "./forbidden-words.js";
+import { createPipeline } from "../pipeline.js";
+
+const makeCtx = function (props = {}) {
+	/** @type {any[]} */
+	const errors = [];
+	/** @type {any[]} */
+	const reverts = [];
+
+	/** @type {any} */
+	const ctx = {
+		source: "input",
+		pushError(e) { errors.push(e); },
+		requestRevert(req) { reverts.push(req); },
+		_getErrors() { return errors; },
+		_getReverts() { return reverts; },
+		...props
+	};
+
+	return ctx;
+};
+
+// テスト用：error モードで検査して matches を返す
+const matchesOf = function (rule, value) {
+	const ctx = makeCtx();
+	rule.validate(value, ctx);
+	const error = ctx._getErrors()[0];
+	return error ? error.detail.matches : [];
+};
+
+test("forbiddenWords - validate: 全角/半角・ひらがな/カタカナ・大文字/小文字・空白の違いを無視する", () => {
+	const rule = forbiddenWords({ words: ["ばか", "spam"], mode: "error" });
+
+	assert.deepEqual(matchesOf(rule, "ばか"), [{ word: "ばか", index: 0, length: 2 }]);
+	assert.deepEqual(matchesOf(rule, "あいつはバカだ"), [{ word: "ばか", index: 4, length: 2 }]);
+	assert.deepEqual(matchesOf(rule, "ﾊﾞｶ"), [{ word: "ばか", index: 0, length: 3 }]);
+	assert.deepEqual(matchesOf(rule, "ば　か"), [{ word: "ばか", index: 0, length: 3 }]);
+	assert.deepEqual(matchesOf(rule, "ＳＰＡＭ"), [{ word: "spam", index: 0, length: 4 }]);
+	assert.deepEqual(matchesOf(rule, "S p A m"), [{ word: "spam", index: 0, length: 7 }]);
+
+	assert.deepEqual(matchesOf(rule, "はか"), []);
+});
+
+test("forbiddenWords - validate: 見つかった語と位置を detail に入れる", () => {
+	const ctx = makeCtx();
+	forbiddenWords({ words: ["ばか", "あほ"], mode: "error" }).validate("アホとばかとバカ", ctx);
+	assert.deepEqual(ctx._getErrors(), [{
+		code: "forbiddenWords.found",
+		rule: "forbiddenWords",
+		phase: "validate",
+		detail: {
+			count: 3,
+			words: ["あほ", "ばか"],
+			matches: [
+				{ word: "あほ", index: 0, length: 2 },
+				{ word: "ばか", index: 3, length: 2 },
+				{ word: "ばか", index: 6, length: 2 }
+			]
+		}
+	}]);
+});
+
+test("forbiddenWords - validate: block は入力中に取り消し、確定時はエラーにする", () => {
+	const rule = forbiddenWords({ words: ["ばか"] });
+
+	const input = makeCtx();
+	rule.validate("ばーか ばか", input);
+	assert.equal(input._getReverts()[0].reason, "forbiddenWords.found");
+	assert.deepEqual(input._getErrors(), []);
+
+	const commit = makeCtx({ source: "commit" });
+	rule.validate("ばか", commit);
+	assert.equal(commit._getErrors()[0].code, "forbiddenWords.found");
+
+	// ignoreSpaces: false なら空白を挟んだ語は別物
+	assert.deepEqual(matchesOf(forbiddenWords({ words: ["ばか"], mode: "error", ignoreSpaces: false }), "ば か"), []);
+});
+
+test("forbiddenWords - validate: block は編集前から含まれていた禁止語では取り消さない", () => {
+	const rule = forbiddenWords({ words: ["ばか"] });
+
+	// 削除や、禁止語と関係ない入力は通し、エラーだけ積む
+	const typed = makeCtx({ previousText: "ばか test" });
+	rule.validate("ばか testx", typed);
+	assert.deepEqual(typed._getReverts(), []);
+	assert.equal(typed._getErrors()[0].code, "forbiddenWords.found");
+
+	const deleted = makeCtx({ previousText: "ばか test", inputType: "deleteContentBackward" });
+	rule.validate("ばか tes", deleted);
+	assert.deepEqual(deleted._getReverts(), []);
+
+	// 新しく禁止語ができる編集は取り消す（削除で文字がつながる場合も）
+	const added = makeCtx({ previousText: "ばか " });
+	rule.validate("ばか ばか", added);
+	assert.equal(added._getReverts()[0].reason, "forbiddenWords.found");
+
+	const joined = makeCtx({ previousText: "ばxか", inputType: "deleteContentBackward" });
+	rule.validate("ばか", joined);
+	assert.equal(joined._getReverts()[0].reason, "forbiddenWords.found");
+});
+
+test("forbiddenWords - pipeline: 確定時に禁止語があれば無効", () => {
+	const pipeline = createPipeline([forbiddenWords({ words: ["ばか"], mode: "error" })]);
+	assert.equal(pipeline.runCommit("ﾊﾞ ｶ").isValid, false);
+	assert.equal(pipeline.runCommit("はかた").isValid, true);
+});
+
+test("forbiddenWords - fromDataset: data-tig-rules-forbidden-words-* からオプションを読む", () => {
+	assert.equal(forbiddenWords.fromDataset({}, null), null);
+
+	const rule = forbiddenWords.fromDataset({
+		tigRulesForbiddenWords: "",
+		tigRulesForbiddenWordsWords: "ばか, spam",
+		tigRulesForbiddenWordsMode: "error"
+	}, null);
+	assert.equal(rule.name, "forbiddenWords");
+	assert.deepEqual(matchesOf(rule, "SPAM"), [{ word: "spam", index: 0, length: 4 }]);
+});
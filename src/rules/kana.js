@@ -32,7 +32,7 @@ export function kana(options = {}) {
 
 	return {
 		name: "kana",
-		targets: ["input", "textarea"],
+		targets: ["input", "textarea", "contenteditable"],
 
 		/**
 		 * かな種別の正規化（入力中に都度かける）
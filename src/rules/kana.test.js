@@ -8,7 +8,7 @@ test("kana - kana(): rule shape（name/targets/normalizeChar）", () => {
 	const rule = kana();
 
 	assert.equal(rule.name, "kana");
-	assert.deepEqual(rule.targets, ["input", "textarea"]);
+	assert.deepEqual(rule.targets, ["input", "textarea", "contenteditable"]);
 	assert.equal(typeof rule.normalizeChar, "function");
 });
 
@@ -143,7 +143,7 @@ export function length(options = {}) {
 
 	return {
 		name: "length",
-		targets: ["input", "textarea"],
+		targets: ["input", "textarea", "contenteditable"],
 
 		normalizeChar(value, ctx) {
 			// block 以外は何もしない
@@ -0,0 +1,252 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import Mojix from "./libs/mojix.js";
+import { parseDatasetNumber, parseDatasetEnum } from "./_dataset.js";
+
+/**
+ * lines ルールのオプション
+ * @typedef {Object} LinesRuleOptions
+ * @property {number} [maxLines] - 最大行数。未指定なら制限なし
+ * @property {number} [maxLineWidth] - 1行あたりの最大長（unit で数える）。未指定なら制限なし
+ * @property {"width"|"grapheme"|"utf-8"|"sjis"|"cp932"} [unit="width"] - 1行の長さの単位（width は全角2・半角1）
+ * @property {"block"|"error"} [mode="block"] - 入力中に制限を超えたときの挙動
+ */
+
+/**
+ * 改行とみなす文字列
+ */
+const NEWLINE = /\r\n|\r|\n/;
+
+/**
+ * 1グラフェム分のテキストが改行か
+ * @param {string} text
+ * @returns {boolean}
+ */
+const isNewline = function(text) {
+	return text === "\n" || text === "\r" || text === "\r\n";
+};
+
+/**
+ * 1行分のテキストの長さを unit で数える（改行は含まない）
+ * @param {string} text
+ * @param {"width"|"grapheme"|"utf-8"|"sjis"|"cp932"} unit
+ * @returns {number}
+ */
+const getLineLength = function(text, unit) {
+	if (text.length === 0) {
+		return 0;
+	}
+	if (unit === "width") {
+		return Mojix.getWidth(text);
+	} else if (unit === "grapheme") {
+		return Mojix.toMojiArrayFromString(text).length;
+	} else if (unit === "utf-8") {
+		return Mojix.toUTF8Array(text).length;
+	} else if (unit === "sjis" || unit === "cp932") {
+		return Mojix.encode(text, "Shift_JIS").length;
+	} else {
+		throw new Error(`Invalid unit: ${unit}`);
+	}
+};
+
+/**
+ * 挿入するテキストを、制限に収まるところまで先頭から切り出す
+ * - 挿入位置の左側（head）の最終行から、1グラフェムずつ伸ばしていく
+ * - 挿入位置の右側（tail）の先頭行は、挿入した最後の行とつながるので一緒に数える
+ * @param {string} head - 挿入位置より前のテキスト
+ * @param {string} insertedText - 挿入するテキスト
+ * @param {string} tail - 挿入位置より後ろのテキスト
+ * @param {LinesRuleOptions} opt
+ * @returns {string} 挿入できるテキスト（全部入るなら insertedText をそのまま返す）
+ */
+const cutLines = function(head, insertedText, tail, opt) {
+	const headLines = head.split(NEWLINE);
+	const tailLines = tail.split(NEWLINE);
+	const tailFirstLength = getLineLength(tailLines[0], opt.unit);
+	const maxLines = opt.maxLines ?? Infinity;
+	const maxLineWidth = opt.maxLineWidth ?? Infinity;
+
+	// 挿入した最後の行と tail の先頭行がつながるので、行数は1行重なる
+	let lineCount = headLines.length + tailLines.length - 1;
+	let currentLength = getLineLength(headLines[headLines.length - 1], opt.unit);
+
+	// すでに制限を超えている場合は追加のテキストを全て切る
+	if (lineCount > maxLines || currentLength + tailFirstLength > maxLineWidth) {
+		return "";
+	}
+
+	const graphemeArray = Mojix.toMojiArrayFromString(insertedText);
+
+	/**
+	 * 挿入できた位置（UTF-16 のインデックス）
+	 */
+	let acceptedLength = 0;
+
+	for (let i = 0; i < graphemeArray.length; i++) {
+		const gText = Mojix.toStringFromMojiArray([graphemeArray[i]]);
+
+		// "\r\n" は "\r" で改行済みなので、続く "\n" は数えない
+		if (gText === "\n" && insertedText[acceptedLength - 1] === "\r") {
+			acceptedLength += gText.length;
+			continue;
+		}
+
+		if (isNewline(gText)) {
+			// 改行すると tail の先頭行は新しい行へ移る
+			if (lineCount + 1 > maxLines || tailFirstLength > maxLineWidth) {
+				break;
+			}
+			lineCount++;
+			currentLength = 0;
+		} else {
+			const nextLength = currentLength + getLineLength(gText, opt.unit);
+			if (nextLength + tailFirstLength > maxLineWidth) {
+				break;
+			}
+			currentLength = nextLength;
+		}
+		acceptedLength += gText.length;
+	}
+
+	return insertedText.slice(0, acceptedLength);
+};
+
+/**
+ * lines ルールを生成する
+ * - textarea 向け。帳票などの「N行 × 1行M桁」の制限を想定
+ * @param {LinesRuleOptions} [options]
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function lines(options = {}) {
+	/** @type {LinesRuleOptions} */
+	const opt = {
+		maxLines: typeof options.maxLines === "number" ? options.maxLines : undefined,
+		maxLineWidth: typeof options.maxLineWidth === "number" ? options.maxLineWidth : undefined,
+		unit: options.unit ?? "width",
+		mode: options.mode ?? "block"
+	};
+
+	return {
+		name: "lines",
+		targets: ["textarea"],
+
+		/**
+		 * block のときは、制限に収まるところまで挿入を切る
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {string}
+		 */
+		normalizeChar(value, ctx) {
+			// block 以外は何もしない
+			if (opt.mode !== "block") {
+				return value;
+			}
+			// 制限が無ければ何もしない
+			if (typeof opt.maxLines !== "number" && typeof opt.maxLineWidth !== "number") {
+				return value;
+			}
+
+			const beforeText = ctx.beforeText ?? "";
+			const head = beforeText.slice(0, ctx.replaceStart);
+			const tail = beforeText.slice(ctx.replaceStart);
+			return cutLines(head, value, tail, opt);
+		},
+
+		/**
+		 * error のときは、行数と各行の長さを検査する
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {void}
+		 */
+		validate(value, ctx) {
+			// error 以外は何もしない
+			if (opt.mode !== "error") {
+				return;
+			}
+
+			const lineArray = String(value).split(NEWLINE);
+
+			if (typeof opt.maxLines === "number" && lineArray.length > opt.maxLines) {
+				ctx.pushError({
+					code: "lines.max_lines",
+					rule: "lines",
+					phase: "validate",
+					detail: { line: opt.maxLines + 1, limit: opt.maxLines, actual: lineArray.length }
+				});
+			}
+
+			if (typeof opt.maxLineWidth === "number") {
+				for (let i = 0; i < lineArray.length; i++) {
+					const len = getLineLength(lineArray[i], opt.unit);
+					if (len > opt.maxLineWidth) {
+						ctx.pushError({
+							code: "lines.max_width",
+							rule: "lines",
+							phase: "validate",
+							detail: { line: i + 1, limit: opt.maxLineWidth, actual: len, unit: opt.unit }
+						});
+					}
+				}
+			}
+		}
+	};
+}
+
+/**
+ * datasetから lines ルールを生成する
+ * - data-tig-rules-lines が無ければ null
+ * - オプションは data-tig-rules-lines-xxx から読む
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-lines                     -> dataset.tigRulesLines
+ * - data-tig-rules-lines-max-lines           -> dataset.tigRulesLinesMaxLines
+ * - data-tig-rules-lines-max-line-width      -> dataset.tigRulesLinesMaxLineWidth
+ * - data-tig-rules-lines-unit                -> dataset.tigRulesLinesUnit
+ * - data-tig-rules-lines-mode                -> dataset.tigRulesLinesMode
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+lines.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesLines == null) {
+		return null;
+	}
+
+	/** @type {LinesRuleOptions} */
+	const options = {};
+
+	const maxLines = parseDatasetNumber(dataset.tigRulesLinesMaxLines);
+	if (maxLines != null) {
+		options.maxLines = maxLines;
+	}
+
+	const maxLineWidth = parseDatasetNumber(dataset.tigRulesLinesMaxLineWidth);
+	if (maxLineWidth != null) {
+		options.maxLineWidth = maxLineWidth;
+	}
+
+	const unit = parseDatasetEnum(
+		dataset.tigRulesLinesUnit,
+		["width", "grapheme", "utf-8", "sjis", "cp932"]
+	);
+	if (unit != null) {
+		options.unit = unit;
+	}
+
+	const mode = parseDatasetEnum(dataset.tigRulesLinesMode, ["block", "error"]);
+	if (mode != null) {
+		options.mode = mode;
+	}
+
+	return lines(options);
+};
@@ -0,0 +1,116 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { lines } from "./lines.js";
+import { createPipeline } from "../pipeline.js";
+
+const makeCtx = function (props = {}) {
+	/** @type {any[]} */
+	const errors = [];
+
+	/** @type {any} */
+	const ctx = {
+		source: "input",
+		beforeText: "",
+		replaceStart: 0,
+		pushError(e) { errors.push(e); },
+		requestRevert() {},
+		_getErrors() { return errors; },
+		...props
+	};
+
+	return ctx;
+};
+
+test("lines - normalizeChar(block): 行数の上限を超える改行は入れない", () => {
+	const rule = lines({ maxLines: 2 });
+
+	assert.equal(rule.normalizeChar("\n", makeCtx({ beforeText: "abc", replaceStart: 3 })), "\n");
+	assert.equal(rule.normalizeChar("\n", makeCtx({ beforeText: "abc\ndef", replaceStart: 7 })), "");
+
+	// 貼り付けは収まるところまで
+	assert.equal(rule.normalizeChar("a\nb\nc", makeCtx()), "a\nb");
+	assert.equal(rule.normalizeChar("a\r\nb\r\nc", makeCtx()), "a\r\nb");
+});
+
+test("lines - normalizeChar(block): 1行の幅は挿入位置の右側も含めて数える", () => {
+	const rule = lines({ maxLineWidth: 6 });
+
+	// 全角は2、半角は1
+	assert.equal(rule.normalizeChar("あいうえ", makeCtx()), "あいう");
+	assert.equal(rule.normalizeChar("xyz", makeCtx({ beforeText: "ab\ncd", replaceStart: 1 })), "xyz");
+	assert.equal(rule.normalizeChar("xyz", makeCtx({ beforeText: "abcd", replaceStart: 1 })), "xy");
+
+	// 改行を挟めば右側は次の行へ移る
+	assert.equal(rule.normalizeChar("xy\nzzzzzz", makeCtx({ beforeText: "abcd", replaceStart: 2 })), "xy\nzzzz");
+});
+
+test("lines - normalizeChar(block): unit で長さの数え方を変える", () => {
+	assert.equal(lines({ maxLineWidth: 3, unit: "grapheme" }).normalizeChar("あいうえ", makeCtx()), "あいう");
+	assert.equal(lines({ maxLineWidth: 4, unit: "sjis" }).normalizeChar("あいう", makeCtx()), "あい");
+	assert.equal(lines({ maxLineWidth: 6, unit: "utf-8" }).normalizeChar("あいう", makeCtx()), "あい");
+});
+
+test("lines - validate(error): 行数と行ごとの長さを行番号つきで返す", () => {
+	const rule = lines({ maxLines: 2, maxLineWidth: 4, mode: "error" });
+
+	const ctx = makeCtx();
+	rule.validate("abcde\nab\nあいうえ", ctx);
+	assert.deepEqual(ctx._getErrors(), [
+		{
+			code: "lines.max_lines",
+			rule: "lines",
+			phase: "validate",
+			detail: { line: 3, limit: 2, actual: 3 }
+		},
+		{
+			code: "lines.max_width",
+			rule: "lines",
+			phase: "validate",
+			detail: { line: 1, limit: 4, actual: 5, unit: "width" }
+		},
+		{
+			code: "lines.max_width",
+			rule: "lines",
+			phase: "validate",
+			detail: { line: 3, limit: 4, actual: 8, unit: "width" }
+		}
+	]);
+
+	// error では入力を切らない
+	assert.equal(rule.normalizeChar("abcdefg", makeCtx()), "abcdefg");
+
+	const ok = makeCtx();
+	rule.validate("abcd\nあい", ok);
+	assert.deepEqual(ok._getErrors(), []);
+});
+
+test("lines - pipeline: 確定時は block なら切り、error ならエラーにする", () => {
+	const block = createPipeline([lines({ maxLines: 2, maxLineWidth: 3 })], { kind: "textarea" }).runCommit("abc\ndef\nghi");
+	assert.equal(block.raw, "abc\ndef");
+	assert.equal(block.isValid, true);
+
+	const error = createPipeline([lines({ maxLines: 2, maxLineWidth: 3, mode: "error" })], { kind: "textarea" }).runCommit("abcd\nef");
+	assert.equal(error.raw, "abcd\nef");
+	assert.equal(error.isValid, false);
+	assert.equal(error.errors[0].detail.line, 1);
+});
+
+test("lines - fromDataset: data-tig-rules-lines-* からオプションを読む", () => {
+	assert.equal(lines.fromDataset({}, null), null);
+
+	const rule = lines.fromDataset({
+		tigRulesLines: "",
+		tigRulesLinesMaxLines: "3",
+		tigRulesLinesMaxLineWidth: "10",
+		tigRulesLinesUnit: "grapheme",
+		tigRulesLinesMode: "error"
+	}, null);
+	assert.equal(rule.name, "lines");
+	assert.deepEqual(rule.targets, ["textarea"]);
+
+	const ctx = makeCtx();
+	rule.validate("あいうえおかきくけこさ", ctx);
+	assert.deepEqual(ctx._getErrors()[0].detail, { line: 1, limit: 10, actual: 11, unit: "grapheme" });
+});
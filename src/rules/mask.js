@@ -0,0 +1,324 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import Mojix from "./libs/mojix.js";
+import { parseDatasetBool } from "./_dataset.js";
+
+/**
+ * 組み込みの入力枠（pattern の1文字 → 入力できる文字）
+ * @type {Readonly<Record<string, RegExp>>}
+ */
+const DEFAULT_SLOTS = {
+	"#": /^[0-9]$/,
+	9: /^[0-9]$/,
+	A: /^[A-Za-z]$/,
+	K: /^[ァ-ヺー]$/,
+	"*": /^.$/u
+};
+
+/**
+ * mask ルールのオプション
+ * @typedef {Object} MaskRuleOptions
+ * @property {string} pattern - 入力の形（"#" / "9" 数字、"A" 英字、"K" 全角カタカナ、"*" 任意の1文字、それ以外はリテラル）
+ *   - "\\" の次の文字は常にリテラル（数字の 9 をリテラルにするなら "\\9"）
+ * @property {Record<string, RegExp>} [slots] - 入力枠の追加・上書き（例: { X: /^[0-9A-F]$/ }）
+ * @property {boolean} [upper=false] - 英字を大文字にする
+ */
+
+/**
+ * pattern を分解した1要素
+ * @typedef {Object} MaskToken
+ * @property {"slot"|"literal"} type
+ * @property {string} ch - pattern 上の文字（リテラルならそのまま表示する文字）
+ * @property {RegExp|null} test - 入力枠に入れられる文字（リテラルなら null）
+ */
+
+/**
+ * pattern を入力枠とリテラルに分解する
+ * @param {string} pattern
+ * @param {Readonly<Record<string, RegExp>>} slots
+ * @returns {MaskToken[]}
+ */
+function parsePattern(pattern, slots) {
+	/** @type {MaskToken[]} */
+	const tokens = [];
+	let escaped = false;
+	for (const ch of String(pattern)) {
+		if (!escaped && ch === "\\") {
+			escaped = true;
+			continue;
+		}
+		if (!escaped && ch in slots) {
+			tokens.push({ type: "slot", ch, test: slots[ch] });
+		} else {
+			tokens.push({ type: "literal", ch, test: null });
+		}
+		escaped = false;
+	}
+	return tokens;
+}
+
+/**
+ * 入力マスクルールを生成する
+ * - normalize.char: 全角英数字→半角、ひらがな・半角カナ→全角カタカナ（K がある場合）、入力枠にもリテラルにも使えない文字を除去
+ * - normalize.structure: 入力枠に合う文字だけを順に詰め、リテラルを取り除いた値（raw）にする
+ *   Backspace / Delete でリテラルだけを消そうとした場合は、その隣の入力枠の文字を消す
+ * - validate: 確定時に入力枠が埋まっていなければエラー（空は許可）
+ * - format: 表示にリテラルを付ける（formatOnInput なので入力中も付ける）
+ *   入力中は次の入力枠の手前のリテラルまで自動で挟む（"1234" → "1234-"）
+ *
+ * @param {MaskRuleOptions} options
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function mask(options) {
+	const opt = {
+		upper: options.upper ?? false
+	};
+
+	const tokens = parsePattern(options.pattern ?? "", { ...DEFAULT_SLOTS, ...options.slots });
+	const slotCount = tokens.filter((t) => t.type === "slot").length;
+	const literalChars = new Set(tokens.filter((t) => t.type === "literal").map((t) => t.ch));
+	// かなの入力枠（「*」のような何でも入る枠は除く）があるときだけ、ひらがなをカタカナにする
+	const hasKana = tokens.some((t) => t.test?.test("ア") && !t.test.test("あ"));
+
+	/**
+	 * どこかの入力枠に入れられる文字か
+	 * @param {string} ch
+	 * @returns {boolean}
+	 */
+	function fitsAnySlot(ch) {
+		return tokens.some((t) => t.test?.test(ch));
+	}
+
+	/**
+	 * 値を pattern に当てはめる
+	 * - fromDisplay（表示を読むとき）は、リテラルの位置に同じ文字があればリテラルとして読む
+	 * - それ以外は次の入力枠に合う文字だけを順に詰める（raw にはリテラルが無いため）
+	 * - 後ろのリテラルは、eager なら次の入力枠の手前まで、そうでなければ全部埋まったときだけ付ける
+	 * @param {string} value
+	 * @param {boolean} eager
+	 * @param {boolean} fromDisplay
+	 * @returns {{ display: string, raw: string }}
+	 */
+	function apply(value, eager, fromDisplay) {
+		let display = "";
+		let raw = "";
+		let t = 0;
+		// 最後に入力枠を埋めた位置（後ろのリテラルを付け直すため）
+		let lastDisplayLength = 0;
+		let lastToken = 0;
+
+		for (const ch of value) {
+			if (t >= tokens.length) {
+				break;
+			}
+			if (tokens[t].type === "literal") {
+				if (fromDisplay && ch === tokens[t].ch) {
+					display += ch;
+					t++;
+					continue;
+				}
+				// 入力枠の文字が来たので、間のリテラルを自動で挟む
+				while (t < tokens.length && tokens[t].type === "literal") {
+					display += tokens[t].ch;
+					t++;
+				}
+				if (t >= tokens.length) {
+					break;
+				}
+			}
+			if (tokens[t].test?.test(ch)) {
+				display += ch;
+				raw += ch;
+				t++;
+				lastDisplayLength = display.length;
+				lastToken = t;
+			}
+			// 合わない文字（入力位置がずれたリテラルなど）は捨てる
+		}
+
+		if (raw === "") {
+			return { display: "", raw };
+		}
+
+		display = display.slice(0, lastDisplayLength);
+		const rest = tokens.slice(lastToken);
+		if (eager || !rest.some((x) => x.type === "slot")) {
+			for (const x of rest) {
+				if (x.type === "slot") {
+					break;
+				}
+				display += x.ch;
+			}
+		}
+		return { display, raw };
+	}
+
+	/**
+	 * 値全体を raw にする
+	 * - 表示の形（format の結果そのもの）ならリテラルを読み飛ばし、そうでなければ raw として順に詰める
+	 * - blur では表示の値、setValue では raw が渡るため、どちらでも読めるようにする
+	 * @param {string} value
+	 * @returns {string}
+	 */
+	function toRaw(value) {
+		const raw = apply(value, false, true).raw;
+		if (apply(raw, false, false).display === value || apply(raw, true, false).display === value) {
+			return raw;
+		}
+		return apply(value, false, false).raw;
+	}
+
+	/**
+	 * リテラルだけを消す Backspace / Delete を、隣の入力枠の文字を消す操作に置き換える
+	 * - 入力中の表示は常に pattern に当てはめた形（format の結果）なので、位置で判定できる
+	 * @param {string} value - 削除後の表示の値
+	 * @param {import("../text-input-guard.js").GuardContext} ctx
+	 * @returns {string}
+	 */
+	function skipLiteralOnDelete(value, ctx) {
+		const { inputType, replaceStart, replaceEnd } = ctx;
+		// フォーカス時など、値全体が渡された場合は編集ではない
+		if (replaceEnd <= replaceStart || ctx.beforeText === "") {
+			return value;
+		}
+		for (let i = replaceStart; i < replaceEnd; i++) {
+			if (tokens[i]?.type !== "literal") {
+				return value;
+			}
+		}
+
+		if (inputType === "deleteContentBackward") {
+			for (let i = replaceStart - 1; i >= 0; i--) {
+				if (tokens[i].type === "slot") {
+					return i < value.length ? value.slice(0, i) + value.slice(i + 1) : value;
+				}
+			}
+		} else if (inputType === "deleteContentForward") {
+			for (let i = replaceEnd; i < tokens.length; i++) {
+				if (tokens[i].type === "slot") {
+					// 削除後の値では、消した分だけ位置が前にずれている
+					const index = i - (replaceEnd - replaceStart);
+					return index < value.length ? value.slice(0, index) + value.slice(index + 1) : value;
+				}
+			}
+		}
+		return value;
+	}
+
+	return {
+		name: "mask",
+		targets: ["input"],
+
+		/**
+		 * 文字の正規化（全角英数字→半角、かな→全角カタカナ、大文字化）
+		 * - 入力枠にもリテラルにも使えない文字は除去する
+		 * @param {string} value
+		 * @returns {string}
+		 */
+		normalizeChar(value) {
+			let s = Mojix.toHalfWidthAsciiCode(String(value));
+			if (hasKana) {
+				s = Mojix.toFullWidthKana(Mojix.toKatakana(s));
+			}
+			if (opt.upper) {
+				s = s.toUpperCase();
+			}
+
+			let out = "";
+			for (const ch of s) {
+				if (fitsAnySlot(ch) || literalChars.has(ch)) {
+					out += ch;
+				}
+			}
+			return out;
+		},
+
+		/**
+		 * pattern に当てはめて、リテラルを除いた raw にする
+		 * - 入力中は表示（リテラル入り）を編集した値が渡るので、リテラルだけを消す操作を読み替える
+		 * - 確定時・フォーカス時は値全体が渡るので、表示か raw かを見分けて読む
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} [ctx]
+		 * @returns {string}
+		 */
+		normalizeStructure(value, ctx) {
+			if (!ctx || ctx.source === "commit" || ctx.beforeText === "") {
+				return toRaw(String(value));
+			}
+			return apply(skipLiteralOnDelete(String(value), ctx), false, true).raw;
+		},
+
+		/**
+		 * 確定時に入力枠が埋まっているか検査する（空は許可）
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {void}
+		 */
+		validate(value, ctx) {
+			if (ctx.source !== "commit") {
+				return;
+			}
+			const filled = apply(String(value), false, false).raw.length;
+			if (filled > 0 && filled < slotCount) {
+				ctx.pushError({
+					code: "mask.incomplete",
+					rule: "mask",
+					phase: "validate",
+					detail: { filled, required: slotCount }
+				});
+			}
+		},
+
+		/**
+		 * 表示整形（リテラルを付ける）
+		 * - 入力中は、次の入力枠の手前のリテラルまで付ける（"1234" → "1234-"）
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} [ctx]
+		 * @returns {string}
+		 */
+		format(value, ctx) {
+			return apply(String(value), Boolean(ctx) && ctx.source !== "commit", false).display;
+		},
+
+		formatOnInput: true
+	};
+}
+
+/**
+ * datasetから mask ルールを生成する
+ * - data-tig-rules-mask が無い、または pattern が無ければ null
+ * - オプションは data-tig-rules-mask-xxx から読む
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-mask              -> dataset.tigRulesMask
+ * - data-tig-rules-mask-pattern      -> dataset.tigRulesMaskPattern
+ * - data-tig-rules-mask-upper        -> dataset.tigRulesMaskUpper
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+mask.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesMask == null || !dataset.tigRulesMaskPattern) {
+		return null;
+	}
+
+	/** @type {MaskRuleOptions} */
+	const options = { pattern: dataset.tigRulesMaskPattern };
+
+	const upper = parseDatasetBool(dataset.tigRulesMaskUpper);
+	if (upper != null) {
+		options.upper = upper;
+	}
+
+	return mask(options);
+};
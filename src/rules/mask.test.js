@@ -0,0 +1,181 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { mask } from "./mask.js";
+import { createPipeline } from "../pipeline.js";
+
+const makeCtx = function (props = {}) {
+	/** @type {any[]} */
+	const errors = [];
+
+	/** @type {any} */
+	const ctx = {
+		source: "input",
+		inputType: "insertText",
+		replaceStart: 0,
+		replaceEnd: 0,
+		pushError(e) { errors.push(e); },
+		requestRevert() {},
+		_getErrors() { return errors; },
+		...props
+	};
+
+	return ctx;
+};
+
+test("mask - normalizeChar: 全角を半角・かなをカタカナにし、使えない文字を除去する", () => {
+	assert.equal(mask({ pattern: "####-####" }).normalizeChar("１２a3-４"), "123-4");
+	assert.equal(mask({ pattern: "AA-####", upper: true }).normalizeChar("ａb-12"), "AB-12");
+	assert.equal(mask({ pattern: "KKK" }).normalizeChar("あｲう1"), "アイウ");
+
+	// 「*」だけならかなはそのまま
+	assert.equal(mask({ pattern: "***" }).normalizeChar("あい"), "あい");
+});
+
+test("mask - normalizeStructure: 入力枠に合う文字だけを詰め、リテラルを除いた raw にする", () => {
+	const rule = mask({ pattern: "####-####" });
+	const ctx = makeCtx();
+
+	assert.equal(rule.normalizeStructure("1", ctx), "1");
+	assert.equal(rule.normalizeStructure("1234-", ctx), "1234");
+	assert.equal(rule.normalizeStructure("1234-5", ctx), "12345");
+	assert.equal(rule.normalizeStructure("12-345", ctx), "12345");
+	assert.equal(rule.normalizeStructure("1234-56789", ctx), "12345678");
+	assert.equal(rule.normalizeStructure("", ctx), "");
+});
+
+test("mask - format: 入力中は次の入力枠の手前までリテラルを付ける", () => {
+	const rule = mask({ pattern: "####-####" });
+	const ctx = makeCtx();
+
+	assert.equal(rule.formatOnInput, true);
+	assert.equal(rule.format("1", ctx), "1");
+	assert.equal(rule.format("1234", ctx), "1234-");
+	assert.equal(rule.format("12345", ctx), "1234-5");
+	assert.equal(rule.format("", ctx), "");
+
+	// 先頭のリテラルも入力に合わせて付ける
+	assert.equal(mask({ pattern: "(###) ###" }).format("12", ctx), "(12");
+	assert.equal(mask({ pattern: "(###) ###" }).format("123", ctx), "(123) ");
+});
+
+test("mask - normalizeStructure: リテラルだけを消す Backspace / Delete は隣の文字を消す", () => {
+	const rule = mask({ pattern: "####-####" });
+	const beforeText = "1234-5678";
+
+	// "1234-|5678" で Backspace → "-" が消えた表示が渡る
+	const back = makeCtx({ inputType: "deleteContentBackward", replaceStart: 4, replaceEnd: 5, beforeText });
+	assert.equal(rule.normalizeStructure("12345678", back), "1235678");
+
+	// "1234|-5678" で Delete
+	const forward = makeCtx({ inputType: "deleteContentForward", replaceStart: 4, replaceEnd: 5, beforeText });
+	assert.equal(rule.normalizeStructure("12345678", forward), "1234678");
+
+	// 入力枠の文字を消す場合はそのまま
+	const normal = makeCtx({ inputType: "deleteContentBackward", replaceStart: 3, replaceEnd: 4, beforeText });
+	assert.equal(rule.normalizeStructure("123-5678", normal), "1235678");
+});
+
+test("mask - 確定時は raw からリテラルを除き、format で付ける", () => {
+	const rule = mask({ pattern: "AA-####", upper: true });
+
+	assert.equal(rule.normalizeStructure("AB-1234", makeCtx({ source: "commit" })), "AB1234");
+	assert.equal(rule.format("AB1234"), "AB-1234");
+	assert.equal(rule.format("AB12"), "AB-12");
+	assert.equal(rule.format("AB"), "AB");
+	assert.equal(rule.format(""), "");
+
+	// 末尾のリテラルは全部埋まったときだけ
+	const yen = mask({ pattern: "###円" });
+	assert.equal(yen.format("12"), "12");
+	assert.equal(yen.format("123"), "123円");
+
+	// "\" でエスケープした文字はリテラル
+	assert.equal(mask({ pattern: "\\A-###" }).format("123"), "A-123");
+});
+
+test("mask - pattern: 「9」も数字の入力枠", () => {
+	const rule = mask({ pattern: "AA-9999", upper: true });
+
+	assert.equal(rule.normalizeStructure(rule.normalizeChar("ab-1234"), makeCtx({ source: "commit" })), "AB1234");
+	assert.equal(rule.format("AB1234"), "AB-1234");
+
+	// 数字の 9 をリテラルにするなら "\\9"
+	assert.equal(mask({ pattern: "\\9-##" }).format("12"), "9-12");
+});
+
+test("mask - validate: 確定時に入力枠が埋まっていなければ mask.incomplete", () => {
+	const rule = mask({ pattern: "####-####" });
+
+	const input = makeCtx();
+	rule.validate("1234-5", input);
+	assert.deepEqual(input._getErrors(), []);
+
+	const commit = makeCtx({ source: "commit" });
+	rule.validate("12345", commit);
+	assert.deepEqual(commit._getErrors(), [{
+		code: "mask.incomplete",
+		rule: "mask",
+		phase: "validate",
+		detail: { filled: 5, required: 8 }
+	}]);
+
+	const empty = makeCtx({ source: "commit" });
+	rule.validate("", empty);
+	assert.deepEqual(empty._getErrors(), []);
+});
+
+test("mask - slots: 入力枠を追加できる", () => {
+	const rule = mask({ pattern: "XX:XX", slots: { X: /^[0-9A-F]$/ }, upper: true });
+
+	assert.equal(rule.normalizeStructure(rule.normalizeChar("0aFFz"), makeCtx()), "0AFF");
+	assert.equal(rule.format("0AFF"), "0A:FF");
+});
+
+test("mask - pipeline: 表示を入力し直しても raw はリテラルを含まない", () => {
+	const pipeline = createPipeline([mask({ pattern: "####-####-####-####" })]);
+
+	const result = pipeline.runCommit("１２３４５６７８９０１２３４５６");
+	assert.equal(result.raw, "1234567890123456");
+	assert.equal(result.display, "1234-5678-9012-3456");
+	assert.equal(result.isValid, true);
+
+	assert.equal(pipeline.runCommit(result.display).raw, "1234567890123456");
+
+	// 入力中も raw はリテラルを含まず、表示だけに付ける
+	const input = pipeline.runInput("12345");
+	assert.equal(input.raw, "12345");
+	assert.equal(input.display, "1234-5");
+});
+
+test("mask - raw はリテラルと同じ文字も入力枠に詰める", () => {
+	const nine = mask({ pattern: "\\9-###" });
+	assert.equal(nine.format("912"), "9-912");
+	assert.equal(nine.normalizeStructure("912", makeCtx({ source: "commit" })), "912");
+	assert.equal(nine.normalizeStructure("9-912", makeCtx({ source: "commit" })), "912");
+
+	const commit = makeCtx({ source: "commit" });
+	nine.validate("912", commit);
+	assert.deepEqual(commit._getErrors(), []);
+
+	const pipeline = createPipeline([mask({ pattern: "##0#" })]);
+	const result = pipeline.runCommit("1200");
+	assert.equal(result.raw, "120");
+	assert.equal(result.display, "1200");
+	assert.equal(pipeline.runCommit(result.display).raw, "120");
+});
+
+test("mask - fromDataset: data-tig-rules-mask-* からオプションを読む", () => {
+	assert.equal(mask.fromDataset({}, null), null);
+	assert.equal(mask.fromDataset({ tigRulesMask: "" }, null), null);
+
+	const rule = mask.fromDataset({
+		tigRulesMask: "",
+		tigRulesMaskPattern: "AA-####",
+		tigRulesMaskUpper: "true"
+	}, null);
+
+	assert.equal(rule.name, "mask");
+	assert.equal(rule.format(rule.normalizeChar("ab1234")), "AB-1234");
+});
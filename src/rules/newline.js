@@ -0,0 +1,197 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import { parseDatasetBool, parseDatasetEnum } from "./_dataset.js";
+
+/**
+ * newline ルールのオプション
+ * @typedef {Object} NewlineRuleOptions
+ * @property {"\n"|"\r\n"|"\r"} [target="\n"] - 改行をそろえる形（createPipeline 用。要素に適用した場合は常に "\n"）
+ * @property {boolean} [allowNewline=true] - 改行を許可する
+ * @property {"join"|"block"|"error"} [mode="join"] - allowNewline が false のときに改行を入力した場合の挙動
+ *   - "join": 改行を joinWith に置き換える / "block": 入力を取り消す / "error": 改行を残してエラーにする
+ * @property {string} [joinWith=""] - mode が "join" のとき、改行の代わりに入れる文字列
+ * @property {boolean} [collapseBlankLines=false] - 確定時に、連続する空行を1行にまとめる
+ * @property {boolean} [trimTrailing=false] - 確定時に、各行の末尾の空白を取り除く
+ */
+
+/**
+ * 改行とみなす文字（CRLF, CR, LF, NEL, LINE SEPARATOR, PARAGRAPH SEPARATOR）
+ */
+const NEWLINE = /\r\n|[\r\n\u0085\u2028\u2029]/g;
+
+/**
+ * 改行の数を数える
+ * @param {string} value
+ * @returns {number}
+ */
+const countNewlines = function(value) {
+	return (String(value).match(NEWLINE) ?? []).length;
+};
+
+/**
+ * newline ルールを生成する
+ * - normalize.char: 改行をそろえる（allowNewline が false で join なら joinWith に置き換える）
+ * - validate: allowNewline が false で block / error のとき、改行があれば取り消し / エラー
+ * - fix: 確定時に、空行をまとめ、行末の空白を取り除く
+ * @param {NewlineRuleOptions} [options]
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function newline(options = {}) {
+	/** @type {NewlineRuleOptions} */
+	const opt = {
+		target: options.target ?? "\n",
+		allowNewline: options.allowNewline ?? true,
+		mode: options.mode ?? "join",
+		joinWith: options.joinWith ?? "",
+		collapseBlankLines: options.collapseBlankLines ?? false,
+		trimTrailing: options.trimTrailing ?? false
+	};
+
+	// 改行を置き換えずに残すか（許可する、または block / error で検査する）
+	const keepNewline = opt.allowNewline || opt.mode !== "join";
+
+	/**
+	 * 実際にそろえる改行
+	 * - textarea 要素は値を "\n" で保持するため、要素があるときは "\n" にする（キャレット位置がずれないように）
+	 * - そのため target は要素の無い createPipeline でだけ使われる
+	 * @param {import("../text-input-guard.js").GuardContext} ctx
+	 * @returns {string}
+	 */
+	const getTarget = function(ctx) {
+		return ctx.displayElement ? "\n" : /** @type {string} */ (opt.target);
+	};
+
+	return {
+		name: "newline",
+		targets: ["textarea"],
+
+		/**
+		 * 改行をそろえる（許可せず join なら joinWith に置き換える）
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {string}
+		 */
+		normalizeChar(value, ctx) {
+			const replacement = keepNewline ? getTarget(ctx) : /** @type {string} */ (opt.joinWith);
+			return String(value).replace(NEWLINE, replacement);
+		},
+
+		/**
+		 * 許可しない改行が含まれていれば、block は取り消し、error はエラーを積む
+		 * - block は、今回の編集で改行が増えた場合だけ取り消す（元からある改行は確定時と同じくエラーにする）
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {void}
+		 */
+		validate(value, ctx) {
+			if (opt.allowNewline || opt.mode === "join") {
+				return;
+			}
+
+			const count = countNewlines(value);
+			if (count === 0) {
+				return;
+			}
+
+			const detail = { count };
+			// 確定時は巻き戻す先が無いので、block でもエラーにする
+			if (opt.mode === "block" && ctx.source !== "commit" && count > countNewlines(ctx.beforeText ?? "")) {
+				ctx.requestRevert({ reason: "newline.not_allowed", detail });
+				return;
+			}
+			ctx.pushError({
+				code: "newline.not_allowed",
+				rule: "newline",
+				phase: "validate",
+				detail
+			});
+		},
+
+		/**
+		 * 確定時に、空行をまとめ、行末の空白を取り除く
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {string}
+		 */
+		fix(value, ctx) {
+			if (!opt.collapseBlankLines && !opt.trimTrailing) {
+				return value;
+			}
+
+			const target = getTarget(ctx);
+			let lines = String(value).split(target);
+
+			if (opt.trimTrailing) {
+				lines = lines.map((line) => line.trimEnd());
+			}
+
+			if (opt.collapseBlankLines) {
+				lines = lines.filter((line, i) => !(i > 0 && line.trim() === "" && lines[i - 1].trim() === ""));
+			}
+
+			return lines.join(target);
+		}
+	};
+}
+
+/**
+ * datasetから newline ルールを生成する
+ * - data-tig-rules-newline が無ければ null
+ * - オプションは data-tig-rules-newline-xxx から読む
+ * - target は要素に適用すると常に "\n" になるため、data 属性では指定できない
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-newline                        -> dataset.tigRulesNewline
+ * - data-tig-rules-newline-allow-newline          -> dataset.tigRulesNewlineAllowNewline
+ * - data-tig-rules-newline-mode                   -> dataset.tigRulesNewlineMode
+ * - data-tig-rules-newline-join-with              -> dataset.tigRulesNewlineJoinWith
+ * - data-tig-rules-newline-collapse-blank-lines   -> dataset.tigRulesNewlineCollapseBlankLines
+ * - data-tig-rules-newline-trim-trailing          -> dataset.tigRulesNewlineTrimTrailing
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+newline.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesNewline == null) {
+		return null;
+	}
+
+	/** @type {NewlineRuleOptions} */
+	const options = {};
+
+	const allowNewline = parseDatasetBool(dataset.tigRulesNewlineAllowNewline);
+	if (allowNewline != null) {
+		options.allowNewline = allowNewline;
+	}
+
+	const mode = parseDatasetEnum(dataset.tigRulesNewlineMode, ["join", "block", "error"]);
+	if (mode != null) {
+		options.mode = mode;
+	}
+
+	if (dataset.tigRulesNewlineJoinWith != null) {
+		options.joinWith = dataset.tigRulesNewlineJoinWith;
+	}
+
+	const collapseBlankLines = parseDatasetBool(dataset.tigRulesNewlineCollapseBlankLines);
+	if (collapseBlankLines != null) {
+		options.collapseBlankLines = collapseBlankLines;
+	}
+
+	const trimTrailing = parseDatasetBool(dataset.tigRulesNewlineTrimTrailing);
+	if (trimTrailing != null) {
+		options.trimTrailing = trimTrailing;
+	}
+
+	return newline(options);
+};
@@ -0,0 +1,116 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { newline } from "./newline.js";
+import { createPipeline } from "../pipeline.js";
+
+test("newline - normalizeChar: いろいろな改行を target にそろえる", () => {
+	const source = "a\r\nb\rc\nd\u0085e\u2028f\u2029g";
+
+	assert.equal(newline().normalizeChar(source, {}), "a\nb\nc\nd\ne\nf\ng");
+	assert.equal(newline({ target: "\r\n" }).normalizeChar(source, {}), "a\r\nb\r\nc\r\nd\r\ne\r\nf\r\ng");
+
+	// textarea 要素がある場合は、要素が保持できる "\n" にする
+	assert.equal(newline({ target: "\r\n" }).normalizeChar("a\u2028b", { displayElement: {} }), "a\nb");
+});
+
+test("newline - normalizeChar: allowNewline: false なら改行を取り除く", () => {
+	assert.equal(newline({ allowNewline: false }).normalizeChar("a\r\nb\u2028c", {}), "abc");
+	assert.equal(newline({ allowNewline: false, joinWith: " " }).normalizeChar("a\r\nb\nc", {}), "a b c");
+});
+
+test("newline - validate: allowNewline: false の block / error は改行を残して知らせる", () => {
+	const makeCtx = (props) => {
+		const ctx = { source: "input", beforeText: "", errors: [], revert: null, ...props };
+		ctx.pushError = (e) => ctx.errors.push(e);
+		ctx.requestRevert = (req) => { ctx.revert = req; };
+		return ctx;
+	};
+
+	const error = newline({ allowNewline: false, mode: "error" });
+	assert.equal(error.normalizeChar("a\r\nb", {}), "a\nb");
+	const errorCtx = makeCtx();
+	error.validate("a\nb", errorCtx);
+	assert.deepEqual(errorCtx.errors, [{
+		code: "newline.not_allowed",
+		rule: "newline",
+		phase: "validate",
+		detail: { count: 1 }
+	}]);
+
+	// block は、今回の編集で改行が増えたら取り消す
+	const block = newline({ allowNewline: false, mode: "block" });
+	const added = makeCtx({ beforeText: "ab" });
+	block.validate("a\nb", added);
+	assert.deepEqual(added.revert, { reason: "newline.not_allowed", detail: { count: 1 } });
+	assert.deepEqual(added.errors, []);
+
+	// 元からある改行はエラーにするだけで、ほかの編集は取り消さない
+	const existing = makeCtx({ beforeText: "a\nb" });
+	block.validate("a\nbc", existing);
+	assert.equal(existing.revert, null);
+	assert.deepEqual(existing.errors.map((e) => e.code), ["newline.not_allowed"]);
+
+	// 確定時は block でもエラー
+	const commit = makeCtx({ source: "commit" });
+	block.validate("a\nb", commit);
+	assert.equal(commit.revert, null);
+	assert.deepEqual(commit.errors.map((e) => e.code), ["newline.not_allowed"]);
+
+	// join（既定）と allowNewline: true では検査しない
+	const join = makeCtx();
+	newline({ allowNewline: false }).validate("a\nb", join);
+	newline({ mode: "error" }).validate("a\nb", join);
+	assert.deepEqual(join.errors, []);
+});
+
+test("newline - fix: 空行をまとめ、行末の空白を取り除く", () => {
+	const source = "a  \n\n\n　\nb\t\n\nc";
+
+	assert.equal(newline().fix(source, {}), source);
+	assert.equal(newline({ trimTrailing: true }).fix(source, {}), "a\n\n\n\nb\n\nc");
+	assert.equal(newline({ collapseBlankLines: true }).fix(source, {}), "a  \n\nb\t\n\nc");
+	assert.equal(newline({ collapseBlankLines: true, trimTrailing: true }).fix(source, {}), "a\n\nb\n\nc");
+
+	// target にそろえた後の値を扱う
+	assert.equal(newline({ target: "\r\n", trimTrailing: true }).fix("a \r\nb ", {}), "a\r\nb");
+});
+
+test("newline - pipeline: 入力中はそろえるだけで、確定時に整える", () => {
+	const pipeline = createPipeline([newline({ collapseBlankLines: true, trimTrailing: true })], { kind: "textarea" });
+
+	assert.equal(pipeline.runInput("a \r\n\r\n\r\nb").raw, "a \n\n\nb");
+	assert.equal(pipeline.runCommit("a \r\n\r\n\r\nb").raw, "a\n\nb");
+});
+
+test("newline - fromDataset: data-tig-rules-newline-* からオプションを読む", () => {
+	assert.equal(newline.fromDataset({}, null), null);
+
+	const rule = newline.fromDataset({
+		tigRulesNewline: "",
+		tigRulesNewlineCollapseBlankLines: "true",
+		tigRulesNewlineTrimTrailing: "true"
+	}, null);
+	assert.equal(rule.name, "newline");
+	assert.deepEqual(rule.targets, ["textarea"]);
+	assert.equal(rule.fix("a \n\n\nb", {}), "a\n\nb");
+
+	// target は要素では使われないので data 属性では読まない
+	const target = newline.fromDataset({ tigRulesNewline: "", tigRulesNewlineTarget: "crlf" }, null);
+	assert.equal(target.normalizeChar("a\r\nb", {}), "a\nb");
+
+	const single = newline.fromDataset({
+		tigRulesNewline: "",
+		tigRulesNewlineAllowNewline: "false",
+		tigRulesNewlineJoinWith: " "
+	}, null);
+	assert.equal(single.normalizeChar("a\nb", {}), "a b");
+
+	const blocked = newline.fromDataset({
+		tigRulesNewline: "",
+		tigRulesNewlineAllowNewline: "false",
+		tigRulesNewlineMode: "error"
+	}, null);
+	assert.equal(blocked.normalizeChar("a\nb", {}), "a\nb");
+});
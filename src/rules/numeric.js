@@ -9,6 +9,8 @@
  */
 
 import { parseDatasetBool } from "./_dataset.js";
+import { hasKanjiNumeral, isKanjiNumeralPart, parseKanjiNumeral } from "./_kanji-numeral.js";
+import { parseGroupedUnits } from "./_grouping.js";
 
 /**
  * numeric ルールのオプション
@@ -17,13 +19,73 @@ import { parseDatasetBool } from "./_dataset.js";
  * @property {boolean} [allowMinus=false] - マイナス記号を許可する（先頭のみ）
  * @property {boolean} [allowDecimal=false] - 小数点を許可する（1つだけ）
  * @property {boolean} [allowEmpty=true] - 空文字を許可するか
+ * @property {boolean} [allowKanji=false] - 漢数字（大字・万/億/兆 の単位を含む）を数字へ変換する
+ * @property {string} [separator] - 取り除く桁区切り文字（複数なら並べて指定。既定は ","、decimalSeparator が "," なら "."）
+ * @property {string} [decimalSeparator="."] - 小数点として扱う文字（"," にすると "1.234,5" を 1234.5 と読む）
+ * @property {boolean} [allowUnits=true] - comma の style: "unit" で区切った表示（"1億2345万6789"）を数字へ戻す
+ *   - allowKanji 時の既定は false（「3万5」のような読み方が1つに決まらない漢数字を、単位区切りとして読んでしまうため）
  */
 
+/**
+ * マイナス（ハイフン）として扱う文字
+ * @type {ReadonlySet<string>}
+ */
+export const minusLike = new Set([
+	"ー", // KATAKANA-HIRAGANA PROLONGED SOUND MARK
+	"－", // FULLWIDTH HYPHEN-MINUS
+	"−", // MINUS SIGN
+	"‐", // HYPHEN
+	"-", // NON-BREAKING HYPHEN
+	"‒", // FIGURE DASH
+	"–", // EN DASH
+	"—", // EM DASH
+	"―" // HORIZONTAL BAR
+]);
+
+/**
+ * 小数点として扱う文字
+ * @type {ReadonlySet<string>}
+ */
+export const dotLike = new Set([
+	"．", // FULLWIDTH FULL STOP
+	"。", // IDEOGRAPHIC FULL STOP
+	"｡" // HALFWIDTH IDEOGRAPHIC FULL STOP
+]);
+
+/**
+ * 会計表記の負数として、マイナスと同じに扱う文字（"▲500" / "(500)" → "-500"）
+ * - 閉じ括弧は除去する
+ * @type {ReadonlySet<string>}
+ */
+const negativeMarkLike = new Set([
+	"▲", // BLACK UP-POINTING TRIANGLE
+	"△", // WHITE UP-POINTING TRIANGLE
+	"(", // LEFT PARENTHESIS
+	"（" // FULLWIDTH LEFT PARENTHESIS
+]);
+
+/**
+ * 全角数字（０〜９）を半角へ
+ * @param {string} ch
+ * @returns {string|null} 変換した1文字（対象外ならnull）
+ */
+export function toHalfWidthDigit(ch) {
+	const code = ch.charCodeAt(0);
+	// '０'(FF10) .. '９'(FF19)
+	if (0xFF10 <= code && code <= 0xFF19) {
+		return String.fromCharCode(code - 0xFF10 + 0x30);
+	}
+	return null;
+}
+
 /**
  * 数値入力向けルールを生成する
  * - normalize.char: 全角→半角、記号統一、不要文字の除去
  * - normalize.structure: 「-は先頭のみ」「.は1つだけ」など構造を整える
  * - fix: 確定時（blur）に「-」「.」「-.」や末尾の「.」を空/削除にする
+ * - allowKanji: 「3万5千」「壱萬円」などを数字へ変換する（変換できない場合は消さずに残してエラー）
+ * - separator / decimalSeparator / allowUnits: comma で区切り方を変えた表示を raw に戻す
+ * - 会計表記の負数（"▲500" / "△500" / "(500)"）は allowMinus 時に "-500" として読む
  *
  * @param {NumericRuleOptions} [options]
  * @returns {import("../text-input-guard.js").Rule}
@@ -34,45 +96,116 @@ export function numeric(options = {}) {
 		allowFullWidth: options.allowFullWidth ?? true,
 		allowMinus: options.allowMinus ?? false,
 		allowDecimal: options.allowDecimal ?? false,
-		allowEmpty: options.allowEmpty ?? true
+		allowEmpty: options.allowEmpty ?? true,
+		allowKanji: options.allowKanji ?? false,
+		decimalSeparator: options.decimalSeparator ?? ".",
+		allowUnits: options.allowUnits ?? !(options.allowKanji ?? false)
 	};
 
-	/** @type {Set<string>} */
-	const minusLike = new Set([
-		"ー", // KATAKANA-HIRAGANA PROLONGED SOUND MARK
-		"－", // FULLWIDTH HYPHEN-MINUS
-		"−", // MINUS SIGN
-		"‐", // HYPHEN
-		"-", // NON-BREAKING HYPHEN
-		"‒", // FIGURE DASH
-		"–", // EN DASH
-		"—", // EM DASH
-		"―" // HORIZONTAL BAR
-	]);
-
-	/** @type {Set<string>} */
-	const dotLike = new Set([
-		"．", // FULLWIDTH FULL STOP
-		"。", // IDEOGRAPHIC FULL STOP
-		"｡" // HALFWIDTH IDEOGRAPHIC FULL STOP
-	]);
+	/**
+	 * 取り除く桁区切り文字
+	 * @type {ReadonlySet<string>}
+	 */
+	const separators = new Set(options.separator ?? (opt.decimalSeparator === "," ? "." : ","));
 
 	/**
-	 * 全角数字（０〜９）を半角へ
+	 * 全角の記号を、区切りとして比べるための半角にする（"．" → "."、"，" → ","、全角スペース → " "）
+	 * - allowFullWidth でなければそのまま
 	 * @param {string} ch
-	 * @returns {string|null} 変換した1文字（対象外ならnull）
+	 * @returns {string}
 	 */
-	function toHalfWidthDigit(ch) {
+	function toHalfWidthSeparator(ch) {
+		if (!opt.allowFullWidth) {
+			return ch;
+		}
+		if (dotLike.has(ch)) {
+			return ".";
+		}
+		if (ch === "　") {
+			return " ";
+		}
 		const code = ch.charCodeAt(0);
-		// '０'(FF10) .. '９'(FF19)
-		if (0xFF10 <= code && code <= 0xFF19) {
-			return String.fromCharCode(code - 0xFF10 + 0x30);
+		// '！'(FF01) .. '～'(FF5E)
+		if (0xFF01 <= code && code <= 0xFF5E) {
+			return String.fromCharCode(code - 0xFEE0);
 		}
-		return null;
+		return ch;
+	}
+
+	/**
+	 * 桁区切りを取り除き、小数点を "." にする
+	 * - 全角の区切り（"．" / "，" など）も半角と同じに扱う
+	 * @param {string} value
+	 * @returns {string}
+	 */
+	function stripSeparators(value) {
+		let out = "";
+		for (const ch of value) {
+			const half = toHalfWidthSeparator(ch);
+			if (separators.has(half)) {
+				continue;
+			}
+			out += half === opt.decimalSeparator ? "." : ch;
+		}
+		return out;
+	}
+
+	/**
+	 * 万/億/兆 の単位で区切った表示を数字へ戻す（戻せない場合は null）
+	 * @param {string} value - 桁区切りを取り除いた値
+	 * @returns {string|null}
+	 */
+	function convertUnits(value) {
+		let v = "";
+		for (const ch of value) {
+			const d = opt.allowFullWidth ? toHalfWidthDigit(ch) : null;
+			if (d) {
+				v += d;
+			} else if (opt.allowFullWidth && dotLike.has(ch)) {
+				v += ".";
+			} else if ((opt.allowFullWidth && minusLike.has(ch)) || negativeMarkLike.has(ch)) {
+				v += "-";
+			} else if (ch !== ")" && ch !== "）") {
+				v += ch;
+			}
+		}
+
+		const parsed = parseGroupedUnits(v);
+		if (parsed == null) {
+			return null;
+		}
+		if ((!opt.allowMinus && parsed.startsWith("-")) || (!opt.allowDecimal && parsed.includes("."))) {
+			return null;
+		}
+		return parsed;
+	}
+
+	/**
+	 * allowKanji 時に、漢数字を含んだまま残っている値か
+	 * @param {string} value
+	 * @returns {boolean}
+	 */
+	function hasKanji(value) {
+		return !!opt.allowKanji && hasKanjiNumeral(value);
+	}
+
+	/**
+	 * 漢数字を含む値を数字へ変換する
+	 * - 読み方が1つに決まらない場合や、allowDecimal でないのに小数になる場合は null
+	 * @param {string} value
+	 * @returns {string|null}
+	 */
+	function convertKanji(value) {
+		const parsed = parseKanjiNumeral(value);
+		if (parsed == null || (!opt.allowDecimal && parsed.includes("."))) {
+			return null;
+		}
+		return parsed;
 	}
 
 	/**
 	 * 1文字を「数字 / - / .」へ正規化する（許可されない場合は空）
+	 * - allowKanji 時は allowDecimal でなくても小数点を残す（「1.2億」は「億」を入力するまで小数に見えるため）
 	 * @param {string} ch
 	 * @returns {string} 正規化後の文字（除去なら ""）
 	 */
@@ -92,10 +225,10 @@ export function numeric(options = {}) {
 
 		// 小数点
 		if (ch === ".") {
-			return opt.allowDecimal ? "." : "";
+			return opt.allowDecimal || opt.allowKanji ? "." : "";
 		}
 		if (opt.allowFullWidth && dotLike.has(ch)) {
-			return opt.allowDecimal ? "." : "";
+			return opt.allowDecimal || opt.allowKanji ? "." : "";
 		}
 
 		// マイナス
@@ -105,6 +238,10 @@ export function numeric(options = {}) {
 		if (opt.allowFullWidth && minusLike.has(ch)) {
 			return opt.allowMinus ? "-" : "";
 		}
+		// 会計表記（▲ / △ / 括弧）
+		if (negativeMarkLike.has(ch)) {
+			return opt.allowMinus ? "-" : "";
+		}
 		// 明示的に不要（+ や指数表記など）
 		if (ch === "+" || ch === "＋") {
 			return "";
@@ -113,6 +250,11 @@ export function numeric(options = {}) {
 			return "";
 		}
 
+		// 漢数字は変換できるまで残す（消すと「3万5千」→「35」のように別の値になるため）
+		if (opt.allowKanji && isKanjiNumeralPart(ch)) {
+			return ch;
+		}
+
 		// その他は全部除去
 		return "";
 	}
@@ -123,19 +265,37 @@ export function numeric(options = {}) {
 
 		/**
 		 * 文字単位の正規化（全角→半角、記号統一、不要文字の除去）
+		 * - allowKanji 時、確定時に値全体の漢数字を数字へ変換する
+		 *   入力中の漢数字は後から続く文字と合わせないと読めないため（「3万」の後に「5千」など）、確定時まで残す
+		 * - allowUnits 時、値全体が単位区切りの表示なら数字へ戻す（漢数字としての読み方より優先）
 		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} [ctx]
 		 * @returns {string}
 		 */
-		normalizeChar(value) {
+		normalizeChar(value, ctx) {
 			let v = String(value);
 
 			// 表示専用装飾の除去（format対策）
-			v = v.replace(/,/g, "");
+			v = stripSeparators(v);
+
+			const whole = (ctx?.beforeText ?? "") === "";
+			if (opt.allowUnits && whole) {
+				const units = convertUnits(v);
+				if (units != null) {
+					return units;
+				}
+			}
+
+			const kanji = hasKanji(v);
 
 			let out = "";
 			for (const ch of v) {
 				out += normalizeChar1(ch);
 			}
+
+			if (kanji && ctx?.source === "commit") {
+				return convertKanji(out) ?? out;
+			}
 			return out;
 		},
 
@@ -145,6 +305,11 @@ export function numeric(options = {}) {
 		 * @returns {string}
 		 */
 		normalizeStructure(value) {
+			// 変換できていない漢数字は、位置を変えずにそのまま残す
+			if (hasKanji(value)) {
+				return value;
+			}
+
 			let out = "";
 			let seenMinus = false;
 			let seenDot = false;
@@ -164,7 +329,7 @@ export function numeric(options = {}) {
 					continue;
 				}
 
-				if (ch === "." && opt.allowDecimal) {
+				if (ch === "." && (opt.allowDecimal || opt.allowKanji)) {
 					// 小数点は1つだけ（位置制約は設けない：digits側で精度などを管理）
 					if (!seenDot) {
 						out += ".";
@@ -192,6 +357,11 @@ export function numeric(options = {}) {
 		fix(value) {
 			let v = String(value);
 
+			// 変換できていない漢数字は直さない（validate でエラーにする）
+			if (hasKanji(v)) {
+				return v;
+			}
+
 			// 空文字の扱い
 			if (v === "") {
 				return opt.allowEmpty ? "" : "0";
@@ -250,13 +420,32 @@ export function numeric(options = {}) {
 
 		/**
 		 * numeric単体では基本エラーを出さない（入力途中を許容するため）
-		 * ここでエラーにしたい場合は、将来オプションで強制できるようにしてもOK
-		 * @param {string} _value
-		 * @param {any} _ctx
+		 * - allowKanji 時、漢数字が残っていて読み方が1つに決まらない場合だけエラーにする
+		 * - allowKanji 時、確定しても漢数字と組み合わさらなかった小数点は、allowDecimal でなければエラーにする
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
 		 * @returns {void}
 		 */
-		validate(_value, _ctx) {
-			// no-op
+		validate(value, ctx) {
+			if (!hasKanji(value)) {
+				if (!opt.allowDecimal && ctx.source === "commit" && value.includes(".")) {
+					ctx.pushError({
+						code: "numeric.decimal_not_allowed",
+						rule: "numeric",
+						phase: "validate",
+						detail: { value }
+					});
+				}
+				return;
+			}
+			if (convertKanji(value) == null) {
+				ctx.pushError({
+					code: "numeric.invalid_kanji",
+					rule: "numeric",
+					phase: "validate",
+					detail: { value }
+				});
+			}
 		}
 	};
 }
@@ -272,6 +461,10 @@ export function numeric(options = {}) {
  * - data-tig-rules-numeric-allow-minus           -> dataset.tigRulesNumericAllowMinus
  * - data-tig-rules-numeric-allow-decimal         -> dataset.tigRulesNumericAllowDecimal
  * - data-tig-rules-numeric-allow-empty           -> dataset.tigRulesNumericAllowEmpty
+ * - data-tig-rules-numeric-allow-kanji           -> dataset.tigRulesNumericAllowKanji
+ * - data-tig-rules-numeric-separator             -> dataset.tigRulesNumericSeparator
+ * - data-tig-rules-numeric-decimal-separator     -> dataset.tigRulesNumericDecimalSeparator
+ * - data-tig-rules-numeric-allow-units           -> dataset.tigRulesNumericAllowUnits
  *
  * @param {DOMStringMap} dataset
  * @param {HTMLInputElement|HTMLTextAreaElement} _el
@@ -310,5 +503,25 @@ numeric.fromDataset = function fromDataset(dataset, _el) {
 		options.allowEmpty = allowEmpty;
 	}
 
+	// allowKanji（未指定なら numeric側デフォルト false）
+	const allowKanji = parseDatasetBool(dataset.tigRulesNumericAllowKanji);
+	if (allowKanji != null) {
+		options.allowKanji = allowKanji;
+	}
+
+	// separator / decimalSeparator は文字をそのまま使う
+	if (dataset.tigRulesNumericSeparator != null) {
+		options.separator = dataset.tigRulesNumericSeparator;
+	}
+	if (dataset.tigRulesNumericDecimalSeparator != null) {
+		options.decimalSeparator = dataset.tigRulesNumericDecimalSeparator;
+	}
+
+	// allowUnits（未指定なら numeric側デフォルト。allowKanji でなければ true）
+	const allowUnits = parseDatasetBool(dataset.tigRulesNumericAllowUnits);
+	if (allowUnits != null) {
+		options.allowUnits = allowUnits;
+	}
+
 	return numeric(options);
 };
@@ -222,3 +222,168 @@ test("numeric - fromDataset: allowEmpty 未指定ならデフォルト true（
 	assert.ok(rule);
 	assert.equal(rule.fix(""), "");
 });
+
+// 確定時の ctx
+const commitCtx = { source: "commit", beforeText: "" };
+
+test("numeric - allowKanji: 確定時に漢数字を数字へ変換する", () => {
+	const rule = numeric({ allowKanji: true });
+
+	assert.equal(rule.normalizeChar("3万5千", commitCtx), "35000");
+	assert.equal(rule.normalizeChar("一千二百", commitCtx), "1200");
+	assert.equal(rule.normalizeChar("１．２億", commitCtx), "120000000");
+	assert.equal(rule.normalizeChar("壱萬円", commitCtx), "10000");
+	assert.equal(rule.normalizeChar("1,200万", commitCtx), "12000000");
+
+	// allowKanji でなければ従来どおり除去
+	assert.equal(numeric().normalizeChar("3万5千"), "35");
+});
+
+test("numeric - allowKanji: 読めない漢数字は消さずに残し、validate でエラーにする", () => {
+	const rule = numeric({ allowKanji: true });
+
+	const v = rule.normalizeStructure(rule.normalizeChar("3万5", commitCtx));
+	assert.equal(v, "3万5");
+	assert.equal(rule.fix(v), "3万5");
+
+	const errors = [];
+	rule.validate(v, { pushError: (e) => errors.push(e) });
+	assert.deepEqual(errors, [{
+		code: "numeric.invalid_kanji",
+		rule: "numeric",
+		phase: "validate",
+		detail: { value: "3万5" }
+	}]);
+
+	// allowDecimal でないのに小数になるものも変換しない
+	assert.equal(rule.normalizeChar("1.23456万", commitCtx), "1.23456万");
+	assert.equal(numeric({ allowKanji: true, allowDecimal: true }).normalizeChar("1.23456万", commitCtx), "12345.6");
+
+	// 数字と単位が入り混じった値は読まない
+	assert.equal(rule.normalizeChar("300005千", commitCtx), "300005千");
+});
+
+test("numeric - allowKanji: 入力中は空欄への入力でも変換せず、確定時まで残す", () => {
+	const rule = numeric({ allowKanji: true });
+
+	// 空欄へ "3万" を入力
+	assert.equal(rule.normalizeChar("3万", { source: "input", beforeText: "" }), "3万");
+
+	// "3万" の後ろに "5千" を入力
+	assert.equal(rule.normalizeChar("5千", { source: "input", beforeText: "3万" }), "5千");
+
+	// 確定時は値全体で変換する
+	assert.equal(rule.normalizeChar("3万5千", commitCtx), "35000");
+});
+
+test("numeric - allowKanji: allowDecimal でなくても入力中は小数点を残し、確定時に判断する", () => {
+	const rule = numeric({ allowKanji: true });
+	const inputCtx = { source: "input", beforeText: "1" };
+
+	// "1" の後ろに "." を入力
+	assert.equal(rule.normalizeChar(".", inputCtx), ".");
+	assert.equal(rule.normalizeStructure("1.", inputCtx), "1.");
+	assert.equal(rule.normalizeStructure("1.2", inputCtx), "1.2");
+
+	// 漢数字と合わせて変換する
+	assert.equal(rule.normalizeChar("1.2億", commitCtx), "120000000");
+
+	// 漢数字が無いまま確定した小数はエラー（末尾の "." は fix で消える）
+	assert.equal(rule.fix("1."), "1");
+	const errors = [];
+	rule.validate("1.2", { source: "commit", pushError: (e) => errors.push(e) });
+	assert.deepEqual(errors, [{
+		code: "numeric.decimal_not_allowed",
+		rule: "numeric",
+		phase: "validate",
+		detail: { value: "1.2" }
+	}]);
+
+	// allowKanji でなければ従来どおり除去
+	assert.equal(numeric().normalizeChar(".", inputCtx), "");
+});
+
+test("numeric - fromDataset: allowKanji が反映される", () => {
+	const rule = numeric.fromDataset({
+		tigRulesNumeric: "",
+		tigRulesNumericAllowKanji: "true"
+	}, /** @type {any} */ (null));
+
+	assert.equal(rule.normalizeChar("3万5千", commitCtx), "35000");
+});
+
+test("numeric - separator / decimalSeparator: comma で変えた区切りを取り除く", () => {
+	assert.equal(numeric({ separator: "' " }).normalizeChar("1'234 567"), "1234567");
+
+	const euro = numeric({ allowDecimal: true, decimalSeparator: "," });
+	assert.equal(euro.normalizeChar("1.234.567,89"), "1234567.89");
+	assert.equal(euro.normalizeChar(",", { beforeText: "12" }), ".");
+
+	// 既定では "," を取り除き "." は小数点のまま
+	assert.equal(numeric({ allowDecimal: true }).normalizeChar("1,234.5"), "1234.5");
+});
+
+test("numeric - separator / decimalSeparator: 全角の区切りも半角と同じに扱う", () => {
+	const euro = numeric({ allowDecimal: true, decimalSeparator: "," });
+	assert.equal(euro.normalizeChar("１．２３４，５"), "1234.5");
+	assert.equal(euro.normalizeChar("，", { beforeText: "12" }), ".");
+
+	assert.equal(numeric({ allowDecimal: true }).normalizeChar("１，２３４．５"), "1234.5");
+	assert.equal(numeric({ separator: " " }).normalizeChar("１　２３４"), "1234");
+
+	// allowFullWidth: false なら全角の区切りは区切りとして扱わない
+	assert.equal(numeric({ allowDecimal: true, decimalSeparator: ",", allowFullWidth: false }).normalizeChar("1，5"), "15");
+});
+
+test("numeric - allowUnits: 万/億 の単位区切りの表示を数字へ戻す", () => {
+	const rule = numeric({ allowUnits: true, allowMinus: true });
+
+	assert.equal(rule.normalizeChar("1億2345万6789"), "123456789");
+	assert.equal(rule.normalizeChar("1億6789"), "100006789");
+	assert.equal(rule.normalizeChar("-3万5"), "-30005");
+	assert.equal(rule.normalizeChar("１万２３４５"), "12345");
+
+	// 単位区切りの形でなければ通常の正規化
+	assert.equal(rule.normalizeChar("3万5千"), "35");
+	assert.equal(rule.normalizeChar("1万23456"), "123456");
+
+	// allowKanji と併用しても単位区切りの表示として読む
+	assert.equal(numeric({ allowUnits: true, allowKanji: true }).normalizeChar("3万5"), "30005");
+	assert.equal(numeric({ allowUnits: true, allowKanji: true }).normalizeChar("3万5千", commitCtx), "35000");
+});
+
+test("numeric - allowUnits: 既定で単位区切りの表示を戻す（allowKanji 時の既定は戻さない）", () => {
+	assert.equal(numeric().normalizeChar("1億6789"), "100006789");
+	assert.equal(numeric({ allowUnits: false }).normalizeChar("1億6789"), "16789");
+
+	// allowKanji 時は、読み方が1つに決まらない漢数字として残す
+	assert.equal(numeric({ allowKanji: true }).normalizeChar("3万5", commitCtx), "3万5");
+});
+
+test("numeric - fromDataset: separator / decimalSeparator / allowUnits が反映される", () => {
+	const rule = numeric.fromDataset({
+		tigRulesNumeric: "",
+		tigRulesNumericAllowDecimal: "true",
+		tigRulesNumericSeparator: " ",
+		tigRulesNumericDecimalSeparator: ",",
+		tigRulesNumericAllowUnits: "true"
+	}, /** @type {any} */ (null));
+
+	assert.equal(rule.normalizeChar("1 234,5"), "1234.5");
+	assert.equal(rule.normalizeChar("2万5000"), "25000");
+});
+
+test("numeric - 会計表記の負数（▲ / △ / 括弧）を - として読む", () => {
+	const rule = numeric({ allowMinus: true });
+
+	for (const value of ["▲500", "△500", "(500)", "（５００）"]) {
+		assert.equal(rule.normalizeStructure(rule.normalizeChar(value)), "-500", value);
+	}
+	assert.equal(rule.normalizeStructure(rule.normalizeChar("▲1,234")), "-1234");
+
+	// allowMinus でなければ記号は除去
+	assert.equal(numeric().normalizeChar("▲500"), "500");
+
+	// 単位区切りの表示でも読む
+	assert.equal(numeric({ allowMinus: true, allowUnits: true }).normalizeChar("(12万3456)"), "-123456");
+});
@@ -0,0 +1,352 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import { parseDatasetEnum, parseDatasetStringList } from "./_dataset.js";
+import { toHalfWidthDigit } from "./numeric.js";
+
+/**
+ * 電話番号の種別
+ * - "mobile"   : 携帯電話（070 / 080 / 090）
+ * - "ip"       : IP電話（050）
+ * - "tollFree" : フリーダイヤル（0120 / 0800）
+ * - "navi"     : ナビダイヤル（0570）
+ * - "fixed"    : 固定電話（市外局番から始まる番号）
+ * @typedef {"mobile"|"ip"|"tollFree"|"navi"|"fixed"} PhoneJpType
+ */
+
+/**
+ * phoneJp ルールのオプション
+ * @typedef {Object} PhoneJpRuleOptions
+ * @property {"block"|"error"} [mode="block"] - 入力中に桁数を超えたときの挙動
+ * @property {string[]} [areaCodes] - 追加する市外局番（組み込みの表より優先）
+ */
+
+/**
+ * 番号の区切り方
+ * @typedef {Object} PhoneJpLayout
+ * @property {PhoneJpType} type
+ * @property {number[]} groups - ハイフンで区切る各ブロックの桁数
+ * @property {number} length - 全体の桁数
+ */
+
+/**
+ * 組み込みの市外局番（主要なもの）
+ * - 先頭一致が最も長いものを採用する
+ * - "04-29" のように "-" を含むものは、"0429" で始まる番号の市外局番が "04" であることを表す
+ * - 表に無い固定電話番号は4桁の市外局番として扱う
+ * @type {ReadonlyArray<string>}
+ */
+const AREA_CODES = [
+	// 2桁
+	"03", "06", "04-29", "04-70", "04-71",
+
+	// 3桁（と、その中の4桁局番）
+	"011",
+	"017", "0172", "0173", "0174", "0175", "0176", "0178", "0179",
+	"018", "0182", "0183", "0184", "0185", "0186", "0187",
+	"019", "0191", "0192", "0193", "0194", "0195", "0197", "0198",
+	"022", "0220", "0223", "0224", "0225", "0226", "0228", "0229",
+	"023", "0233", "0234", "0235", "0237", "0238",
+	"024", "0240", "0241", "0242", "0243", "0244", "0246", "0247", "0248",
+	"025", "0250", "0254", "0255", "0256", "0257", "0258", "0259",
+	"026", "0260", "0261", "0263", "0264", "0265", "0266", "0267", "0268", "0269",
+	"027", "0270", "0274", "0276", "0277", "0278", "0279",
+	"028", "0280", "0282", "0283", "0284", "0285", "0287", "0288", "0289",
+	"029", "0291", "0293", "0294", "0295", "0296", "0297", "0299",
+	"042", "0422", "0428",
+	"043", "0436", "0438", "0439",
+	"044",
+	"045",
+	"046", "0460", "0463", "0465", "0466", "0467",
+	"047", "0475", "0476", "0478", "0479",
+	"048", "0480",
+	"049", "0493", "0494", "0495",
+	"052",
+	"053", "0531", "0532", "0533", "0536", "0537", "0538", "0539",
+	"054", "0544", "0545", "0547", "0548",
+	"055", "0550", "0551", "0553", "0554", "0555", "0556", "0557", "0558",
+	"058", "0581", "0584", "0585", "0586", "0587",
+	"059", "0594", "0595", "0596", "0597", "0598", "0599",
+	"072", "0721", "0725",
+	"073", "0735", "0736", "0737", "0738", "0739",
+	"075",
+	"076", "0761", "0763", "0765", "0766", "0767", "0768",
+	"077", "0770", "0771", "0772", "0773", "0774", "0776", "0778", "0779",
+	"078",
+	"079", "0790", "0791", "0794", "0795", "0796", "0797", "0798", "0799",
+	"082", "0820", "0823", "0824", "0826", "0827", "0829",
+	"083", "0833", "0834", "0835", "0836", "0837", "0838",
+	"084", "0845", "0846", "0847", "0848",
+	"086", "0863", "0865", "0866", "0867", "0868", "0869",
+	"087", "0875", "0877", "0879",
+	"088", "0880", "0883", "0884", "0885", "0887", "0889",
+	"089", "0892", "0893", "0894", "0895", "0896", "0897", "0898",
+	"092", "0920",
+	"093", "0930",
+	"095", "0950", "0952", "0954", "0955", "0956", "0957", "0959",
+	"096", "0964", "0965", "0966", "0967", "0968", "0969",
+	"097", "0972", "0973", "0974", "0977", "0978", "0979",
+	"098", "0980", "0982", "0983", "0984", "0985", "0986", "0987",
+	"099", "0993", "0994", "0995", "0996", "0997",
+
+	// 5桁
+	"01267", "01372", "01374", "01377", "01392", "01397", "01398", "01456", "01457", "01466",
+	"01547", "01558", "01564", "01586", "01587", "01632", "01634", "01635", "01648", "01654",
+	"01655", "01656", "01658", "04992", "04994", "04996", "04998", "05769", "05979", "07468",
+	"08387", "08388", "08396", "08477", "08512", "08514", "09496", "09802", "09912", "09913",
+	"09969"
+];
+
+/**
+ * 市外局番の表を「先頭一致させる数字 → 市外局番の桁数」にする
+ * @param {ReadonlyArray<string>} list
+ * @returns {Map<string, number>}
+ */
+function buildAreaCodeMap(list) {
+	/** @type {Map<string, number>} */
+	const map = new Map();
+	for (const entry of list) {
+		const s = String(entry).trim();
+		const hyphen = s.indexOf("-");
+		const prefix = s.replace(/-/g, "");
+		if (!/^0\d{1,5}$/.test(prefix)) {
+			continue;
+		}
+		map.set(prefix, hyphen >= 0 ? hyphen : prefix.length);
+	}
+	return map;
+}
+
+/**
+ * 組み込みの市外局番表
+ */
+const DEFAULT_AREA_CODE_MAP = buildAreaCodeMap(AREA_CODES);
+
+/**
+ * 番号の先頭4桁で決まる種別
+ * @type {ReadonlyArray<{ prefix: string, layout: PhoneJpLayout }>}
+ */
+const SERVICE_LAYOUTS = [
+	{ prefix: "0120", layout: { type: "tollFree", groups: [4, 3, 3], length: 10 } },
+	{ prefix: "0800", layout: { type: "tollFree", groups: [4, 3, 4], length: 11 } },
+	{ prefix: "0570", layout: { type: "navi", groups: [4, 3, 3], length: 10 } }
+];
+
+/**
+ * 番号の先頭から種別と区切り方を決める
+ * - 種別を決めるのに桁が足りない場合は null
+ * - 電話番号として扱えない先頭（0 以外 / 00 / 未対応の 0X0）は "invalid"
+ * @param {string} digits
+ * @param {Map<string, number>} areaCodeMap
+ * @returns {PhoneJpLayout|"invalid"|null}
+ */
+function detectLayout(digits, areaCodeMap) {
+	if (digits.length === 0) {
+		return null;
+	}
+	if (digits[0] !== "0" || digits.startsWith("00")) {
+		return "invalid";
+	}
+
+	for (const s of SERVICE_LAYOUTS) {
+		if (digits.startsWith(s.prefix)) {
+			return s.layout;
+		}
+		// "012" や "080" は4桁目まで見ないと決まらない
+		if (s.prefix.startsWith(digits)) {
+			return null;
+		}
+	}
+
+	if (/^0[789]0/.test(digits)) {
+		return { type: "mobile", groups: [3, 4, 4], length: 11 };
+	}
+	if (digits.startsWith("050")) {
+		return { type: "ip", groups: [3, 4, 4], length: 11 };
+	}
+	if (/^0\d0/.test(digits)) {
+		return "invalid";
+	}
+	if (digits.length < 3) {
+		return null;
+	}
+
+	// 固定電話：市外局番 + 市内局番 で6桁、加入者番号4桁
+	let area = 4;
+	for (let len = Math.min(digits.length, 6); len >= 2; len--) {
+		const hit = areaCodeMap.get(digits.slice(0, len));
+		if (hit != null) {
+			area = hit;
+			break;
+		}
+	}
+	return { type: "fixed", groups: [area, 6 - area, 4], length: 10 };
+}
+
+/**
+ * 日本の電話番号ルールを生成する
+ * - normalize.char: 全角数字→半角、ハイフン類や括弧・空白などは除去（raw は数字のみ）
+ * - validate: 種別ごとの桁数を超えたら block / error、確定時に桁不足や未対応の番号ならエラー
+ * - format: 桁数がそろっていれば市外局番などに合わせてハイフンで区切る
+ *
+ * @param {PhoneJpRuleOptions} [options]
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function phoneJp(options = {}) {
+	/** @type {PhoneJpRuleOptions} */
+	const opt = {
+		mode: options.mode ?? "block",
+		areaCodes: Array.isArray(options.areaCodes) ? options.areaCodes : []
+	};
+
+	/**
+	 * 組み込みの表に追加分を上書きした市外局番表
+	 * @type {Map<string, number>}
+	 */
+	const areaCodeMap = opt.areaCodes?.length
+		? new Map([...DEFAULT_AREA_CODE_MAP, ...buildAreaCodeMap(opt.areaCodes)])
+		: DEFAULT_AREA_CODE_MAP;
+
+	return {
+		name: "phoneJp",
+		targets: ["input"],
+
+		/**
+		 * 数字だけを残す（表示用のハイフンもここで落とす）
+		 * @param {string} value
+		 * @returns {string}
+		 */
+		normalizeChar(value) {
+			let out = "";
+			for (const ch of String(value)) {
+				if (ch >= "0" && ch <= "9") {
+					out += ch;
+					continue;
+				}
+				const d = toHalfWidthDigit(ch);
+				if (d) {
+					out += d;
+				}
+				// ハイフン類・括弧・空白などは全部除去
+			}
+			return out;
+		},
+
+		validate(value, ctx) {
+			const v = String(value);
+			const layout = detectLayout(v, areaCodeMap);
+			if (layout == null) {
+				// 種別が決まらないまま確定した場合は、電話番号として扱えない
+				if (v.length > 0 && ctx.source === "commit") {
+					ctx.pushError({
+						code: "phoneJp.invalid",
+						rule: "phoneJp",
+						phase: "validate",
+						detail: { value: v }
+					});
+				}
+				return;
+			}
+
+			if (layout === "invalid") {
+				ctx.pushError({
+					code: "phoneJp.invalid",
+					rule: "phoneJp",
+					phase: "validate",
+					detail: { value: v }
+				});
+				return;
+			}
+
+			const detail = { type: layout.type, limit: layout.length, actual: v.length };
+
+			if (v.length > layout.length) {
+				if (opt.mode === "block") {
+					ctx.requestRevert({ reason: "phoneJp.max_overflow", detail });
+					return;
+				}
+				ctx.pushError({
+					code: "phoneJp.max_overflow",
+					rule: "phoneJp",
+					phase: "validate",
+					detail
+				});
+				return;
+			}
+
+			// 入力途中の桁不足はうるさくしない
+			if (v.length < layout.length && ctx.source === "commit") {
+				ctx.pushError({
+					code: "phoneJp.min_underflow",
+					rule: "phoneJp",
+					phase: "validate",
+					detail
+				});
+			}
+		},
+
+		/**
+		 * 表示整形（種別の桁数ちょうどの場合のみ）
+		 * @param {string} value
+		 * @returns {string}
+		 */
+		format(value) {
+			const v = String(value);
+			const layout = detectLayout(v, areaCodeMap);
+			if (layout == null || layout === "invalid" || v.length !== layout.length) {
+				return v;
+			}
+
+			const parts = [];
+			let pos = 0;
+			for (const n of layout.groups) {
+				parts.push(v.slice(pos, pos + n));
+				pos += n;
+			}
+			return parts.join("-");
+		}
+	};
+}
+
+/**
+ * datasetから phoneJp ルールを生成する
+ * - data-tig-rules-phone-jp が無ければ null
+ * - オプションは data-tig-rules-phone-jp-xxx から読む
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-phone-jp              -> dataset.tigRulesPhoneJp
+ * - data-tig-rules-phone-jp-mode         -> dataset.tigRulesPhoneJpMode
+ * - data-tig-rules-phone-jp-area-codes   -> dataset.tigRulesPhoneJpAreaCodes（カンマ区切り）
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+phoneJp.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesPhoneJp == null) {
+		return null;
+	}
+
+	/** @type {PhoneJpRuleOptions} */
+	const options = {};
+
+	const mode = parseDatasetEnum(dataset.tigRulesPhoneJpMode, ["block", "error"]);
+	if (mode != null) {
+		options.mode = mode;
+	}
+
+	const areaCodes = parseDatasetStringList(dataset.tigRulesPhoneJpAreaCodes);
+	if (areaCodes != null) {
+		options.areaCodes = areaCodes;
+	}
+
+	return phoneJp(options);
+};
@@ -0,0 +1,151 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { phoneJp } from "./phone-jp.js";
+import { createPipeline } from "../pipeline.js";
+
+const makeCtx = function ({ source = "input" } = {}) {
+	/** @type {any[]} */
+	const errors = [];
+	/** @type {any[]} */
+	const reverts = [];
+
+	/** @type {any} */
+	const ctx = {
+		source,
+		pushError(e) { errors.push(e); },
+		requestRevert(req) { reverts.push(req); },
+		_getErrors() { return errors; },
+		_getReverts() { return reverts; }
+	};
+
+	return ctx;
+};
+
+test("phoneJp - normalizeChar: 全角数字・ハイフン類・括弧・空白を数字だけにする", () => {
+	const rule = phoneJp();
+
+	assert.equal(rule.normalizeChar("０３－１２３４－５６７８"), "0312345678");
+	assert.equal(rule.normalizeChar("090ー1234‐5678"), "09012345678");
+	assert.equal(rule.normalizeChar("(03) 1234 5678"), "0312345678");
+	assert.equal(rule.normalizeChar("０１２０―１２３―４５６"), "0120123456");
+});
+
+test("phoneJp - format: 種別と市外局番に合わせてハイフンで区切る", () => {
+	const rule = phoneJp();
+
+	assert.equal(rule.format("09012345678"), "090-1234-5678");
+	assert.equal(rule.format("08012345678"), "080-1234-5678");
+	assert.equal(rule.format("05012345678"), "050-1234-5678");
+	assert.equal(rule.format("0120123456"), "0120-123-456");
+	assert.equal(rule.format("08001234567"), "0800-123-4567");
+	assert.equal(rule.format("0570123456"), "0570-123-456");
+
+	// 固定電話（2桁 / 3桁 / 4桁 / 5桁の市外局番）
+	assert.equal(rule.format("0312345678"), "03-1234-5678");
+	assert.equal(rule.format("0429123456"), "04-2912-3456");
+	assert.equal(rule.format("0451234567"), "045-123-4567");
+	assert.equal(rule.format("0466123456"), "0466-12-3456");
+	assert.equal(rule.format("0123123456"), "0123-12-3456");
+	assert.equal(rule.format("0126712345"), "01267-1-2345");
+
+	// 桁数が合わなければそのまま
+	assert.equal(rule.format("031234567"), "031234567");
+	assert.equal(rule.format(""), "");
+});
+
+test("phoneJp - format: areaCodes で市外局番を追加できる", () => {
+	assert.equal(phoneJp().format("0451234567"), "045-123-4567");
+	assert.equal(phoneJp({ areaCodes: ["0451"] }).format("0451234567"), "0451-23-4567");
+	assert.equal(phoneJp({ areaCodes: ["04-51"] }).format("0451234567"), "04-5123-4567");
+});
+
+test("phoneJp - validate: block なら種別の桁数を超える入力を取り消す", () => {
+	const rule = phoneJp();
+
+	const ctx = makeCtx();
+	rule.validate("031234567890", ctx);
+	assert.deepEqual(ctx._getReverts(), [
+		{ reason: "phoneJp.max_overflow", detail: { type: "fixed", limit: 10, actual: 12 } }
+	]);
+
+	const mobile = makeCtx();
+	rule.validate("09012345678", mobile);
+	assert.deepEqual(mobile._getReverts(), []);
+	assert.deepEqual(mobile._getErrors(), []);
+});
+
+test("phoneJp - validate: error なら桁数超過をエラーにする", () => {
+	const rule = phoneJp({ mode: "error" });
+
+	const ctx = makeCtx();
+	rule.validate("01201234567", ctx);
+	assert.deepEqual(ctx._getErrors(), [{
+		code: "phoneJp.max_overflow",
+		rule: "phoneJp",
+		phase: "validate",
+		detail: { type: "tollFree", limit: 10, actual: 11 }
+	}]);
+});
+
+test("phoneJp - validate: 桁不足は確定時だけエラー", () => {
+	const rule = phoneJp();
+
+	const input = makeCtx({ source: "input" });
+	rule.validate("090123", input);
+	assert.deepEqual(input._getErrors(), []);
+
+	const commit = makeCtx({ source: "commit" });
+	rule.validate("090123", commit);
+	assert.equal(commit._getErrors()[0].code, "phoneJp.min_underflow");
+	assert.deepEqual(commit._getErrors()[0].detail, { type: "mobile", limit: 11, actual: 6 });
+});
+
+test("phoneJp - validate: 0 以外 / 00 / 未対応の 0X0 は phoneJp.invalid", () => {
+	const rule = phoneJp();
+
+	for (const value of ["312345678", "0012345678", "02012345678", "06012345678"]) {
+		const ctx = makeCtx();
+		rule.validate(value, ctx);
+		assert.equal(ctx._getErrors()[0]?.code, "phoneJp.invalid", value);
+	}
+
+	// 種別が決まらないまま確定した場合も invalid
+	const input = makeCtx({ source: "input" });
+	rule.validate("012", input);
+	assert.deepEqual(input._getErrors(), []);
+
+	const commit = makeCtx({ source: "commit" });
+	rule.validate("012", commit);
+	assert.equal(commit._getErrors()[0].code, "phoneJp.invalid");
+});
+
+test("phoneJp - pipeline: 表示を入力し直しても raw は数字だけ", () => {
+	const pipeline = createPipeline([phoneJp()]);
+
+	const result = pipeline.runCommit("０４６６－１２－３４５６");
+	assert.equal(result.raw, "0466123456");
+	assert.equal(result.display, "0466-12-3456");
+	assert.equal(result.isValid, true);
+
+	assert.equal(pipeline.runCommit(result.display).raw, "0466123456");
+});
+
+test("phoneJp - fromDataset: data-tig-rules-phone-jp-* からオプションを読む", () => {
+	assert.equal(phoneJp.fromDataset({}, null), null);
+
+	const rule = phoneJp.fromDataset({
+		tigRulesPhoneJp: "",
+		tigRulesPhoneJpMode: "error",
+		tigRulesPhoneJpAreaCodes: "0451, 04-52"
+	}, null);
+
+	assert.equal(rule.name, "phoneJp");
+	assert.equal(rule.format("0451234567"), "0451-23-4567");
+	assert.equal(rule.format("0452234567"), "04-5223-4567");
+
+	const ctx = makeCtx();
+	rule.validate("031234567890", ctx);
+	assert.equal(ctx._getErrors()[0].code, "phoneJp.max_overflow");
+});
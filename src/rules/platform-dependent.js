@@ -0,0 +1,276 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import Mojix from "./libs/mojix.js";
+import { parseDatasetEnum, parseDatasetEnumList } from "./_dataset.js";
+
+/**
+ * 機種依存文字の種別
+ * - "nec-special"               : NEC特殊文字（①, Ⅰ, ㈱, ㍉ など）
+ * - "nec-selected-ibm-extended" : NEC選定IBM拡張文字
+ * - "ibm-extended"              : IBM拡張文字（ⅰ, 髙, 﨑 など）
+ * - "gaiji"                     : 外字（私用領域）
+ * @typedef {"nec-special"|"nec-selected-ibm-extended"|"ibm-extended"|"gaiji"} PlatformDependentCategory
+ */
+
+/**
+ * platformDependent ルールのオプション
+ * @typedef {Object} PlatformDependentRuleOptions
+ * @property {"error"|"block"|"replace"} [mode="error"] - 機種依存文字を入力した場合の挙動
+ * @property {PlatformDependentCategory[]} [category] - 対象にする種別（未指定なら全て）
+ */
+
+/**
+ * 見つかった機種依存文字
+ * @typedef {Object} PlatformDependentChar
+ * @property {string} char - 文字
+ * @property {number} index - 入力値の中の位置（UTF-16 のインデックス）
+ * @property {PlatformDependentCategory} category - 種別
+ * @property {string|null} replacement - 置き換え候補（無ければ null）
+ */
+
+/**
+ * 全ての種別
+ * @type {PlatformDependentCategory[]}
+ */
+const ALL_CATEGORIES = ["nec-special", "nec-selected-ibm-extended", "ibm-extended", "gaiji"];
+
+/**
+ * NFKC では変わらない文字の置き換え候補（IBM拡張文字の異体字など）
+ * @type {Record<string, string>}
+ */
+const REPLACEMENTS = {
+	"№": "No.",
+	髙: "高",
+	﨑: "崎",
+	德: "徳",
+	栁: "柳",
+	瀨: "瀬"
+};
+
+/**
+ * 文字の機種依存文字としての種別を返す
+ * @param {string} ch - 1文字（1コードポイント）
+ * @returns {PlatformDependentCategory|null} 機種依存文字でなければ null
+ */
+const getCategory = function(ch) {
+	const cp = /** @type {number} */ (ch.codePointAt(0));
+	if (cp < 0x80) {
+		return null;
+	}
+	const type = Mojix.getMojiData(cp).type;
+	if (type.is_NEC_special_character) {
+		return "nec-special";
+	}
+	if (type.is_NEC_selection_IBM_extended_character) {
+		return "nec-selected-ibm-extended";
+	}
+	if (type.is_IBM_extended_character) {
+		return "ibm-extended";
+	}
+	if (type.is_gaiji_cp932) {
+		return "gaiji";
+	}
+	return null;
+};
+
+/**
+ * 機種依存文字ではなく、CP932 で表せる文字だけでできているか
+ * @param {string} text
+ * @returns {boolean}
+ */
+const isPortableText = function(text) {
+	for (const ch of text) {
+		const cp = /** @type {number} */ (ch.codePointAt(0));
+		if (cp < 0x80) {
+			continue;
+		}
+		if (Mojix.getMojiData(cp).encode.cp932_code === -1 || getCategory(ch) !== null) {
+			return false;
+		}
+	}
+	return true;
+};
+
+/**
+ * 置き換え候補を返す
+ * - 表に無ければ NFKC で分解する（㈱ → (株)、㍉ → ミリ など）
+ * - 丸囲み文字は括弧で囲む（① → (1)、㊤ → (上)）
+ * - 候補が機種依存文字を含む・CP932 で表せない場合は null
+ * @param {string} ch
+ * @returns {string|null}
+ */
+const getReplacement = function(ch) {
+	if (Object.prototype.hasOwnProperty.call(REPLACEMENTS, ch)) {
+		return REPLACEMENTS[ch];
+	}
+
+	let replacement = ch.normalize("NFKC");
+	if (replacement === ch || replacement === "") {
+		return null;
+	}
+
+	const cp = /** @type {number} */ (ch.codePointAt(0));
+	const isCircled = (0x2460 <= cp && cp <= 0x24FF) || (0x3251 <= cp && cp <= 0x32BF);
+	if (isCircled) {
+		replacement = `(${replacement})`;
+	}
+
+	return isPortableText(replacement) ? replacement : null;
+};
+
+/**
+ * 機種依存文字を探す
+ * @param {string} value
+ * @param {PlatformDependentCategory[]} categories
+ * @returns {PlatformDependentChar[]}
+ */
+const scanPlatformDependent = function(value, categories) {
+	/** @type {PlatformDependentChar[]} */
+	const result = [];
+	let index = 0;
+	for (const ch of value) {
+		const category = getCategory(ch);
+		if (category !== null && categories.includes(category)) {
+			result.push({ char: ch, index, category, replacement: getReplacement(ch) });
+		}
+		index += ch.length;
+	}
+	return result;
+};
+
+/**
+ * platformDependent ルールを生成する
+ * - Windows-31J（CP932）の機種依存文字（NEC特殊文字・IBM拡張文字・外字）を、種別と置き換え候補つきで知らせる
+ * @param {PlatformDependentRuleOptions} [options]
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function platformDependent(options = {}) {
+	/** @type {PlatformDependentRuleOptions} */
+	const opt = {
+		mode: options.mode ?? "error",
+		category: options.category ?? ALL_CATEGORIES
+	};
+
+	const categories = /** @type {PlatformDependentCategory[]} */ (opt.category);
+
+	return {
+		name: "platformDependent",
+		targets: ["input", "textarea", "contenteditable"],
+
+		/**
+		 * block は機種依存文字を取り除き、replace は置き換え候補があれば置き換える
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} _ctx
+		 * @returns {string}
+		 */
+		normalizeChar(value, _ctx) {
+			if (opt.mode === "error") {
+				return value;
+			}
+
+			const found = scanPlatformDependent(String(value), categories);
+			if (found.length === 0) {
+				return value;
+			}
+
+			const v = String(value);
+			let output = "";
+			let last = 0;
+			for (const item of found) {
+				output += v.slice(last, item.index);
+				if (opt.mode === "replace") {
+					output += item.replacement ?? item.char;
+				}
+				last = item.index + item.char.length;
+			}
+			return output + v.slice(last);
+		},
+
+		/**
+		 * 機種依存文字が残っていればエラーを積む（replace で置き換えられなかった文字を含む）
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {void}
+		 */
+		validate(value, ctx) {
+			const v = String(value);
+			if (v === "") {
+				return;
+			}
+
+			const found = scanPlatformDependent(v, categories);
+			if (found.length === 0) {
+				return;
+			}
+
+			/** @type {string[]} */
+			const chars = [];
+			for (const item of found) {
+				if (!chars.includes(item.char)) {
+					chars.push(item.char);
+				}
+			}
+
+			ctx.pushError({
+				code: "platformDependent.invalid_char",
+				rule: "platformDependent",
+				phase: "validate",
+				detail: { count: found.length, chars, items: found }
+			});
+		}
+	};
+}
+
+/**
+ * 文字の置き換え候補を返す（機種依存文字でなければ null）
+ * - エラー表示で「① は (1) に」のように案内したいときに使う
+ * @param {string} ch - 1文字
+ * @returns {string|null}
+ */
+platformDependent.getReplacement = function(ch) {
+	return getCategory(String(ch)) === null ? null : getReplacement(String(ch));
+};
+
+/**
+ * datasetから platformDependent ルールを生成する
+ * - data-tig-rules-platform-dependent が無ければ null
+ * - オプションは data-tig-rules-platform-dependent-xxx から読む
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-platform-dependent              -> dataset.tigRulesPlatformDependent
+ * - data-tig-rules-platform-dependent-mode         -> dataset.tigRulesPlatformDependentMode
+ * - data-tig-rules-platform-dependent-category     -> dataset.tigRulesPlatformDependentCategory（カンマ区切り）
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+platformDependent.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesPlatformDependent == null) {
+		return null;
+	}
+
+	/** @type {PlatformDependentRuleOptions} */
+	const options = {};
+
+	const mode = parseDatasetEnum(dataset.tigRulesPlatformDependentMode, ["error", "block", "replace"]);
+	if (mode != null) {
+		options.mode = mode;
+	}
+
+	const category = parseDatasetEnumList(dataset.tigRulesPlatformDependentCategory, ALL_CATEGORIES);
+	if (category != null) {
+		options.category = category;
+	}
+
+	return platformDependent(options);
+};
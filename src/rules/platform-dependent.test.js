@@ -0,0 +1,105 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { platformDependent } from "./platform-dependent.js";
+import { createPipeline } from "../pipeline.js";
+
+const makeCtx = function (props = {}) {
+	/** @type {any[]} */
+	const errors = [];
+
+	/** @type {any} */
+	const ctx = {
+		source: "input",
+		pushError(e) { errors.push(e); },
+		requestRevert() {},
+		_getErrors() { return errors; },
+		...props
+	};
+
+	return ctx;
+};
+
+test("platformDependent - validate: 機種依存文字を種別・位置・置き換え候補つきで返す", () => {
+	const ctx = makeCtx();
+	platformDependent().validate("①㈱髙橋①", ctx);
+	assert.deepEqual(ctx._getErrors(), [{
+		code: "platformDependent.invalid_char",
+		rule: "platformDependent",
+		phase: "validate",
+		detail: {
+			count: 5,
+			chars: ["①", "㈱", "髙", ""],
+			items: [
+				{ char: "①", index: 0, category: "nec-special", replacement: "(1)" },
+				{ char: "㈱", index: 1, category: "nec-special", replacement: "(株)" },
+				{ char: "髙", index: 2, category: "ibm-extended", replacement: "高" },
+				{ char: "", index: 4, category: "gaiji", replacement: null },
+				{ char: "①", index: 5, category: "nec-special", replacement: "(1)" }
+			]
+		}
+	}]);
+
+	// JIS X 0208 にある文字（≒ ∵ ￢ など）は対象外
+	const ok = makeCtx();
+	platformDependent().validate("高橋≒∵￢ABCあア漢", ok);
+	assert.deepEqual(ok._getErrors(), []);
+});
+
+test("platformDependent - getReplacement: 置き換え候補", () => {
+	assert.equal(platformDependent.getReplacement("⑳"), "(20)");
+	assert.equal(platformDependent.getReplacement("Ⅲ"), "III");
+	assert.equal(platformDependent.getReplacement("ⅲ"), "iii");
+	assert.equal(platformDependent.getReplacement("㍉"), "ミリ");
+	assert.equal(platformDependent.getReplacement("㎏"), "kg");
+	assert.equal(platformDependent.getReplacement("㍻"), "平成");
+	assert.equal(platformDependent.getReplacement("㊤"), "(上)");
+	assert.equal(platformDependent.getReplacement("№"), "No.");
+	assert.equal(platformDependent.getReplacement("﨑"), "崎");
+	assert.equal(platformDependent.getReplacement("＇"), "'");
+
+	// CP932 で表せる候補が無い
+	assert.equal(platformDependent.getReplacement("￤"), null);
+
+	// 機種依存文字ではない
+	assert.equal(platformDependent.getReplacement("あ"), null);
+});
+
+test("platformDependent - normalizeChar: block は取り除き、replace は置き換える", () => {
+	assert.equal(platformDependent().normalizeChar("①髙橋", makeCtx()), "①髙橋");
+	assert.equal(platformDependent({ mode: "block" }).normalizeChar("①髙橋", makeCtx()), "橋");
+	assert.equal(platformDependent({ mode: "replace" }).normalizeChar("①髙橋㈱", makeCtx()), "(1)高橋(株)");
+
+	// 置き換えられない文字は残して、validate でエラーにする
+	const rule = platformDependent({ mode: "replace" });
+	const value = rule.normalizeChar("￤①", makeCtx());
+	assert.equal(value, "￤(1)");
+	const ctx = makeCtx();
+	rule.validate(value, ctx);
+	assert.deepEqual(ctx._getErrors()[0].detail.chars, ["￤"]);
+});
+
+test("platformDependent - category: 対象の種別を絞る", () => {
+	const ctx = makeCtx();
+	platformDependent({ category: ["ibm-extended"] }).validate("①髙", ctx);
+	assert.deepEqual(ctx._getErrors()[0].detail.chars, ["髙"]);
+});
+
+test("platformDependent - pipeline: replace なら確定時に置き換えて有効になる", () => {
+	const result = createPipeline([platformDependent({ mode: "replace" })]).runCommit("第①会議室");
+	assert.equal(result.raw, "第(1)会議室");
+	assert.equal(result.isValid, true);
+});
+
+test("platformDependent - fromDataset: data-tig-rules-platform-dependent-* からオプションを読む", () => {
+	assert.equal(platformDependent.fromDataset({}, null), null);
+
+	const rule = platformDependent.fromDataset({
+		tigRulesPlatformDependent: "",
+		tigRulesPlatformDependentMode: "replace",
+		tigRulesPlatformDependentCategory: "nec-special, gaiji"
+	}, null);
+	assert.equal(rule.name, "platformDependent");
+	assert.equal(rule.normalizeChar("①髙", makeCtx()), "(1)髙");
+});
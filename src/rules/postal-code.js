@@ -0,0 +1,150 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import { parseDatasetBool, parseDatasetEnum } from "./_dataset.js";
+import { toHalfWidthDigit } from "./numeric.js";
+
+/**
+ * 郵便番号の桁数
+ */
+const POSTAL_CODE_LENGTH = 7;
+
+/**
+ * postalCode ルールのオプション
+ * @typedef {Object} PostalCodeRuleOptions
+ * @property {boolean} [mark=false] - 表示の先頭に「〒」を付けるか
+ * @property {"block"|"error"} [mode="block"] - 入力中に7桁を超えたときの挙動
+ */
+
+/**
+ * 郵便番号ルールを生成する
+ * - normalize.char: 全角数字→半角、「〒」・ハイフン類・その他の文字を除去（raw は数字のみ）
+ * - validate: 7桁を超えたら block / error、確定時に7桁未満ならエラー
+ * - format: 7桁そろっていれば「123-4567」（mark 指定時は「〒123-4567」）で表示
+ *
+ * @param {PostalCodeRuleOptions} [options]
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function postalCode(options = {}) {
+	/** @type {PostalCodeRuleOptions} */
+	const opt = {
+		mark: options.mark ?? false,
+		mode: options.mode ?? "block"
+	};
+
+	return {
+		name: "postalCode",
+		targets: ["input"],
+
+		/**
+		 * 数字だけを残す（「〒」や表示用のハイフンもここで落とす）
+		 * @param {string} value
+		 * @returns {string}
+		 */
+		normalizeChar(value) {
+			let out = "";
+			for (const ch of String(value)) {
+				if (ch >= "0" && ch <= "9") {
+					out += ch;
+					continue;
+				}
+				const d = toHalfWidthDigit(ch);
+				if (d) {
+					out += d;
+				}
+				// 「〒」・ハイフン類・空白などは全部除去
+			}
+			return out;
+		},
+
+		validate(value, ctx) {
+			const len = String(value).length;
+			if (len === 0) {
+				return;
+			}
+
+			if (len > POSTAL_CODE_LENGTH) {
+				if (opt.mode === "block") {
+					ctx.requestRevert({
+						reason: "postalCode.max_overflow",
+						detail: { limit: POSTAL_CODE_LENGTH, actual: len }
+					});
+					return;
+				}
+				ctx.pushError({
+					code: "postalCode.max_overflow",
+					rule: "postalCode",
+					phase: "validate",
+					detail: { limit: POSTAL_CODE_LENGTH, actual: len }
+				});
+				return;
+			}
+
+			// 入力途中の桁不足はうるさくしない
+			if (len < POSTAL_CODE_LENGTH && ctx.source === "commit") {
+				ctx.pushError({
+					code: "postalCode.min_underflow",
+					rule: "postalCode",
+					phase: "validate",
+					detail: { limit: POSTAL_CODE_LENGTH, actual: len }
+				});
+			}
+		},
+
+		/**
+		 * 表示整形（7桁そろっている場合のみ）
+		 * @param {string} value
+		 * @returns {string}
+		 */
+		format(value) {
+			const v = String(value);
+			if (!/^\d{7}$/.test(v)) {
+				return v;
+			}
+			return `${opt.mark ? "〒" : ""}${v.slice(0, 3)}-${v.slice(3)}`;
+		}
+	};
+}
+
+/**
+ * datasetから postalCode ルールを生成する
+ * - data-tig-rules-postal-code が無ければ null
+ * - オプションは data-tig-rules-postal-code-xxx から読む
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-postal-code        -> dataset.tigRulesPostalCode
+ * - data-tig-rules-postal-code-mark   -> dataset.tigRulesPostalCodeMark
+ * - data-tig-rules-postal-code-mode   -> dataset.tigRulesPostalCodeMode
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+postalCode.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesPostalCode == null) {
+		return null;
+	}
+
+	/** @type {PostalCodeRuleOptions} */
+	const options = {};
+
+	const mark = parseDatasetBool(dataset.tigRulesPostalCodeMark);
+	if (mark != null) {
+		options.mark = mark;
+	}
+
+	const mode = parseDatasetEnum(dataset.tigRulesPostalCodeMode, ["block", "error"]);
+	if (mode != null) {
+		options.mode = mode;
+	}
+
+	return postalCode(options);
+};
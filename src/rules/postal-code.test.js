@@ -0,0 +1,111 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { postalCode } from "./postal-code.js";
+import { createPipeline } from "../pipeline.js";
+
+const makeCtx = function ({ source = "input" } = {}) {
+	/** @type {any[]} */
+	const errors = [];
+	/** @type {any[]} */
+	const reverts = [];
+
+	/** @type {any} */
+	const ctx = {
+		source,
+		pushError(e) { errors.push(e); },
+		requestRevert(req) { reverts.push(req); },
+		_getErrors() { return errors; },
+		_getReverts() { return reverts; }
+	};
+
+	return ctx;
+};
+
+test("postalCode - normalizeChar: 全角数字・ハイフン類・〒 を数字だけにする", () => {
+	const rule = postalCode();
+
+	assert.equal(rule.normalizeChar("1234567"), "1234567");
+	assert.equal(rule.normalizeChar("１２３－４５６７"), "1234567");
+	assert.equal(rule.normalizeChar("〒123-4567"), "1234567");
+	assert.equal(rule.normalizeChar("〒 123ー4567"), "1234567");
+	assert.equal(rule.normalizeChar("abc"), "");
+});
+
+test("postalCode - validate: block なら7桁を超える入力を取り消す", () => {
+	const rule = postalCode();
+
+	const ctx = makeCtx();
+	rule.validate("12345678", ctx);
+	assert.deepEqual(ctx._getReverts(), [
+		{ reason: "postalCode.max_overflow", detail: { limit: 7, actual: 8 } }
+	]);
+	assert.deepEqual(ctx._getErrors(), []);
+});
+
+test("postalCode - validate: error なら7桁を超えてもエラーを積むだけ", () => {
+	const rule = postalCode({ mode: "error" });
+
+	const ctx = makeCtx();
+	rule.validate("12345678", ctx);
+	assert.deepEqual(ctx._getReverts(), []);
+	assert.deepEqual(ctx._getErrors(), [{
+		code: "postalCode.max_overflow",
+		rule: "postalCode",
+		phase: "validate",
+		detail: { limit: 7, actual: 8 }
+	}]);
+});
+
+test("postalCode - validate: 桁不足は確定時だけエラー（空は対象外）", () => {
+	const rule = postalCode();
+
+	const input = makeCtx({ source: "input" });
+	rule.validate("123", input);
+	assert.deepEqual(input._getErrors(), []);
+
+	const commit = makeCtx({ source: "commit" });
+	rule.validate("123", commit);
+	assert.equal(commit._getErrors()[0].code, "postalCode.min_underflow");
+	assert.deepEqual(commit._getErrors()[0].detail, { limit: 7, actual: 3 });
+
+	const empty = makeCtx({ source: "commit" });
+	rule.validate("", empty);
+	assert.deepEqual(empty._getErrors(), []);
+});
+
+test("postalCode - format: 7桁なら 123-4567、mark 指定で 〒 を付ける", () => {
+	assert.equal(postalCode().format("1234567"), "123-4567");
+	assert.equal(postalCode({ mark: true }).format("1234567"), "〒123-4567");
+	assert.equal(postalCode({ mark: true }).format("123"), "123");
+	assert.equal(postalCode({ mark: true }).format(""), "");
+});
+
+test("postalCode - pipeline: 整形済みの表示を入力し直しても raw は7桁の数字", () => {
+	const pipeline = createPipeline([postalCode({ mark: true })]);
+
+	const result = pipeline.runCommit("〒１２３－４５６７");
+	assert.equal(result.raw, "1234567");
+	assert.equal(result.display, "〒123-4567");
+	assert.equal(result.isValid, true);
+
+	assert.equal(pipeline.runCommit(result.display).raw, "1234567");
+});
+
+test("postalCode - fromDataset: data-tig-rules-postal-code-* からオプションを読む", () => {
+	assert.equal(postalCode.fromDataset({}, null), null);
+
+	const rule = postalCode.fromDataset({
+		tigRulesPostalCode: "",
+		tigRulesPostalCodeMark: "true",
+		tigRulesPostalCodeMode: "error"
+	}, null);
+
+	assert.equal(rule.name, "postalCode");
+	assert.equal(rule.format("1234567"), "〒123-4567");
+
+	const ctx = makeCtx();
+	rule.validate("12345678", ctx);
+	assert.equal(ctx._getErrors()[0].code, "postalCode.max_overflow");
+});
@@ -0,0 +1,256 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import { parseDatasetBool } from "./_dataset.js";
+import { parseDecimal, compareDecimal, scaleTo, decimalToString } from "./_decimal.js";
+
+/**
+ * @typedef {import("./_decimal.js").Decimal} Decimal
+ */
+
+/**
+ * range ルールのオプション
+ * - 値は浮動小数点の誤差を避けるため文字列での指定を推奨（"0.1" など）
+ * @typedef {Object} RangeRuleOptions
+ * @property {string|number} [min] - 最小値
+ * @property {string|number} [max] - 最大値
+ * @property {string|number} [step] - 刻み幅（基準は min、未指定なら 0）
+ * @property {boolean} [clampOnBlur=false] - blur時に min / max の範囲へ収める
+ * @property {boolean} [snapOnBlur=false] - blur時に最も近い step の値へ寄せる
+ */
+
+/**
+ * オプションの数値を Decimal にする（未指定なら null）
+ * - 解釈できない値（"abc"、NaN、指数表記になる 1e21 など）は、制限が外れたまま動かないよう例外にする
+ * @param {"min"|"max"|"step"} name
+ * @param {string|number|undefined} v
+ * @returns {Decimal|null}
+ */
+function toOptionDecimal(name, v) {
+	if (v == null || v === "") {
+		return null;
+	}
+	const d = parseDecimal(v);
+	if (d == null) {
+		throw new TypeError(`Invalid ${name}: ${v}`);
+	}
+	return d;
+}
+
+/**
+ * 数値の範囲（最小値・最大値・刻み幅）ルールを生成する
+ * - 値は文字列のまま10進数として比較する（大きな桁数・小数でも誤差が出ない）
+ * - validate: 確定時に min / max / step を検査する（入力途中はうるさくしない）
+ * - fix: clampOnBlur / snapOnBlur 指定時に、blur で範囲内・step の値へ補正する
+ *
+ * numeric の後ろ、digits の前に置くことを想定（補正した値を digits の小数部補正・0埋めで整えるため）
+ *
+ * @param {RangeRuleOptions} [options]
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function range(options = {}) {
+	const opt = {
+		min: toOptionDecimal("min", options.min),
+		max: toOptionDecimal("max", options.max),
+		step: toOptionDecimal("step", options.step),
+		clampOnBlur: options.clampOnBlur ?? false,
+		snapOnBlur: options.snapOnBlur ?? false
+	};
+
+	// 0 以下の step は無効
+	if (opt.step && opt.step.int <= 0n) {
+		opt.step = null;
+	}
+
+	/**
+	 * step の基準
+	 * @type {Decimal}
+	 */
+	const base = opt.min ?? { int: 0n, scale: 0 };
+
+	/**
+	 * 値が step に乗っているか
+	 * @param {Decimal} d
+	 * @returns {boolean}
+	 */
+	function isOnStep(d) {
+		if (!opt.step) {
+			return true;
+		}
+		const scale = Math.max(d.scale, base.scale, opt.step.scale);
+		const diff = scaleTo(d, scale) - scaleTo(base, scale);
+		return diff % scaleTo(opt.step, scale) === 0n;
+	}
+
+	/**
+	 * 最も近い step の値へ寄せる（ちょうど中間なら大きい方）
+	 * - 寄せた結果が min / max を超える場合は、範囲内の側の step へ寄せる
+	 * @param {Decimal} d
+	 * @returns {Decimal}
+	 */
+	function snap(d) {
+		if (!opt.step) {
+			return d;
+		}
+		const scale = Math.max(d.scale, base.scale, opt.step.scale);
+		const stepInt = scaleTo(opt.step, scale);
+		const baseInt = scaleTo(base, scale);
+		const valueInt = scaleTo(d, scale);
+		const diff = valueInt - baseInt;
+
+		// 床方向の倍数（BigInt の割り算は 0 方向に丸まるので負数は1つずらす）
+		let q = diff / stepInt;
+		if (diff % stepInt !== 0n && diff < 0n) {
+			q -= 1n;
+		}
+		const lower = baseInt + q * stepInt;
+		const upper = lower + stepInt;
+		let out = valueInt - lower < upper - valueInt ? lower : upper;
+
+		const toDecimal = (/** @type {bigint} */ int) => ({ int, scale });
+		if (opt.max && compareDecimal(toDecimal(out), opt.max) > 0) {
+			out -= stepInt;
+		}
+		if (opt.min && compareDecimal(toDecimal(out), opt.min) < 0) {
+			out += stepInt;
+		}
+		return toDecimal(out);
+	}
+
+	return {
+		name: "range",
+		targets: ["input", "textarea"],
+
+		/**
+		 * 範囲・刻み幅の検査（確定時のみ）
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {void}
+		 */
+		validate(value, ctx) {
+			if (ctx.source !== "commit") {
+				return;
+			}
+
+			const d = parseDecimal(value);
+			// 空や数値になっていない値（"-" / "." など）は numeric 側に任せる
+			if (!d) {
+				return;
+			}
+
+			if (opt.min && compareDecimal(d, opt.min) < 0) {
+				ctx.pushError({
+					code: "range.min",
+					rule: "range",
+					phase: "validate",
+					detail: { limit: decimalToString(opt.min), actual: value }
+				});
+				return;
+			}
+			if (opt.max && compareDecimal(d, opt.max) > 0) {
+				ctx.pushError({
+					code: "range.max",
+					rule: "range",
+					phase: "validate",
+					detail: { limit: decimalToString(opt.max), actual: value }
+				});
+				return;
+			}
+			if (opt.step && !isOnStep(d)) {
+				ctx.pushError({
+					code: "range.step",
+					rule: "range",
+					phase: "validate",
+					detail: { step: decimalToString(opt.step), base: decimalToString(base), actual: value }
+				});
+			}
+		},
+
+		/**
+		 * blur時の補正（clamp → snap の順）
+		 * @param {string} value
+		 * @returns {string}
+		 */
+		fix(value) {
+			if (!opt.clampOnBlur && !opt.snapOnBlur) {
+				return value;
+			}
+
+			let d = parseDecimal(value);
+			if (!d) {
+				return value;
+			}
+			const before = d;
+
+			if (opt.clampOnBlur) {
+				if (opt.min && compareDecimal(d, opt.min) < 0) {
+					d = opt.min;
+				} else if (opt.max && compareDecimal(d, opt.max) > 0) {
+					d = opt.max;
+				}
+			}
+			if (opt.snapOnBlur && !isOnStep(d)) {
+				d = snap(d);
+			}
+
+			// 変わらなければ元の表記のまま（"1.50" を "1.5" にしない）
+			return d === before ? value : decimalToString(d);
+		}
+	};
+}
+
+/**
+ * datasetから range ルールを生成する
+ * - data-tig-rules-range が無ければ null
+ * - オプションは data-tig-rules-range-xxx から読む（数値は文字列のまま渡す）
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-range                  -> dataset.tigRulesRange
+ * - data-tig-rules-range-min              -> dataset.tigRulesRangeMin
+ * - data-tig-rules-range-max              -> dataset.tigRulesRangeMax
+ * - data-tig-rules-range-step             -> dataset.tigRulesRangeStep
+ * - data-tig-rules-range-clamp-on-blur    -> dataset.tigRulesRangeClampOnBlur
+ * - data-tig-rules-range-snap-on-blur     -> dataset.tigRulesRangeSnapOnBlur
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+range.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesRange == null) {
+		return null;
+	}
+
+	/** @type {RangeRuleOptions} */
+	const options = {};
+
+	if (dataset.tigRulesRangeMin != null) {
+		options.min = dataset.tigRulesRangeMin;
+	}
+	if (dataset.tigRulesRangeMax != null) {
+		options.max = dataset.tigRulesRangeMax;
+	}
+	if (dataset.tigRulesRangeStep != null) {
+		options.step = dataset.tigRulesRangeStep;
+	}
+
+	const clampOnBlur = parseDatasetBool(dataset.tigRulesRangeClampOnBlur);
+	if (clampOnBlur != null) {
+		options.clampOnBlur = clampOnBlur;
+	}
+
+	const snapOnBlur = parseDatasetBool(dataset.tigRulesRangeSnapOnBlur);
+	if (snapOnBlur != null) {
+		options.snapOnBlur = snapOnBlur;
+	}
+
+	return range(options);
+};
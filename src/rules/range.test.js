@@ -0,0 +1,169 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { range } from "./range.js";
+import { numeric } from "./numeric.js";
+import { digits } from "./digits.js";
+import { createPipeline } from "../pipeline.js";
+
+const makeCtx = function ({ source = "commit" } = {}) {
+	/** @type {any[]} */
+	const errors = [];
+
+	/** @type {any} */
+	const ctx = {
+		source,
+		pushError(e) { errors.push(e); },
+		requestRevert() {},
+		_getErrors() { return errors; }
+	};
+
+	return ctx;
+};
+
+test("range - validate: min / max を超えると確定時にエラー", () => {
+	const rule = range({ min: "0", max: "100" });
+
+	const under = makeCtx();
+	rule.validate("-1", under);
+	assert.deepEqual(under._getErrors(), [{
+		code: "range.min",
+		rule: "range",
+		phase: "validate",
+		detail: { limit: "0", actual: "-1" }
+	}]);
+
+	const over = makeCtx();
+	rule.validate("100.01", over);
+	assert.equal(over._getErrors()[0].code, "range.max");
+	assert.deepEqual(over._getErrors()[0].detail, { limit: "100", actual: "100.01" });
+
+	const ok = makeCtx();
+	rule.validate("100", ok);
+	assert.deepEqual(ok._getErrors(), []);
+
+	// 入力途中はエラーにしない
+	const input = makeCtx({ source: "input" });
+	rule.validate("-1", input);
+	assert.deepEqual(input._getErrors(), []);
+});
+
+test("range - validate: 大きな桁数でも誤差なく比較する", () => {
+	const rule = range({ max: "9007199254740993" });
+
+	const ok = makeCtx();
+	rule.validate("9007199254740993", ok);
+	assert.deepEqual(ok._getErrors(), []);
+
+	const over = makeCtx();
+	rule.validate("9007199254740994", over);
+	assert.equal(over._getErrors()[0].code, "range.max");
+
+	const frac = makeCtx();
+	range({ max: "0.3" }).validate("0.30000000000000001", frac);
+	assert.equal(frac._getErrors()[0].code, "range.max");
+});
+
+test("range - validate: step は min を基準に検査する", () => {
+	const rule = range({ min: "0.1", step: "0.2" });
+
+	for (const value of ["0.1", "0.3", "0.30", "100.1"]) {
+		const ctx = makeCtx();
+		rule.validate(value, ctx);
+		assert.deepEqual(ctx._getErrors(), [], value);
+	}
+
+	const ctx = makeCtx();
+	rule.validate("0.2", ctx);
+	assert.deepEqual(ctx._getErrors()[0].detail, { step: "0.2", base: "0.1", actual: "0.2" });
+
+	// min が無ければ 0 基準
+	const noMin = makeCtx();
+	range({ step: "5" }).validate("-15", noMin);
+	assert.deepEqual(noMin._getErrors(), []);
+});
+
+test("range - validate: 空や数値になっていない値は検査しない", () => {
+	const rule = range({ min: "1", step: "2" });
+
+	for (const value of ["", "-", ".", "-.", "12a"]) {
+		const ctx = makeCtx();
+		rule.validate(value, ctx);
+		assert.deepEqual(ctx._getErrors(), [], value);
+	}
+});
+
+test("range - options: 解釈できない min / max / step は TypeError", () => {
+	assert.throws(() => range({ min: "abc" }), { name: "TypeError", message: "Invalid min: abc" });
+	assert.throws(() => range({ max: 1e21 }), { name: "TypeError", message: "Invalid max: 1e+21" });
+	assert.throws(() => range({ step: NaN }), { name: "TypeError", message: "Invalid step: NaN" });
+	assert.throws(() => range({ max: Infinity }), TypeError);
+
+	// data 属性の値も同じ
+	assert.throws(() => range.fromDataset({ tigRulesRange: "", tigRulesRangeMin: "1,000" }, null), TypeError);
+
+	// 未指定・空は制限なし
+	assert.doesNotThrow(() => range({ min: "", max: undefined }));
+});
+
+test("range - fix: clampOnBlur / snapOnBlur で補正する", () => {
+	const clamp = range({ min: "10", max: "20", clampOnBlur: true });
+	assert.equal(clamp.fix("5"), "10");
+	assert.equal(clamp.fix("20.5"), "20");
+	assert.equal(clamp.fix("15.50"), "15.50");
+
+	const snap = range({ step: "0.25", snapOnBlur: true });
+	assert.equal(snap.fix("1.1"), "1");
+	assert.equal(snap.fix("1.125"), "1.25");
+	assert.equal(snap.fix("-1.1"), "-1");
+	assert.equal(snap.fix("-1.2"), "-1.25");
+
+	// 寄せた結果が範囲外になる場合は範囲内の step へ
+	const both = range({ min: "0", max: "10", step: "3", snapOnBlur: true });
+	assert.equal(both.fix("9.9"), "9");
+
+	// オプションが無ければ何もしない
+	assert.equal(range({ min: "10" }).fix("5"), "5");
+});
+
+test("range - pipeline: numeric / digits と組み合わせて確定時に補正する", () => {
+	const pipeline = createPipeline([
+		numeric({ allowDecimal: true }),
+		range({ min: "0", max: "1000", step: "0.5", clampOnBlur: true, snapOnBlur: true }),
+		digits({ frac: 2, forceFracOnBlur: true })
+	]);
+
+	const snapped = pipeline.runCommit("１２．３");
+	assert.equal(snapped.raw, "12.50");
+	assert.equal(snapped.isValid, true);
+
+	const clamped = pipeline.runCommit("1234");
+	assert.equal(clamped.raw, "1000.00");
+	assert.equal(clamped.isValid, true);
+
+	const invalid = createPipeline([numeric(), range({ max: "10" })]).runCommit("11");
+	assert.equal(invalid.isValid, false);
+	assert.equal(invalid.errors[0].code, "range.max");
+});
+
+test("range - fromDataset: data-tig-rules-range-* からオプションを読む", () => {
+	assert.equal(range.fromDataset({}, null), null);
+
+	const rule = range.fromDataset({
+		tigRulesRange: "",
+		tigRulesRangeMin: "1",
+		tigRulesRangeMax: "9",
+		tigRulesRangeStep: "2",
+		tigRulesRangeClampOnBlur: "true",
+		tigRulesRangeSnapOnBlur: "false"
+	}, null);
+
+	assert.equal(rule.name, "range");
+	assert.equal(rule.fix("12"), "9");
+	assert.equal(rule.fix("4"), "4");
+
+	const ctx = makeCtx();
+	rule.validate("4", ctx);
+	assert.equal(ctx._getErrors()[0].code, "range.step");
+});
@@ -15,7 +15,7 @@
 export function trim() {
 	return {
 		name: "trim",
-		targets: ["input", "textarea"],
+		targets: ["input", "textarea", "contenteditable"],
 
 		/**
 		 * 確定時に整える
@@ -32,7 +32,7 @@ export function width(options = {}) {
 
 	return {
 		name: "length",
-		targets: ["input", "textarea"],
+		targets: ["input", "textarea", "contenteditable"],
 
 		normalizeChar(value, ctx) {
 			// block 以外は何もしない
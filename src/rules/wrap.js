@@ -0,0 +1,314 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import Mojix from "./libs/mojix.js";
+import { parseDatasetBool, parseDatasetNumber } from "./_dataset.js";
+
+/**
+ * wrap ルールのオプション
+ * @typedef {Object} WrapRuleOptions
+ * @property {number} [width] - 1行の幅（全角は2, 半角は1）。未指定なら折り返さない
+ * @property {boolean} [kinsoku=true] - 禁則処理（行頭・行末に置けない文字を追い出す）を行う
+ * @property {string} [noStart] - 行頭に置けない文字（未指定なら既定の文字）
+ * @property {string} [noEnd] - 行末に置けない文字（未指定なら既定の文字）
+ */
+
+/**
+ * グラフェム（1グラフェムは、UTF-32の配列）
+ * @typedef {number[]} Grapheme
+ */
+
+/**
+ * 行頭に置けない文字（閉じ括弧・句読点・小書きの仮名など）
+ */
+const DEFAULT_NO_START = "、。，．,.・：；:;？！?!）)］]｝}」』】〕〉》’”ー々ゝゞヽヾぁぃぅぇぉっゃゅょゎゕゖァィゥェォッャュョヮヵヶ";
+
+/**
+ * 行末に置けない文字（開き括弧）
+ */
+const DEFAULT_NO_END = "（(［[｛{「『【〔〈《‘“";
+
+/**
+ * グラフェムの配列を文字列にする
+ * - 空配列を渡すとNUL文字を返すため、空配列のときは空文字を返す
+ * @param {Grapheme[]} array
+ * @returns {string}
+ */
+const toText = function(array) {
+	return array.length === 0 ? "" : Mojix.toStringFromMojiArray(array);
+};
+
+/**
+ * 先頭から width に収まるグラフェム数を返す
+ * - cutTextForWidth は全角が境界をまたぐと空白で埋めるので、その分は数えない
+ * @param {Grapheme[]} graphemeArray
+ * @param {number} width
+ * @returns {number}
+ */
+const countFitGraphemes = function(graphemeArray, width) {
+	const cut = Mojix.toMojiArrayFromString(Mojix.cutTextForWidth(toText(graphemeArray), 0, width));
+	let n = cut.length;
+	if (n > 0 && cut[n - 1][0] !== graphemeArray[n - 1][0]) {
+		n--;
+	}
+	return n;
+};
+
+/**
+ * n 番目のグラフェムの前で改行すると禁則になるか
+ * @param {Grapheme[]} graphemeArray
+ * @param {number} n
+ * @param {{ noStart: string, noEnd: string }} kinsoku
+ * @returns {boolean}
+ */
+const isKinsoku = function(graphemeArray, n, kinsoku) {
+	if (n <= 0 || n >= graphemeArray.length) {
+		return false;
+	}
+	return kinsoku.noStart.includes(toText([graphemeArray[n]])) ||
+		kinsoku.noEnd.includes(toText([graphemeArray[n - 1]]));
+};
+
+/**
+ * 1行（改行を含まない）を width ごとに折り返す
+ * @param {string} line
+ * @param {number} width
+ * @param {{ noStart: string, noEnd: string }|null} kinsoku - 禁則処理をしないなら null
+ * @returns {string[]} 折り返した行
+ */
+const wrapLine = function(line, width, kinsoku) {
+	/** @type {string[]} */
+	const output = [];
+	let rest = Mojix.toMojiArrayFromString(line);
+
+	while (rest.length > 1 && Mojix.getWidth(toText(rest)) > width) {
+		const fit = countFitGraphemes(rest, width);
+		let n = fit;
+
+		if (kinsoku) {
+			// 次の行の先頭が行頭禁則、または行末が行末禁則なら、前の文字ごと次の行へ追い出す
+			while (n > 1 && isKinsoku(rest, n, kinsoku)) {
+				n--;
+			}
+			// 追い出しきれない場合は禁則をあきらめる
+			if (isKinsoku(rest, n, kinsoku)) {
+				n = fit;
+			}
+		}
+
+		// 幅が足りず1文字も入らない場合でも、1文字は置いて先へ進む
+		n = Math.max(n, 1);
+
+		output.push(toText(rest.slice(0, n)));
+		rest = rest.slice(n);
+	}
+
+	output.push(toText(rest));
+	return output;
+};
+
+/**
+ * 編集前のテキストで折り返しで入れた改行の位置を、入力後のテキスト上の位置へ移して返す
+ * - 入力中は、編集前のテキスト（previousText）を出力したときに記録した位置を使う（記録が無ければ全部、利用者が入れた改行とみなす）
+ * - 確定時などで値全体が渡った場合は、その値を出力したときに記録した位置を使う
+ * - 今回の入力で入った改行・消された改行は含めない
+ * @param {string} text - 入力後のテキスト
+ * @param {import("../text-input-guard.js").GuardContext} ctx
+ * @param {Map<string, Set<number>>} insertedBreaks - 出力したテキストごとの、折り返しで入れた改行の位置
+ * @returns {Set<number>}
+ */
+const findWrappedBreaks = function(text, ctx, insertedBreaks) {
+	/** @type {Set<number>} */
+	const result = new Set();
+
+	if (ctx.source !== "input") {
+		return new Set(insertedBreaks.get(text));
+	}
+
+	const inserted = ctx.previousText ? insertedBreaks.get(ctx.previousText) : undefined;
+	if (!inserted) {
+		return result;
+	}
+
+	const beforeText = ctx.previousText;
+	const replaceEnd = Math.max(ctx.replaceStart, ctx.replaceEnd);
+	const head = beforeText.slice(0, ctx.replaceStart);
+	const tail = beforeText.slice(replaceEnd);
+
+	// 入力前後の対応がとれない場合は諦める
+	if (!text.startsWith(head)) {
+		return result;
+	}
+	const shift = text.length - beforeText.length;
+	const hasTail = text.length >= head.length + tail.length && text.endsWith(tail);
+
+	for (const pos of inserted) {
+		if (pos < head.length) {
+			result.add(pos);
+		} else if (pos >= replaceEnd && hasTail) {
+			result.add(pos + shift);
+		}
+	}
+	return result;
+};
+
+/**
+ * テキスト全体を width ごとに折り返す
+ * - 折り返しの改行でつながった行を段落にし、段落ごとに折り返し直す
+ * @param {string} text
+ * @param {number} width
+ * @param {{ noStart: string, noEnd: string }|null} kinsoku
+ * @param {Set<number>} wrappedBreaks - 折り返しの改行の位置
+ * @returns {{ text: string, breaks: Set<number> }} 折り返したテキストと、折り返しで入れた改行の位置
+ */
+const wrapText = function(text, width, kinsoku, wrappedBreaks) {
+	const source = text.split("\n");
+
+	/** @type {string[]} */
+	const paragraphs = [source[0]];
+	let pos = source[0].length;
+	for (let i = 1; i < source.length; i++) {
+		if (wrappedBreaks.has(pos)) {
+			paragraphs[paragraphs.length - 1] += source[i];
+		} else {
+			paragraphs.push(source[i]);
+		}
+		pos += 1 + source[i].length;
+	}
+
+	/** @type {string[]} */
+	const output = [];
+	/** @type {Set<number>} */
+	const breaks = new Set();
+	let length = 0;
+	for (const paragraph of paragraphs) {
+		const lines = wrapLine(paragraph, width, kinsoku);
+		for (let i = 0; i < lines.length; i++) {
+			if (output.length > 0) {
+				if (i > 0) {
+					breaks.add(length);
+				}
+				length += 1;
+			}
+			output.push(lines[i]);
+			length += lines[i].length;
+		}
+	}
+	return { text: output.join("\n"), breaks };
+};
+
+/**
+ * 折り返しで入れた改行の位置を覚えておく出力の数
+ * - キャレット位置の計算で左側だけの値にも normalizeStructure が呼ばれるため、直前の出力だけでは足りない
+ */
+const MAX_RECORDS = 4;
+
+/**
+ * wrap ルールを生成する
+ * - textarea 向け。帳票などの固定幅の印字に合わせて、幅を超えた行に改行を入れる
+ * - 入力中も確定時も折り返す（キャレットは入力した文字の後ろに置かれる）
+ * @param {WrapRuleOptions} [options]
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function wrap(options = {}) {
+	/** @type {WrapRuleOptions} */
+	const opt = {
+		width: typeof options.width === "number" ? options.width : undefined,
+		kinsoku: options.kinsoku ?? true,
+		noStart: options.noStart ?? DEFAULT_NO_START,
+		noEnd: options.noEnd ?? DEFAULT_NO_END
+	};
+
+	const kinsoku = opt.kinsoku
+		? { noStart: /** @type {string} */ (opt.noStart), noEnd: /** @type {string} */ (opt.noEnd) }
+		: null;
+
+	/**
+	 * 出力したテキストごとの、折り返しで入れた改行の位置（古いものから消す）
+	 * @type {Map<string, Set<number>>}
+	 */
+	const insertedBreaks = new Map();
+
+	return {
+		name: "wrap",
+		targets: ["textarea"],
+
+		/**
+		 * 幅を超えた行を折り返す
+		 * - 入力中は、入力で伸びた行のあふれた分を段落内で後ろへ送り直す
+		 * - 送り直すのはこのルールが入れた改行でつながった行だけ（利用者が入れた改行は、行が幅いっぱいでも外さない）
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {string}
+		 */
+		normalizeStructure(value, ctx) {
+			// width 未指定、または 1 未満なら折り返さない
+			if (typeof opt.width !== "number" || opt.width < 1) {
+				return value;
+			}
+			const text = String(value).replace(/\r\n?/g, "\n");
+			const wrappedBreaks = findWrappedBreaks(text, ctx, insertedBreaks);
+			const wrapped = wrapText(text, opt.width, kinsoku, wrappedBreaks);
+
+			insertedBreaks.delete(wrapped.text);
+			insertedBreaks.set(wrapped.text, wrapped.breaks);
+			if (insertedBreaks.size > MAX_RECORDS) {
+				insertedBreaks.delete(/** @type {string} */ (insertedBreaks.keys().next().value));
+			}
+			return wrapped.text;
+		}
+	};
+}
+
+/**
+ * datasetから wrap ルールを生成する
+ * - data-tig-rules-wrap が無ければ null
+ * - オプションは data-tig-rules-wrap-xxx から読む
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-wrap               -> dataset.tigRulesWrap
+ * - data-tig-rules-wrap-width         -> dataset.tigRulesWrapWidth
+ * - data-tig-rules-wrap-kinsoku       -> dataset.tigRulesWrapKinsoku
+ * - data-tig-rules-wrap-no-start      -> dataset.tigRulesWrapNoStart
+ * - data-tig-rules-wrap-no-end        -> dataset.tigRulesWrapNoEnd
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+wrap.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesWrap == null) {
+		return null;
+	}
+
+	/** @type {WrapRuleOptions} */
+	const options = {};
+
+	const width = parseDatasetNumber(dataset.tigRulesWrapWidth);
+	if (width != null) {
+		options.width = width;
+	}
+
+	const kinsoku = parseDatasetBool(dataset.tigRulesWrapKinsoku);
+	if (kinsoku != null) {
+		options.kinsoku = kinsoku;
+	}
+
+	if (dataset.tigRulesWrapNoStart != null) {
+		options.noStart = dataset.tigRulesWrapNoStart;
+	}
+
+	if (dataset.tigRulesWrapNoEnd != null) {
+		options.noEnd = dataset.tigRulesWrapNoEnd;
+	}
+
+	return wrap(options);
+};
@@ -0,0 +1,95 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { wrap } from "./wrap.js";
+import { createPipeline } from "../pipeline.js";
+
+test("wrap - normalizeStructure: 幅を超えた行に改行を入れる（全角は2、半角は1）", () => {
+	const rule = wrap({ width: 10 });
+
+	assert.equal(rule.normalizeStructure("あいうえおかきくけこさしす", {}), "あいうえお\nかきくけこ\nさしす");
+	assert.equal(rule.normalizeStructure("abcdefghijkl", {}), "abcdefghij\nkl");
+
+	// 全角が境界をまたぐ場合は次の行へ送る
+	assert.equal(rule.normalizeStructure("abcあいうえ", {}), "abcあいう\nえ");
+
+	// 幅に収まる行・利用者が入れた改行はそのまま
+	assert.equal(rule.normalizeStructure("あいう\n\nかきく", {}), "あいう\n\nかきく");
+
+	// width 未指定なら何もしない
+	assert.equal(wrap().normalizeStructure("あいうえおかきくけこさしす", {}), "あいうえおかきくけこさしす");
+});
+
+test("wrap - normalizeStructure: 禁則処理（行頭の 、。」 と行末の 「 を避ける）", () => {
+	const rule = wrap({ width: 10 });
+
+	assert.equal(rule.normalizeStructure("あいうえお、かきくけ", {}), "あいうえ\nお、かきく\nけ");
+	assert.equal(rule.normalizeStructure("あいうえお」かき", {}), "あいうえ\nお」かき");
+	assert.equal(rule.normalizeStructure("あいうえ「かきくけこ", {}), "あいうえ\n「かきくけ\nこ");
+
+	// 追い出しきれない場合は禁則をあきらめる
+	assert.equal(rule.normalizeStructure("あ。。。。。。", {}), "あ。。。。\n。。");
+
+	// kinsoku: false なら幅どおりに切る
+	assert.equal(wrap({ width: 10, kinsoku: false }).normalizeStructure("あいうえお、かきくけ", {}), "あいうえお\n、かきくけ");
+
+	// 禁則文字は差し替えられる
+	assert.equal(wrap({ width: 10, noStart: "か" }).normalizeStructure("あいうえおかきくけこ", {}), "あいうえ\nおかきくけ\nこ");
+});
+
+test("wrap - normalizeStructure: 入力で伸びた行は、あふれた分を段落内で送り直す", () => {
+	const rule = wrap({ width: 10 });
+
+	// 折り返しで入れた改行だけを送り直すので、先に折り返した結果を編集前のテキストにする
+	const previousText = rule.normalizeStructure("あいうえおかきくけこさし", {});
+	assert.equal(previousText, "あいうえお\nかきくけこ\nさし");
+
+	// 1行目の途中に文字を入れると、あふれた分が2行目の先頭へ移る
+	const ctx = { source: "input", previousText, replaceStart: 2, replaceEnd: 2 };
+	assert.equal(rule.normalizeStructure("あいXうえお\nかきくけこ\nさし", ctx), "あいXうえ\nおかきくけ\nこさし");
+
+	// 利用者が入れた（幅に余裕のある行の後ろの）改行は外さない
+	const short = { source: "input", previousText: "あいう\nかき", replaceStart: 3, replaceEnd: 3 };
+	assert.equal(rule.normalizeStructure("あいうXXXX\nかき", short), "あいうXXXX\nかき");
+
+	// 今回の入力（貼り付けなど）で入った改行も外さない
+	const paste = { source: "input", previousText: "", replaceStart: 0, replaceEnd: 0 };
+	assert.equal(rule.normalizeStructure("あいうえおかき\nくけ", paste), "あいうえお\nかき\nくけ");
+
+	// 削除で縮んだ行へは、段落内の後ろの文字を詰める
+	const del = { source: "input", previousText, replaceStart: 4, replaceEnd: 5 };
+	assert.equal(rule.normalizeStructure("あいうえ\nかきくけこ\nさし", del), "あいうえか\nきくけこさ\nし");
+
+	// 利用者が入れた改行の前の行を削除で縮めても、詰めない
+	const hard = { source: "input", previousText: "あいう\nかき", replaceStart: 2, replaceEnd: 3 };
+	assert.equal(rule.normalizeStructure("あい\nかき", hard), "あい\nかき");
+
+	// 幅いっぱいの行の後ろでも、利用者が入れた改行は外さない
+	const narrow = wrap({ width: 4 });
+	const full = { source: "input", previousText: "abcd\nxy", replaceStart: 1, replaceEnd: 2 };
+	assert.equal(narrow.normalizeStructure("acd\nxy", full), "acd\nxy");
+});
+
+test("wrap - pipeline: 確定時も折り返す", () => {
+	const pipeline = createPipeline([wrap({ width: 6 })], { kind: "textarea" });
+	const result = pipeline.runCommit("あいうえお\nかき");
+	assert.equal(result.raw, "あいう\nえお\nかき");
+
+	// CRLF は LF にそろえる
+	assert.equal(pipeline.runCommit("あいうえお\r\nかき").raw, "あいう\nえお\nかき");
+	assert.equal(result.isValid, true);
+});
+
+test("wrap - fromDataset: data-tig-rules-wrap-* からオプションを読む", () => {
+	assert.equal(wrap.fromDataset({}, null), null);
+
+	const rule = wrap.fromDataset({
+		tigRulesWrap: "",
+		tigRulesWrapWidth: "6",
+		tigRulesWrapKinsoku: "false"
+	}, null);
+	assert.equal(rule.name, "wrap");
+	assert.deepEqual(rule.targets, ["textarea"]);
+	assert.equal(rule.normalizeStructure("あいう、え", {}), "あいう\n、え");
+});
@@ -0,0 +1,296 @@
+/**
+ * The script is part of TextInputGuard.
+ *
+ * AUTHOR:
+ *  natade-jp (https://github.com/natade-jp)
+ *
+ * LICENSE:
+ *  The MIT license https://opensource.org/licenses/MIT
+ */
+
+import Mojix from "./libs/mojix.js";
+import { parseDatasetBool, parseDatasetEnum } from "./_dataset.js";
+
+/**
+ * zengin ルールのオプション
+ * @typedef {Object} ZenginRuleOptions
+ * @property {"block"|"error"} [mode="block"] - 使えない文字を入力した場合の挙動
+ * @property {boolean} [abbreviate=true] - 法人格などの語を略語（"ｶ)" など）にする
+ * @property {Record<string, string>} [abbreviations] - 略語の追加・上書き（例: { "協同組合": "ｷﾖｳｸﾐ" }）
+ */
+
+/**
+ * 全銀フォーマットで使える文字（半角英大文字・数字・半角カナ・一部の記号・空白）
+ */
+const ZENGIN_CHAR = /^[0-9A-Zｦｱ-ﾝﾞﾟｰ ()\-./,\\｢｣]$/;
+
+/**
+ * 小さい文字 → 大きい文字（全角カタカナに揃えた後に置き換える）
+ * @type {Readonly<Record<string, string>>}
+ */
+const SMALL_KANA = {
+	ァ: "ア",
+	ィ: "イ",
+	ゥ: "ウ",
+	ェ: "エ",
+	ォ: "オ",
+	ャ: "ヤ",
+	ュ: "ユ",
+	ョ: "ヨ",
+	ッ: "ツ",
+	ヮ: "ワ",
+	ヵ: "カ",
+	ヶ: "ケ"
+};
+
+/**
+ * 半角カナに変換した後に置き換える記号
+ * @type {Readonly<Record<string, string>>}
+ */
+const SYMBOL_REPLACE = {
+	"｡": ".",
+	"､": ",",
+	"･": ".",
+	"¥": "\\",
+	"￥": "\\",
+	"‐": "-",
+	"‑": "-",
+	"–": "-",
+	"—": "-",
+	"―": "-",
+	"−": "-"
+};
+
+/**
+ * 全角カタカナに揃え、小さい文字を大きい文字にする
+ * @param {string} text
+ * @returns {string}
+ */
+function toLargeKatakana(text) {
+	let out = "";
+	for (const ch of Mojix.toFullWidthKana(Mojix.toKatakana(text))) {
+		out += SMALL_KANA[ch] ?? ch;
+	}
+	return out;
+}
+
+/**
+ * 組み込みの略語（語 → 略語）
+ * - 語は toLargeKatakana() に通した文字列で照合する（読みはひらがな・小さい文字で書いてもよい）
+ * @type {Readonly<Record<string, string>>}
+ */
+const DEFAULT_ABBREVIATIONS = {
+	株式会社: "ｶ",
+	カブシキガイシャ: "ｶ",
+	カブシキカイシャ: "ｶ",
+	有限会社: "ﾕ",
+	ユウゲンガイシャ: "ﾕ",
+	ユウゲンカイシャ: "ﾕ",
+	合名会社: "ﾒ",
+	ゴウメイガイシャ: "ﾒ",
+	合資会社: "ｼ",
+	ゴウシガイシャ: "ｼ",
+	合同会社: "ﾄﾞ",
+	ゴウドウガイシャ: "ﾄﾞ",
+	医療法人: "ｲ",
+	医療法人社団: "ｲ",
+	医療法人財団: "ｲ",
+	財団法人: "ｻﾞｲ",
+	一般財団法人: "ｻﾞｲ",
+	公益財団法人: "ｻﾞｲ",
+	社団法人: "ｼﾔ",
+	一般社団法人: "ｼﾔ",
+	公益社団法人: "ｼﾔ",
+	宗教法人: "ｼﾕｳ",
+	学校法人: "ｶﾞｸ",
+	社会福祉法人: "ﾌｸ",
+	特定非営利活動法人: "ﾄｸﾋ",
+	独立行政法人: "ﾄﾞｸ",
+	弁護士法人: "ﾍﾞﾝ",
+	税理士法人: "ｾﾞｲ",
+	監査法人: "ｶﾝｻ"
+};
+
+/**
+ * 正規表現の特殊文字をエスケープする
+ * @param {string} s
+ * @returns {string}
+ */
+function escapeRegExp(s) {
+	return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * 全銀の振込依頼人名・受取人名向けのルールを生成する
+ * - normalize.char: 英数字→半角（英字は大文字）、かな→半角カタカナ、小さい文字→大きい文字、記号の統一
+ *   法人格などの語は略語にする（先頭 "ｶ)ﾔﾏﾀﾞ"、途中 "ﾔﾏﾀﾞ(ｶ)ｼﾖｳｼﾞ"、末尾 "ﾔﾏﾀﾞ(ｶ"）
+ * - normalize.structure: 確定時に末尾の略語を "(ｶ" の形にする（入力中は後ろに続く可能性があるため "(ｶ)" にしておく）
+ * - validate: 使えない文字があれば block / error（detail に位置を入れる）
+ *
+ * @param {ZenginRuleOptions} [options]
+ * @returns {import("../text-input-guard.js").Rule}
+ */
+export function zengin(options = {}) {
+	/** @type {ZenginRuleOptions} */
+	const opt = {
+		mode: options.mode ?? "block",
+		abbreviate: options.abbreviate ?? true,
+		abbreviations: { ...DEFAULT_ABBREVIATIONS, ...options.abbreviations }
+	};
+
+	/** @type {Record<string, string>} */
+	const abbreviations = {};
+	for (const [word, abbr] of Object.entries(opt.abbreviations ?? {})) {
+		abbreviations[toLargeKatakana(word)] = abbr;
+	}
+	// 長い語を優先する（"一般社団法人" を "社団法人" より先に）
+	const words = Object.keys(abbreviations).sort((a, b) => b.length - a.length);
+	const wordRe = words.length > 0 ? new RegExp(words.map(escapeRegExp).join("|"), "g") : null;
+	const trailingRe = words.length > 0
+		? new RegExp("\\((" + [...new Set(Object.values(abbreviations))].map(escapeRegExp).join("|") + ")\\)$")
+		: null;
+
+	/**
+	 * 語を略語にする
+	 * @param {string} text
+	 * @param {boolean} atStart - text の先頭が値の先頭か
+	 * @returns {string}
+	 */
+	function abbreviate(text, atStart) {
+		if (!wordRe) {
+			return text;
+		}
+		return text.replace(wordRe, (word, offset) => {
+			const abbr = abbreviations[word];
+			return atStart && offset === 0 ? abbr + ")" : "(" + abbr + ")";
+		});
+	}
+
+	/**
+	 * 全銀で使えない文字と、その位置を集める
+	 * @param {string} value
+	 * @returns {{ chars: string[], positions: number[] }}
+	 */
+	function scanInvalid(value) {
+		/** @type {Set<string>} */
+		const chars = new Set();
+		/** @type {number[]} */
+		const positions = [];
+		let i = 0;
+		for (const ch of value) {
+			if (!ZENGIN_CHAR.test(ch)) {
+				chars.add(ch);
+				positions.push(i);
+			}
+			i++;
+		}
+		return { chars: Array.from(chars), positions };
+	}
+
+	return {
+		name: "zengin",
+		targets: ["input"],
+
+		/**
+		 * 全銀で使える文字へ変換する
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} [ctx]
+		 * @returns {string}
+		 */
+		normalizeChar(value, ctx) {
+			let s = toLargeKatakana(Mojix.toHalfWidthAsciiCode(String(value)).toUpperCase());
+			if (opt.abbreviate) {
+				// 確定時は値全体、入力中は挿入位置が先頭のときだけ「先頭」とみなす
+				s = abbreviate(s, !ctx || ctx.source === "commit" || ctx.replaceStart === 0);
+			}
+			s = Mojix.toHalfWidthKana(s);
+
+			let out = "";
+			for (const ch of s) {
+				out += SYMBOL_REPLACE[ch] ?? ch;
+			}
+			return out;
+		},
+
+		/**
+		 * 確定時に末尾の略語を "(ｶ" の形にする
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} [ctx]
+		 * @returns {string}
+		 */
+		normalizeStructure(value, ctx) {
+			const v = String(value);
+			if (!opt.abbreviate || !trailingRe || ctx?.source !== "commit") {
+				return v;
+			}
+			return v.replace(trailingRe, "($1");
+		},
+
+		/**
+		 * 全銀で使えない文字の検査
+		 * @param {string} value
+		 * @param {import("../text-input-guard.js").GuardContext} ctx
+		 * @returns {void}
+		 */
+		validate(value, ctx) {
+			const v = String(value);
+			if (v === "") {
+				return;
+			}
+
+			const { chars, positions } = scanInvalid(v);
+			if (positions.length === 0) {
+				return;
+			}
+
+			const detail = { count: positions.length, chars, positions };
+			// 確定時は巻き戻す先が無いので、block でもエラーにする
+			if (opt.mode === "block" && ctx.source !== "commit") {
+				ctx.requestRevert({ reason: "zengin.invalid_char", detail });
+				return;
+			}
+			ctx.pushError({
+				code: "zengin.invalid_char",
+				rule: "zengin",
+				phase: "validate",
+				detail
+			});
+		}
+	};
+}
+
+/**
+ * datasetから zengin ルールを生成する
+ * - data-tig-rules-zengin が無ければ null
+ * - オプションは data-tig-rules-zengin-xxx から読む
+ *
+ * 対応する data 属性（dataset 名）
+ * - data-tig-rules-zengin               -> dataset.tigRulesZengin
+ * - data-tig-rules-zengin-mode          -> dataset.tigRulesZenginMode
+ * - data-tig-rules-zengin-abbreviate    -> dataset.tigRulesZenginAbbreviate
+ *
+ * @param {DOMStringMap} dataset
+ * @param {HTMLInputElement|HTMLTextAreaElement} _el
+ * @returns {import("../text-input-guard.js").Rule|null}
+ */
+zengin.fromDataset = function fromDataset(dataset, _el) {
+	// ON判定
+	if (dataset.tigRulesZengin == null) {
+		return null;
+	}
+
+	/** @type {ZenginRuleOptions} */
+	const options = {};
+
+	const mode = parseDatasetEnum(dataset.tigRulesZenginMode, ["block", "error"]);
+	if (mode != null) {
+		options.mode = mode;
+	}
+
+	const abbreviate = parseDatasetBool(dataset.tigRulesZenginAbbreviate);
+	if (abbreviate != null) {
+		options.abbreviate = abbreviate;
+	}
+
+	return zengin(options);
+};
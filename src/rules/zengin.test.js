@@ -0,0 +1,116 @@
+// @ts-nocheck
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { zengin } from "./zengin.js";
+import { createPipeline } from "../pipeline.js";
+
+const makeCtx = function (props = {}) {
+	/** @type {any[]} */
+	const errors = [];
+	/** @type {any[]} */
+	const reverts = [];
+
+	/** @type {any} */
+	const ctx = {
+		source: "input",
+		replaceStart: 0,
+		pushError(e) { errors.push(e); },
+		requestRevert(req) { reverts.push(req); },
+		_getErrors() { return errors; },
+		_getReverts() { return reverts; },
+		...props
+	};
+
+	return ctx;
+};
+
+test("zengin - normalizeChar: 半角カナ・英大文字にし、小さい文字を大きくする", () => {
+	const rule = zengin();
+	assert.equal(rule.normalizeChar("やまだ　たろう", makeCtx()), "ﾔﾏﾀﾞ ﾀﾛｳ");
+	assert.equal(rule.normalizeChar("キャッシュ", makeCtx()), "ｷﾔﾂｼﾕ");
+	assert.equal(rule.normalizeChar("ｷｬｯｼｭ", makeCtx()), "ｷﾔﾂｼﾕ");
+	assert.equal(rule.normalizeChar("ｓｕｚｕｋｉ ａｂｃ－１", makeCtx()), "SUZUKI ABC-1");
+	assert.equal(rule.normalizeChar("ヴァイオリン・ケース", makeCtx()), "ｳﾞｱｲｵﾘﾝ.ｹｰｽ");
+	assert.equal(rule.normalizeChar("「￥」", makeCtx()), "｢\\｣");
+});
+
+test("zengin - normalizeChar: 法人格を略語にする", () => {
+	const rule = zengin();
+	assert.equal(rule.normalizeChar("株式会社ヤマダ", makeCtx()), "ｶ)ﾔﾏﾀﾞ");
+	assert.equal(rule.normalizeChar("ヤマダショウジ株式会社", makeCtx()), "ﾔﾏﾀﾞｼﾖｳｼﾞ(ｶ)");
+	assert.equal(rule.normalizeChar("かぶしきがいしゃやまだ", makeCtx()), "ｶ)ﾔﾏﾀﾞ");
+	assert.equal(rule.normalizeChar("一般社団法人ヤマダカイ", makeCtx()), "ｼﾔ)ﾔﾏﾀﾞｶｲ");
+	assert.equal(rule.normalizeChar("合同会社ヤマダ", makeCtx()), "ﾄﾞ)ﾔﾏﾀﾞ");
+
+	// 入力中、先頭以外に挿入した語は "(ｶ)" にしておく
+	assert.equal(rule.normalizeChar("株式会社", makeCtx({ replaceStart: 3 })), "(ｶ)");
+
+	// 追加の略語・略語なし
+	assert.equal(zengin({ abbreviations: { 協同組合: "ｷﾖｳｸﾐ" } }).normalizeChar("協同組合ヤマダ", makeCtx()), "ｷﾖｳｸﾐ)ﾔﾏﾀﾞ");
+	assert.equal(zengin({ abbreviate: false }).normalizeChar("株式会社", makeCtx()), "株式会社");
+});
+
+test("zengin - normalizeStructure: 確定時に末尾の略語を \"(ｶ\" にする", () => {
+	const rule = zengin();
+	assert.equal(rule.normalizeStructure("ﾔﾏﾀﾞ(ｶ)", makeCtx({ source: "commit" })), "ﾔﾏﾀﾞ(ｶ");
+	assert.equal(rule.normalizeStructure("ﾔﾏﾀﾞ(ｶ)", makeCtx()), "ﾔﾏﾀﾞ(ｶ)");
+	assert.equal(rule.normalizeStructure("ﾔﾏﾀﾞ(ｶ)ｼﾖｳｼﾞ", makeCtx({ source: "commit" })), "ﾔﾏﾀﾞ(ｶ)ｼﾖｳｼﾞ");
+});
+
+test("zengin - validate: 使えない文字は位置つきで block / error", () => {
+	const block = makeCtx();
+	zengin().validate("ﾔﾏ田ﾀﾛｳ様", block);
+	assert.deepEqual(block._getReverts(), [{
+		reason: "zengin.invalid_char",
+		detail: { count: 2, chars: ["田", "様"], positions: [2, 6] }
+	}]);
+	assert.deepEqual(block._getErrors(), []);
+
+	const error = makeCtx();
+	zengin({ mode: "error" }).validate("ﾔﾏ田ﾀﾛｳ", error);
+	assert.deepEqual(error._getErrors(), [{
+		code: "zengin.invalid_char",
+		rule: "zengin",
+		phase: "validate",
+		detail: { count: 1, chars: ["田"], positions: [2] }
+	}]);
+
+	// 確定時は block でもエラーにする
+	const commit = makeCtx({ source: "commit" });
+	zengin().validate("ﾔﾏ田", commit);
+	assert.equal(commit._getErrors()[0].code, "zengin.invalid_char");
+
+	const ok = makeCtx();
+	zengin().validate("ｶ)ﾔﾏﾀﾞ ｼﾖｳｼﾞ-1.2/3,(ｱ)\\｢｣ｰ", ok);
+	assert.deepEqual(ok._getErrors(), []);
+	assert.deepEqual(ok._getReverts(), []);
+});
+
+test("zengin - pipeline: 確定時に変換・略語・検査をまとめて行う", () => {
+	const pipeline = createPipeline([zengin({ mode: "error" })]);
+
+	const result = pipeline.runCommit("やまだしょうじ株式会社");
+	assert.equal(result.raw, "ﾔﾏﾀﾞｼﾖｳｼﾞ(ｶ");
+	assert.equal(result.isValid, true);
+
+	const invalid = pipeline.runCommit("山田");
+	assert.equal(invalid.isValid, false);
+	assert.deepEqual(invalid.errors[0].detail.positions, [0, 1]);
+});
+
+test("zengin - fromDataset: data-tig-rules-zengin-* からオプションを読む", () => {
+	assert.equal(zengin.fromDataset({}, null), null);
+
+	const rule = zengin.fromDataset({
+		tigRulesZengin: "",
+		tigRulesZenginMode: "error",
+		tigRulesZenginAbbreviate: "false"
+	}, null);
+	assert.equal(rule.name, "zengin");
+	assert.equal(rule.normalizeChar("株式会社", makeCtx()), "株式会社");
+
+	const ctx = makeCtx();
+	rule.validate("株", ctx);
+	assert.equal(ctx._getErrors()[0].code, "zengin.invalid_char");
+});
@@ -9,10 +9,26 @@
  */
 
 import { SwapState } from "./swap-state.js";
+import { formatMessage } from "./messages.js";
+import { splitRulesByPhase } from "./pipeline.js";
+import { warnLog } from "./log.js";
+import {
+	isContentEditable,
+	getEditableText,
+	setEditableText,
+	getEditableSelection,
+	setEditableSelection
+} from "./editable.js";
 
 /**
- * 対象要素の種別（現在は input と textarea のみ対応）
- * @typedef {"input"|"textarea"} ElementKind
+ * 対象要素の種別
+ * - "contenteditable" はプレーンテキスト（改行は "\n"）として扱う
+ * @typedef {"input"|"textarea"|"contenteditable"} ElementKind
+ */
+
+/**
+ * attach できる要素（contenteditable の場合は HTMLElement）
+ * @typedef {HTMLInputElement|HTMLTextAreaElement|HTMLElement} GuardElement
  */
 
 /**
@@ -47,7 +63,16 @@ import { SwapState } from "./swap-state.js";
  * @property {Guard} guard - この結果を発生させた Guard インスタンス
  * @property {ValidateSource} source - 評価が実行されたタイミング（input / commit）
  * @property {TigError[]} errors - 発生したエラー一覧
- * @property {boolean} isValid - エラーが存在しない場合は true
+ * @property {boolean} isValid - エラーが存在せず、非同期検証も完了している場合は true
+ * @property {boolean} pending - 非同期検証（validateAsync）の結果待ちの場合は true
+ */
+
+/**
+ * 検証状態
+ * - "valid"   : エラーなし（非同期検証も完了済み）
+ * - "invalid" : エラーあり
+ * - "pending" : 非同期検証の結果待ち（まだ確定していない）
+ * @typedef {"valid"|"invalid"|"pending"} Validity
  */
 
 /**
@@ -72,12 +97,16 @@ import { SwapState } from "./swap-state.js";
  * attach() が返す公開API（利用者が触れる最小インターフェース）
  * @typedef {Object} Guard
  * @property {() => void} detach - ガード解除（イベント削除・swap復元）
- * @property {() => boolean} isValid - 現在エラーが無いかどうか
+ * @property {() => boolean} isValid - 現在エラーが無いかどうか（非同期検証の結果待ちの間は false）
+ * @property {() => boolean} isPending - 非同期検証の結果待ちかどうか
+ * @property {() => Validity} getValidity - 検証状態（valid / invalid / pending）を取得
+ * @property {() => Promise<boolean>} whenSettled - 非同期検証の完了を待って isValid() の結果を返す
  * @property {() => TigError[]} getErrors - エラー一覧を取得
+ * @property {() => string[]} getMessages - エラー一覧を表示用メッセージに変換して取得
  * @property {() => string} getRawValue - 送信用の正規化済み値を取得
  * @property {() => string} getDisplayValue - ユーザーが実際に操作している要素の値を取得
- * @property {() => HTMLInputElement|HTMLTextAreaElement} getRawElement - 送信用の正規化済み値の要素
- * @property {() => HTMLInputElement|HTMLTextAreaElement} getDisplayElement - ユーザーが実際に操作している要素（swap時はdisplay専用）
+ * @property {() => GuardElement} getRawElement - 送信用の正規化済み値の要素
+ * @property {() => GuardElement} getDisplayElement - ユーザーが実際に操作している要素（swap時はdisplay専用）
  * @property {() => void} evaluate 入力中評価を手動実行 normalize→validate
  * @property {() => void} commit 確定評価を手動実行 normalize→validate→fix→format
  * @property {(value: SetValueInput, mode?: SetValueMode) => void} setValue
@@ -90,12 +119,14 @@ import { SwapState } from "./swap-state.js";
  * @property {HTMLElement} hostElement - 元の要素（swap時はraw側）
  * @property {HTMLElement} displayElement - ユーザーが操作する表示要素
  * @property {HTMLInputElement|HTMLTextAreaElement|null} rawElement - 送信用hidden要素（swap時のみ）
- * @property {ElementKind} kind - 要素種別（input / textarea）
+ * @property {ElementKind} kind - 要素種別（input / textarea / contenteditable）
  * @property {boolean} warn - warnログを出すかどうか
  * @property {string} invalidClass - エラー時に付与するclass名
  * @property {boolean} composing - IME変換中かどうか
+ * @property {ValidateSource} source - 評価が実行されたタイミング（input / commit）
  * @property {string|null} inputType - 直前の入力操作種別（insertText / insertFromPaste / insertCompositionText 等）
  * @property {string} beforeText - 挿入前の全文字列（置換範囲は除去済み）
+ * @property {string} previousText - 編集前の全文字列（置換範囲を除去する前。replaceStart / replaceEnd はこの位置）
  * @property {number} replaceStart - 挿入位置/置換開始位置（selectionStart）
  * @property {number} replaceEnd - 置換終了位置（selectionEnd）
  * @property {string} insertedText - 挿入された文字列
@@ -104,6 +135,19 @@ import { SwapState } from "./swap-state.js";
  * @property {(req: RevertRequest) => void} requestRevert - 入力を直前の受理値へ巻き戻す要求
  */
 
+/**
+ * 非同期検証（validateAsync）に渡される実行コンテキスト
+ * - signal は値が変わった/detach された時点で abort される（fetch にそのまま渡せる）
+ * - abort 後に pushError されたエラーは破棄される
+ * @typedef {Object} AsyncValidateContext
+ * @property {HTMLElement} hostElement - 元の要素（swap時はraw側）
+ * @property {HTMLElement} displayElement - ユーザーが操作する表示要素
+ * @property {ElementKind} kind - 要素種別（input / textarea）
+ * @property {ValidateSource} source - 評価が実行されたタイミング（input / commit）
+ * @property {AbortSignal} signal - キャンセル通知用のシグナル
+ * @property {(e: TigError) => void} pushError - エラーを登録する関数
+ */
+
 /**
  * beforeinput で採取する「入力直前スナップショット」
  * - 入力反映前の状態を保持し、差分判定や挿入位置特定に利用する
@@ -118,12 +162,14 @@ import { SwapState } from "./swap-state.js";
  * - 各フェーズの処理を必要に応じて実装する
  * @typedef {Object} Rule
  * @property {string} name - ルール名（識別用）
- * @property {("input"|"textarea")[]} targets - 適用可能な要素種別
+ * @property {ElementKind[]} targets - 適用可能な要素種別
  * @property {(value: string, ctx: GuardContext) => string} [normalizeChar] - 文字単位の正規化（全角→半角など）
  * @property {(value: string, ctx: GuardContext) => string} [normalizeStructure] - 構造の正規化（-位置修正など）
  * @property {(value: string, ctx: GuardContext) => void} [validate] - エラー判定（値は変更しない）
+ * @property {(value: string, ctx: AsyncValidateContext) => Promise<void>} [validateAsync] - 非同期のエラー判定（サーバー問い合わせなど）
  * @property {(value: string, ctx: GuardContext) => string} [fix] - 確定時の穏やか補正（切り捨て等）
  * @property {(value: string, ctx: GuardContext) => string} [format] - 表示整形（カンマ付与など）
+ * @property {boolean} [formatOnInput] - 入力中（フォーカス中）も format を適用する（mask のリテラルなど、編集中から見せたい整形向け）
  */
 
 /**
@@ -141,8 +187,12 @@ import { SwapState } from "./swap-state.js";
  * @property {Rule[]} [rules] - 適用するルール配列（順番がフェーズ内実行順になる）
  * @property {boolean} [warn] - 非対応ルールなどを console.warn するか
  * @property {string} [invalidClass="is-invalid"] - エラー時に付けるclass名
+ * @property {boolean} [nativeValidity=false] - エラーメッセージを setCustomValidity で要素へ反映する（Constraint Validation API 連携）
  * @property {SeparateValueOptions} [separateValue] - 表示値と内部値の分離設定
  * @property {number} [historySize = 50] - 記録する履歴の最大件数
+ * @property {number} [asyncDebounce = 300] - 入力中に validateAsync を実行するまでの待ち時間（ミリ秒）
+ * @property {string} [locale] - getMessages() で使うロケール（未指定なら setLocale() の値）
+ * @property {import("./messages.js").MessageCatalog} [messages] - このGuardだけで使うメッセージの上書き
  * @property {(result: ValidateResult) => void} [onValidate] - 評価完了時の通知（input/commitごと）
  * @property {(result: Guard) => void} [onInput] - 入力時に値が変更されていた場合の通知
  * @property {(result: Guard) => void} [onChange] - フォーカスが外れた値が変更されていた場合の通知
@@ -165,8 +215,10 @@ import { SwapState } from "./swap-state.js";
 
 const DEFAULT_INVALID_CLASS = "is-invalid";
 
+const DEFAULT_ASYNC_DEBOUNCE = 300;
+
 /**
- * 対象要素が input / textarea のどちらかを判定する（対応外なら null）
+ * 対象要素が input / textarea / contenteditable のどれかを判定する（対応外なら null）
  * @param {HTMLElement} el
  * @returns {ElementKind|null}
  */
@@ -177,50 +229,75 @@ function detectKind(el) {
 	if (el instanceof HTMLTextAreaElement) {
 		return "textarea";
 	}
-	return null;
-}
-
-/**
- * warn が true のときだけ console.warn を出す
- * @param {string} msg
- * @param {boolean} warn
- */
-function warnLog(msg, warn) {
-	if (warn) {
-		console.warn(msg);
+	if (isContentEditable(el)) {
+		return "contenteditable";
 	}
+	return null;
 }
 
 /**
- * input / textarea 要素と内部 Guard インスタンスの対応表
+ * input / textarea / contenteditable 要素と内部 Guard インスタンスの対応表
  *
  * - key: displayElement
  * - value: InputGuard（内部実装）
  *
- * @type {WeakMap<HTMLInputElement|HTMLTextAreaElement, InputGuard>}
+ * @type {WeakMap<GuardElement, InputGuard>}
  */
 const guardMap = new WeakMap();
 
-document.addEventListener("selectionchange", () => {
-	const el = document.activeElement;
-	if (!(el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement)) {
+/**
+ * selectionchange を監視している document
+ * - モジュール読み込み時に document へ触れないよう、attach() の時点で登録する
+ * @type {WeakSet<Document>}
+ */
+const selectionChangeDocuments = new WeakSet();
+
+/**
+ * document の selectionchange を Guard へ中継する（document ごとに1回だけ登録）
+ * @param {Document} doc
+ * @returns {void}
+ */
+function bindSelectionChange(doc) {
+	if (selectionChangeDocuments.has(doc)) {
 		return;
 	}
-	const inputGuard = guardMap.get(el);
-	if (!inputGuard) {
-		return;
+	selectionChangeDocuments.add(doc);
+	doc.addEventListener("selectionchange", () => {
+		const el = doc.activeElement;
+		if (!(el instanceof HTMLElement)) {
+			return;
+		}
+		const inputGuard = guardMap.get(el);
+		if (!inputGuard) {
+			return;
+		}
+		inputGuard.onSelectionChange();
+	});
+}
+
+/**
+ * 要素に適用されている Guard を取得する（未適用なら null）
+ * - swap時は display 側の要素で引く
+ * @param {Element} element
+ * @returns {Guard|null}
+ */
+export function findGuard(element) {
+	if (!(element instanceof HTMLElement)) {
+		return null;
 	}
-	inputGuard.onSelectionChange();
-});
+	const inputGuard = guardMap.get(element);
+	return inputGuard ? inputGuard.getGuard() : null;
+}
 
 /**
  * 指定した1要素に対してガードを適用し、Guard API を返す
- * @param {HTMLInputElement|HTMLTextAreaElement} element
+ * @param {GuardElement} element
  * @param {AttachOptions} [options]
  * @returns {Guard}
  */
 export function attach(element, options = {}) {
 	const inputGuard = new InputGuard(element, options);
+	bindSelectionChange(element.ownerDocument);
 	inputGuard.init();
 	const guard = inputGuard.getGuard();
 	const display = guard.getDisplayElement();
@@ -232,12 +309,13 @@ export function attach(element, options = {}) {
  * @typedef {Object} GuardGroup
  * @property {() => void} detach - 全部 detach
  * @property {() => boolean} isValid - 全部 valid なら true
+ * @property {() => boolean} isPending - 1つでも非同期検証の結果待ちなら true
  * @property {() => TigError[]} getErrors - 全部のエラーを集約
  * @property {() => Guard[]} getGuards - 個別Guard配列
  */
 
 /**
- * @param {Iterable<HTMLInputElement|HTMLTextAreaElement>} elements
+ * @param {Iterable<GuardElement>} elements
  * @param {AttachOptions} [options]
  * @returns {GuardGroup}
  */
@@ -251,6 +329,7 @@ export function attachAll(elements, options = {}) {
 	return {
 		detach: () => { for (const g of guards) { g.detach(); } },
 		isValid: () => guards.every((g) => g.isValid()),
+		isPending: () => guards.some((g) => g.isPending()),
 		getErrors: () => guards.flatMap((g) => g.getErrors()),
 		getGuards: () => guards
 	};
@@ -355,7 +434,7 @@ let globalGuardId = 0; // デバッグ用のガードID生成
 class InputGuard {
 	/**
 	 * InputGuard の内部状態を初期化する（DOM/設定/イベント/パイプラインを持つ）
-	 * @param {HTMLInputElement|HTMLTextAreaElement} element
+	 * @param {GuardElement} element
 	 * @param {AttachOptions} options
 	 */
 	constructor(element, options) {
@@ -368,7 +447,7 @@ class InputGuard {
 		/**
 		 * attach対象の元の要素（swap前の原本）
 		 * detach時の復元や基準参照に使う
-		 * @type {HTMLInputElement|HTMLTextAreaElement}
+		 * @type {GuardElement}
 		 */
 		this.originalElement = element;
 
@@ -380,11 +459,11 @@ class InputGuard {
 
 		const kind = detectKind(element);
 		if (!kind) {
-			throw new TypeError("[text-input-guard] attach() expects an <input> or <textarea> element.");
+			throw new TypeError("[text-input-guard] attach() expects an <input>, <textarea> or contenteditable element.");
 		}
 
 		/**
-		 * 対象要素の種別（"input" または "textarea"）
+		 * 対象要素の種別（"input" / "textarea" / "contenteditable"）
 		 * @type {ElementKind}
 		 */
 		this.kind = kind;
@@ -401,6 +480,13 @@ class InputGuard {
 		 */
 		this.invalidClass = options.invalidClass ?? DEFAULT_INVALID_CLASS;
 
+		/**
+		 * エラーメッセージを setCustomValidity で要素へ反映するかどうか
+		 * 有効にすると :invalid / reportValidity() / form.checkValidity() に Guard の状態が反映される
+		 * @type {boolean}
+		 */
+		this.nativeValidity = options.nativeValidity ?? false;
+
 		/**
 		 * 適用するルールの一覧（attach時に渡されたもの）
 		 * @type {Rule[]}
@@ -443,17 +529,35 @@ class InputGuard {
 		 */
 		this.history = new HistoryQueue(options.historySize ?? 50);
 
+		/**
+		 * 入力中に validateAsync を実行するまでの待ち時間（ミリ秒）
+		 * @type {number}
+		 */
+		this.asyncDebounce = options.asyncDebounce ?? DEFAULT_ASYNC_DEBOUNCE;
+
+		/**
+		 * getMessages() で使うロケール（未指定なら setLocale() の値に従う）
+		 * @type {string|undefined}
+		 */
+		this.locale = options.locale;
+
+		/**
+		 * このGuardだけで使うメッセージの上書き
+		 * @type {import("./messages.js").MessageCatalog|undefined}
+		 */
+		this.messages = options.messages;
+
 		/**
 		 * 実際に送信を担う要素（swap時は hidden(raw) 側）
 		 * swapしない場合は originalElement と同一
-		 * @type {HTMLInputElement|HTMLTextAreaElement}
+		 * @type {GuardElement}
 		 */
 		this.hostElement = element;
 
 		/**
 		 * ユーザーが直接入力する表示側要素
 		 * swapしない場合は originalElement と同一
-		 * @type {HTMLInputElement|HTMLTextAreaElement}
+		 * @type {GuardElement}
 		 */
 		this.displayElement = element;
 
@@ -478,6 +582,44 @@ class InputGuard {
 		 */
 		this.errors = [];
 
+		/**
+		 * validateAsync で発生したエラー一覧
+		 * asyncValue の値に対する結果で、値が変わるまで保持される
+		 * @type {TigError[]}
+		 */
+		this.asyncErrors = [];
+
+		/**
+		 * 非同期検証の対象になっている値（検証中または検証済み）
+		 * 同じ値で再評価された場合は validateAsync を再実行しない
+		 * @type {string|null}
+		 */
+		this.asyncValue = null;
+
+		/**
+		 * 非同期検証の結果待ちかどうか
+		 * @type {boolean}
+		 */
+		this.pending = false;
+
+		/**
+		 * 実行中の非同期検証をキャンセルするためのコントローラ
+		 * @type {AbortController|null}
+		 */
+		this.asyncController = null;
+
+		/**
+		 * 入力中の非同期検証のデバウンス用タイマーID
+		 * @type {ReturnType<typeof setTimeout>|null}
+		 */
+		this.asyncTimerId = null;
+
+		/**
+		 * whenSettled() の待機者（非同期検証の完了時に isValid() の結果で解決する）
+		 * @type {((valid: boolean) => void)[]}
+		 */
+		this.settleWaiters = [];
+
 		/**
 		 * attach の返却値
 		 * @type {Guard|null}
@@ -509,6 +651,13 @@ class InputGuard {
 		 */
 		this.validateRules = [];
 
+		/**
+		 * validateAsync 用ルール配列
+		 * （非同期のエラー判定）
+		 * @type {Rule[]}
+		 */
+		this.validateAsyncRules = [];
+
 		/**
 		 * fix フェーズ用ルール配列
 		 * （確定時の穏やか補正）
@@ -523,6 +672,13 @@ class InputGuard {
 		 */
 		this.formatRules = [];
 
+		/**
+		 * 入力中も適用する format ルール配列
+		 * （formatOnInput のルールだけ）
+		 * @type {Rule[]}
+		 */
+		this.inputFormatRules = [];
+
 		// --------------------------------------------------
 		// bind handlers（removeEventListener のため参照固定）
 		// --------------------------------------------------
@@ -592,6 +748,13 @@ class InputGuard {
 		 */
 		this.lastAcceptedValue = "";
 
+		/**
+		 * 直前に受理した値を入力中の表示にしたもの（差分再構成の基準・block時の表示の戻し先）
+		 * - formatOnInput のルールが無ければ lastAcceptedValue と同じ
+		 * @type {string}
+		 */
+		this.lastAcceptedDisplay = "";
+
 		/**
 		 *  直前に受理したselection、正しい情報のスナップショットのような情報（block時の戻し先）
 		 * @type {SelectionState}
@@ -622,7 +785,7 @@ class InputGuard {
 	 * @returns {string}
 	 */
 	toString() {
-		return `[TextInputGuard#${this.id} kind=${this.kind} host=${this.hostElement.tagName.toLowerCase()}#${this.hostElement.id}] value=${this.hostElement.value}]`;
+		return `[TextInputGuard#${this.id} kind=${this.kind} host=${this.hostElement.tagName.toLowerCase()}#${this.hostElement.id}] value=${this.getRawValue()}]`;
 	}
 
 	/**
@@ -642,12 +805,45 @@ class InputGuard {
 		this.history.push(this.getRawValue());
 	}
 
+	/**
+	 * 要素の値を読む（contenteditable はプレーンテキストとして読む）
+	 * @param {GuardElement} el
+	 * @returns {string}
+	 */
+	readValue(el) {
+		if (this.kind === "contenteditable") {
+			return getEditableText(el);
+		}
+		return /** @type {HTMLInputElement|HTMLTextAreaElement} */ (el).value;
+	}
+
+	/**
+	 * 要素へ値を書き込む（contenteditable はテキストノードと <br> で構成し直す）
+	 * @param {GuardElement} el
+	 * @param {string} value
+	 * @returns {void}
+	 */
+	writeValue(el, value) {
+		if (this.kind === "contenteditable") {
+			setEditableText(el, value);
+			return;
+		}
+		/** @type {HTMLInputElement|HTMLTextAreaElement} */ (el).value = value;
+	}
+
 	/**
 	 * display要素のselection情報を読む
-	 * @param {HTMLInputElement|HTMLTextAreaElement} el
+	 * - contenteditable は Selection API の範囲をテキスト上の位置へ変換する
+	 * @param {GuardElement} el
 	 * @returns {SelectionState}
 	 */
 	readSelection(el) {
+		if (this.kind === "contenteditable") {
+			return getEditableSelection(el);
+		}
+		if (!(el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement)) {
+			return { start: null, end: null, direction: null };
+		}
 		const start = el.selectionStart ?? 0;
 		const end = el.selectionEnd ?? start;
 		return {
@@ -659,12 +855,20 @@ class InputGuard {
 
 	/**
 	 * display要素のselection情報を復元する
-	 * @param {HTMLInputElement|HTMLTextAreaElement} el
+	 * @param {GuardElement} el
 	 * @param {SelectionState} sel
 	 * @returns {void}
 	 */
 	writeSelection(el, sel) {
 		if (sel.start == null || sel.end == null) { return; }
+		if (this.kind === "contenteditable") {
+			// フォーカスしていない要素の selection を動かすとフォーカスを奪うことがあるため触らない
+			if (el.ownerDocument.activeElement === el) {
+				setEditableSelection(el, sel.start, sel.end, sel.direction);
+			}
+			return;
+		}
+		if (!(el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement)) { return; }
 		try {
 			// direction は未対応環境があるので try で包む
 			if (sel.direction) {
@@ -695,7 +899,15 @@ class InputGuard {
 			return;
 		}
 
-		const element = this.originalElement;
+		// contenteditable は送信用の値を持たないため swap しない
+		if (this.kind === "contenteditable") {
+			if (userMode === "swap") {
+				warnLog("[text-input-guard] separateValue.mode=\"swap\" is not supported for contenteditable. ignored.", this.warn);
+			}
+			return;
+		}
+
+		const element = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.originalElement);
 
 		const state = new SwapState(element);
 		state.applyToRaw(element);
@@ -712,6 +924,7 @@ class InputGuard {
 
 		// revert 機構
 		this.lastAcceptedValue = display.value;
+		this.lastAcceptedDisplay = display.value;
 		this.lastAcceptedSelection = this.readSelection(display);
 	}
 
@@ -763,6 +976,11 @@ class InputGuard {
 	detach() {
 		// 管理マップから削除
 		guardMap.delete(this.displayElement);
+		// 実行中の非同期検証を止める
+		this.cancelValidateAsync();
+		this.settlePending();
+		// setCustomValidity で付けたエラーを外す（元の要素に残さない）
+		this.clearCustomValidity();
 		// イベント解除（displayElementがswap後の可能性があるので先に外す）
 		this.unbindEvents();
 		// swap復元
@@ -776,41 +994,14 @@ class InputGuard {
 	 * @returns {void}
 	 */
 	buildPipeline() {
-		this.normalizeCharRules = [];
-		this.normalizeStructureRules = [];
-		this.validateRules = [];
-		this.fixRules = [];
-		this.formatRules = [];
-
-		for (const rule of this.rules) {
-			const supports =
-				(this.kind === "input" && rule.targets.includes("input")) ||
-				(this.kind === "textarea" && rule.targets.includes("textarea"));
-
-			if (!supports) {
-				warnLog(
-					`[text-input-guard] Rule "${rule.name}" is not supported for <${this.kind}>. skipped.`,
-					this.warn
-				);
-				continue;
-			}
-
-			if (rule.normalizeChar) {
-				this.normalizeCharRules.push(rule);
-			}
-			if (rule.normalizeStructure) {
-				this.normalizeStructureRules.push(rule);
-			}
-			if (rule.validate) {
-				this.validateRules.push(rule);
-			}
-			if (rule.fix) {
-				this.fixRules.push(rule);
-			}
-			if (rule.format) {
-				this.formatRules.push(rule);
-			}
-		}
+		const phases = splitRulesByPhase(this.rules, this.kind, this.warn);
+		this.normalizeCharRules = phases.normalizeChar;
+		this.normalizeStructureRules = phases.normalizeStructure;
+		this.validateRules = phases.validate;
+		this.validateAsyncRules = phases.validateAsync;
+		this.fixRules = phases.fix;
+		this.formatRules = phases.format;
+		this.inputFormatRules = phases.format.filter((rule) => rule.formatOnInput);
 	}
 
 	/**
@@ -848,10 +1039,10 @@ class InputGuard {
 	 * @returns {void}
 	 */
 	revertDisplay(req) {
-		const display = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.displayElement);
+		const display = this.displayElement;
 
 		// いまの入力を取り消して、直前の受理値へ戻す
-		display.value = this.lastAcceptedValue;
+		this.writeValue(display, this.lastAcceptedDisplay);
 
 		// selection復元（取れている場合のみ）
 		this.writeSelection(display, this.lastAcceptedSelection);
@@ -909,18 +1100,19 @@ class InputGuard {
 
 	/**
 	 * ルール実行に渡すコンテキストを作る（pushErrorで errors に積める）
+	 * @param {{ useSnapshot?: boolean, source?: ValidateSource }} [options]
 	 * @returns {GuardContext}
 	 */
-	createCtx({ useSnapshot = true } = {}) {
+	createCtx({ useSnapshot = true, source = "input" } = {}) {
 		// 入力後のテキストを取得
-		let afterText = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.displayElement).value;
+		let afterText = this.readValue(this.displayElement);
 		const snap = useSnapshot ? this.beforeInputSnapshot : null;
 		let inputType = snap?.inputType ?? "";
 		let insertedText = snap?.insertedText ?? "";
 
 		// 受理済み（正規化済み）の全文を「今回の編集の基準」として使う
 		// display.value はブラウザ側の編集結果が混ざるので、差分再構成の基準にはしない
-		let beforeText = this.lastAcceptedValue ?? "";
+		let beforeText = this.lastAcceptedDisplay ?? "";
 
 		// selection は2系統ある：
 		// - snapSel: beforeinput 時点で取得した selection（今回の編集の基準点になり得る）
@@ -1037,8 +1229,10 @@ class InputGuard {
 			warn: this.warn,
 			invalidClass: this.invalidClass,
 			composing: this.composing,
+			source,
 			inputType,
 			beforeText,
+			previousText: beforeText,
 			replaceStart,
 			replaceEnd,
 			insertedText,
@@ -1082,14 +1276,15 @@ class InputGuard {
 			guard: this.getGuard(),
 			source,
 			errors,
-			isValid: errors.length === 0
+			isValid: errors.length === 0 && !this.pending,
+			pending: this.pending
 		});
 	}
 
 	/**
 	 * normalize.char フェーズを実行する（文字の正規化）
 	 * @param {string} value
- 	 * @param {GuardContext} ctx
+	 * @param {GuardContext} ctx
 	 * @returns {string}
 	 */
 	runNormalizeChar(value, ctx) {
@@ -1103,7 +1298,7 @@ class InputGuard {
 	/**
 	 * normalize.structure フェーズを実行する（構造の正規化）
 	 * @param {string} value
- 	 * @param {GuardContext} ctx
+	 * @param {GuardContext} ctx
 	 * @returns {string}
 	 */
 	runNormalizeStructure(value, ctx) {
@@ -1117,7 +1312,7 @@ class InputGuard {
 	/**
 	 * validate フェーズを実行する（エラーを積むだけで、値は変えない想定）
 	 * @param {string} value
- 	 * @param {GuardContext} ctx
+	 * @param {GuardContext} ctx
 	 * @returns {void}
 	 */
 	runValidate(value, ctx) {
@@ -1128,10 +1323,146 @@ class InputGuard {
 		}
 	}
 
+	/**
+	 * validateAsync を予約する（同期の validate が終わった後に呼ぶ）
+	 * - 同期のエラーがある場合は実行しない（無駄な問い合わせを避ける）
+	 * - 値が変わった場合は実行中の検証をキャンセルして結果を捨てる
+	 * - 同じ値なら再実行しない（blurのたびに問い合わせない）
+	 * - input 時は asyncDebounce だけ待ってから、commit 時は即時に実行する
+	 * @param {string} value
+	 * @param {ValidateSource} source
+	 * @returns {void}
+	 */
+	scheduleValidateAsync(value, source) {
+		if (this.validateAsyncRules.length === 0) {
+			return;
+		}
+
+		// 同期のエラーがあるなら非同期検証は不要
+		if (this.errors.length > 0) {
+			this.cancelValidateAsync();
+			this.asyncErrors = [];
+			this.asyncValue = null;
+			this.settlePending();
+			return;
+		}
+
+		if (value === this.asyncValue) {
+			// デバウンス待ちのまま確定された場合は前倒しで実行する
+			if (source === "commit" && this.asyncTimerId != null) {
+				clearTimeout(this.asyncTimerId);
+				this.asyncTimerId = null;
+				this.runValidateAsync(value, source);
+			}
+			return;
+		}
+
+		this.cancelValidateAsync();
+		this.asyncErrors = [];
+		this.asyncValue = value;
+		this.pending = true;
+
+		const delay = source === "input" ? this.asyncDebounce : 0;
+		if (delay > 0) {
+			this.asyncTimerId = setTimeout(() => {
+				this.asyncTimerId = null;
+				this.runValidateAsync(value, source);
+			}, delay);
+		} else {
+			this.runValidateAsync(value, source);
+		}
+	}
+
+	/**
+	 * validateAsync を実行し、最新の値に対する結果であれば errors へ合流させる
+	 * - 途中でキャンセルされた場合は何もしない
+	 * - 例外（reject）は warn を出してエラー扱いにはしない
+	 * @param {string} value
+	 * @param {ValidateSource} source
+	 * @returns {Promise<void>}
+	 */
+	async runValidateAsync(value, source) {
+		const controller = new AbortController();
+		this.asyncController = controller;
+
+		/** @type {TigError[]} */
+		const errors = [];
+
+		/** @type {AsyncValidateContext} */
+		const ctx = {
+			hostElement: this.hostElement,
+			displayElement: this.displayElement,
+			kind: this.kind,
+			source,
+			signal: controller.signal,
+			pushError: (e) => {
+				if (!controller.signal.aborted) {
+					errors.push(e);
+				}
+			}
+		};
+
+		const results = await Promise.allSettled(
+			// 同期的に throw された場合も reject として扱う
+			this.validateAsyncRules.map((rule) => new Promise((resolve) => resolve(rule.validateAsync?.(value, ctx))))
+		);
+
+		// 値が変わった / detach された場合は結果を捨てる
+		if (controller.signal.aborted || this.asyncController !== controller) {
+			return;
+		}
+		this.asyncController = null;
+
+		results.forEach((r, i) => {
+			if (r.status === "rejected") {
+				warnLog(
+					`[text-input-guard] Rule "${this.validateAsyncRules[i].name}" validateAsync() failed. ${String(r.reason)}`,
+					this.warn
+				);
+			}
+		});
+
+		this.asyncErrors = errors;
+		this.pending = false;
+		this.applyInvalidClass();
+		this.notifyValidate(source);
+		this.settlePending();
+	}
+
+	/**
+	 * 実行中/予約中の非同期検証をキャンセルする
+	 * - pending の状態は変更しない（呼び出し側で決める）
+	 * @returns {void}
+	 */
+	cancelValidateAsync() {
+		if (this.asyncTimerId != null) {
+			clearTimeout(this.asyncTimerId);
+			this.asyncTimerId = null;
+		}
+		if (this.asyncController) {
+			this.asyncController.abort();
+			this.asyncController = null;
+		}
+	}
+
+	/**
+	 * pending を解除し、whenSettled() の待機者へ結果を通知する
+	 * @returns {void}
+	 */
+	settlePending() {
+		this.pending = false;
+		const waiters = this.settleWaiters;
+		this.settleWaiters = [];
+		const valid = this.isValid();
+		for (const resolve of waiters) {
+			resolve(valid);
+		}
+	}
+
 	/**
 	 * fix フェーズを実行する（commit時のみ：切り捨て/四捨五入などの穏やか補正）
 	 * @param {string} value
- 	 * @param {GuardContext} ctx
+	 * @param {GuardContext} ctx
 	 * @returns {string}
 	 */
 	runFix(value, ctx) {
@@ -1145,7 +1476,7 @@ class InputGuard {
 	/**
 	 * format フェーズを実行する（commit時のみ：カンマ付与など表示整形）
 	 * @param {string} value
- 	 * @param {GuardContext} ctx
+	 * @param {GuardContext} ctx
 	 * @returns {string}
 	 */
 	runFormat(value, ctx) {
@@ -1156,17 +1487,61 @@ class InputGuard {
 		return v;
 	}
 
+	/**
+	 * 入力中の表示整形を実行する（formatOnInput のルールだけ）
+	 * - raw から入力中の表示を作る（ルールが無ければ raw のまま）
+	 * @param {string} value
+	 * @param {GuardContext} ctx
+	 * @returns {string}
+	 */
+	runInputFormat(value, ctx) {
+		let v = value;
+		for (const rule of this.inputFormatRules) {
+			v = rule.format ? rule.format(v, ctx) : v;
+		}
+		return v;
+	}
+
 	/**
 	 * errors の有無で invalidClass を displayElement に付け外しする
+	 * - nativeValidity が有効なら setCustomValidity も同期する
 	 * @returns {void}
 	 */
 	applyInvalidClass() {
 		const el = /** @type {HTMLElement} */ (this.displayElement);
-		if (this.errors.length > 0) {
+		if (this.errors.length > 0 || this.asyncErrors.length > 0) {
 			el.classList.add(this.invalidClass);
 		} else {
 			el.classList.remove(this.invalidClass);
 		}
+		this.applyCustomValidity();
+	}
+
+	/**
+	 * nativeValidity が有効なとき、エラーメッセージを setCustomValidity で displayElement に反映する
+	 * - エラーが無ければ空文字を設定して valid に戻す
+	 * - 複数のエラーは改行で連結する
+	 * - swap 時の raw（hidden）はブラウザの検証対象外なので、利用者が操作する display 側に付ける
+	 * - contenteditable は Constraint Validation API を持たないため何もしない
+	 * @returns {void}
+	 */
+	applyCustomValidity() {
+		if (!this.nativeValidity || this.kind === "contenteditable") {
+			return;
+		}
+		const message = this.getMessages().join("\n");
+		/** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.displayElement).setCustomValidity(message);
+	}
+
+	/**
+	 * setCustomValidity で設定したメッセージを解除する（detach用）
+	 * @returns {void}
+	 */
+	clearCustomValidity() {
+		if (!this.nativeValidity || this.kind === "contenteditable") {
+			return;
+		}
+		/** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.displayElement).setCustomValidity("");
 	}
 
 	/**
@@ -1186,9 +1561,7 @@ class InputGuard {
 	 * @returns {void}
 	 */
 	syncDisplay(normalized) {
-		if (this.displayElement instanceof HTMLInputElement || this.displayElement instanceof HTMLTextAreaElement) {
-			this.displayElement.value = normalized;
-		}
+		this.writeValue(this.displayElement, normalized);
 	}
 
 	/**
@@ -1246,7 +1619,7 @@ class InputGuard {
 		if (!(e instanceof InputEvent)) {
 			return;
 		}
-		const el = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.displayElement);
+		const el = this.displayElement;
 		// 現時点（反映前）の選択範囲
 		const selection = this.readSelection(el);
 		/** @type {string|null} */
@@ -1296,8 +1669,8 @@ class InputGuard {
 	onFocus() {
 		if (this.composing) { return; }
 
-		const display = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.displayElement);
-		const current = display.value;
+		const display = this.displayElement;
+		const current = this.readValue(display);
 
 		const ctx = this.createCtx();
 
@@ -1308,13 +1681,17 @@ class InputGuard {
 		raw = this.runNormalizeChar(raw, ctx);
 		raw = this.runNormalizeStructure(raw, ctx);
 
+		const shown = this.runInputFormat(raw, ctx);
+		if (shown !== current) {
+			this.setDisplayValuePreserveCaret(display, shown, ctx);
+		}
 		if (raw !== current) {
-			this.setDisplayValuePreserveCaret(display, raw, ctx);
 			this.syncRaw(raw);
 		}
 
 		// 受理値更新（blockで戻す位置も自然になる）
 		this.lastAcceptedValue = raw;
+		this.lastAcceptedDisplay = shown;
 		this.lastAcceptedSelection = this.readSelection(display);
 
 		// キャレット/選択範囲の変化も反映しておく（blockで戻す位置も自然になる）
@@ -1324,7 +1701,7 @@ class InputGuard {
 		this.previousInputValue = raw;
 
 		// 中の値が替わっている可能性を考えて、historyも更新しておく（undoしたときに不自然にならないように）
-		this.history.push(raw);
+		this.history.push(shown);
 	}
 
 	/**
@@ -1404,7 +1781,7 @@ class InputGuard {
 				return;
 			}
 
-			const el = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.displayElement);
+			const el = this.displayElement;
 
 			// 要素がフォーカスされていない場合は無視
 			if (document.activeElement !== el) {
@@ -1418,21 +1795,20 @@ class InputGuard {
 	/**
 	 * display.value を更新しつつ、可能ならカーソル位置を保つ（入力中用）
 	 * - 文字が削除される/増える可能性があるので、左側だけ正規化した長さで補正する
-	 * @param {HTMLInputElement|HTMLTextAreaElement} el
+	 * @param {GuardElement} el
 	 * @param {string} nextValue
 	 * @param {GuardContext} ctx
 	 * @returns {void}
 	 */
 	setDisplayValuePreserveCaret(el, nextValue, ctx) {
-		const prevValue = el.value;
+		const prevValue = this.readValue(el);
 		if (prevValue === nextValue) { return; }
 
-		const start = el.selectionStart;
-		const end = el.selectionEnd;
+		const { start, end } = this.readSelection(el);
 
 		// selectionが取れないなら単純代入
 		if (start == null || end == null) {
-			el.value = nextValue;
+			this.writeValue(el, nextValue);
 			return;
 		}
 
@@ -1441,15 +1817,12 @@ class InputGuard {
 		let leftNext = leftPrev;
 		leftNext = this.runNormalizeChar(leftNext, ctx);
 		leftNext = this.runNormalizeStructure(leftNext, ctx);
+		leftNext = this.runInputFormat(leftNext, ctx);
 
-		el.value = nextValue;
+		this.writeValue(el, nextValue);
 
 		const newPos = Math.min(leftNext.length, nextValue.length);
-		try {
-			el.setSelectionRange(newPos, newPos);
-		} catch (_e) {
-			// type=hidden/number などでは例外の可能性があるが、ここはtext想定
-		}
+		this.writeSelection(el, { start: newPos, end: newPos, direction: null });
 	}
 
 	/**
@@ -1504,14 +1877,19 @@ class InputGuard {
 		// 挿入後文章全体に構造チェックを行う
 		const normalizeStructureText = this.runNormalizeStructure(newText, ctx);
 
+		// 入力中の表示（formatOnInput のルールが無ければ raw のまま）
+		const shownText = this.runInputFormat(normalizeStructureText, ctx);
+
 		// 構成した文章がずれていた場合、カーソル位置の見直しを行う
-		if (newText !== normalizeStructureText) {
-			newText = normalizeStructureText;
+		if (newText !== shownText) {
+			newText = shownText;
 			// 入力した実際のテキスト(tempText)から、現在位置から左側のみ切り出して、左側のみ再チェックする
 			// 文章の長さに依存した変更があった場合は厳しいが、それ以外は以下の方法で切り抜けられる可能性が高い
-			let leftText = tempText.slice(0, replaceStart);
+			// 左側には今回挿入した文字も含める（構造の正規化で文字が増える場合に、キャレットを挿入した文字の後ろへ置くため）
+			let leftText = tempText.slice(0, replaceStart + ctx.insertedText.length);
 			leftText = this.runNormalizeChar(leftText, ctx);
 			leftText = this.runNormalizeStructure(leftText, ctx);
+			leftText = this.runInputFormat(leftText, ctx);
 			const newPos = Math.min(leftText.length, newText.length);
 			newSelection = { start: newPos, end: newPos, direction: "forward" };
 		}
@@ -1520,8 +1898,8 @@ class InputGuard {
 		this.syncDisplay(newText);
 		this.writeSelection(this.displayElement, newSelection);
 
-		// CTX の情報を最新の情報へ更新する
-		ctx.afterText = newText;
+		// CTX の情報を最新の情報へ更新する（表示ではなく raw）
+		ctx.afterText = normalizeStructureText;
 
 		return ctx;
 	}
@@ -1540,7 +1918,7 @@ class InputGuard {
 		this.clearErrors();
 		this.revertRequest = null;
 
-		const display = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.displayElement);
+		const display = this.displayElement;
 
 		const ctx = this.createCtxAndNormalize();
 		const raw = ctx.afterText;
@@ -1557,10 +1935,14 @@ class InputGuard {
 		// rawは常に最新に（swapでも非swapでもOK）
 		this.syncRaw(raw);
 
+		// 非同期検証（値が変わったときだけ、デバウンスして実行）
+		this.scheduleValidateAsync(raw, "input");
+
 		this.applyInvalidClass();
 
 		// 受理値は常にrawとして保存（revert先・getRawValueの一貫性）
 		this.lastAcceptedValue = raw;
+		this.lastAcceptedDisplay = this.readValue(display);
 		this.lastAcceptedSelection = this.readSelection(display);
 
 		// コールバック関数処理
@@ -1568,8 +1950,8 @@ class InputGuard {
 		if (this.previousInputValue !== raw) {
 			this.previousInputValue = raw;
 
-			// historyに積む（undoの基準になる）
-			this.history.push(raw);
+			// historyに積む（undoの基準になる。入力中の表示で積む）
+			this.history.push(this.lastAcceptedDisplay);
 
 			// 変更コールバック
 			if (this.onAttachInput) {
@@ -1592,11 +1974,11 @@ class InputGuard {
 		this.clearErrors();
 		this.revertRequest = null;
 
-		const display = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.displayElement);
-		const ctx = this.createCtx({ useSnapshot: false });
+		const display = this.displayElement;
+		const ctx = this.createCtx({ useSnapshot: false, source: "commit" });
 
 		// 1) raw候補（displayから取得）
-		let raw = display.value;
+		let raw = this.readValue(display);
 		ctx.beforeText = "";
 		ctx.afterText = raw;
 
@@ -1629,6 +2011,9 @@ class InputGuard {
 		// 6) raw同期（format前を入れる）
 		this.syncRaw(raw);
 
+		// 非同期検証（最終rawに対して即時実行）
+		this.scheduleValidateAsync(raw, "commit");
+
 		// 7) 表示用は format 後（カンマ等）
 		let shown = raw;
 		shown = this.runFormat(shown, ctx);
@@ -1639,6 +2024,7 @@ class InputGuard {
 
 		// 8) 受理値は raw を保持（revertやgetRawValueが安定する）
 		this.lastAcceptedValue = raw;
+		this.lastAcceptedDisplay = this.runInputFormat(raw, ctx);
 		this.lastAcceptedSelection = this.readSelection(display);
 
 		// コールバック関数処理
@@ -1647,18 +2033,61 @@ class InputGuard {
 
 	/**
 	 * 現在のエラー有無を返す（errorsが空なら true）
+	 * - 非同期検証の結果待ちの間は確定していないため false
 	 * @returns {boolean}
 	 */
 	isValid() {
-		return this.errors.length === 0;
+		return !this.pending && this.errors.length === 0 && this.asyncErrors.length === 0;
+	}
+
+	/**
+	 * 非同期検証の結果待ちかどうかを返す
+	 * @returns {boolean}
+	 */
+	isPending() {
+		return this.pending;
+	}
+
+	/**
+	 * 検証状態を返す（valid / invalid / pending）
+	 * @returns {Validity}
+	 */
+	getValidity() {
+		if (this.pending) {
+			return "pending";
+		}
+		return this.isValid() ? "valid" : "invalid";
+	}
+
+	/**
+	 * 非同期検証の完了を待って isValid() の結果を返す
+	 * - 結果待ちでなければ即座に解決する
+	 * @returns {Promise<boolean>}
+	 */
+	whenSettled() {
+		if (!this.pending) {
+			return Promise.resolve(this.isValid());
+		}
+		return new Promise((resolve) => {
+			this.settleWaiters.push(resolve);
+		});
 	}
 
 	/**
 	 * エラー配列のコピーを返す（外から破壊されないように slice）
+	 * - 同期の validate の結果に、validateAsync の結果を合流させたもの
 	 * @returns {TigError[]}
 	 */
 	getErrors() {
-		return this.errors.slice();
+		return this.errors.concat(this.asyncErrors);
+	}
+
+	/**
+	 * エラー一覧を表示用のメッセージへ変換して返す
+	 * @returns {string[]}
+	 */
+	getMessages() {
+		return this.getErrors().map((e) => formatMessage(e, { locale: this.locale, messages: this.messages }));
 	}
 
 	/**
@@ -1666,7 +2095,7 @@ class InputGuard {
 	 * @returns {string}
 	 */
 	getRawValue() {
-		return /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.hostElement).value;
+		return this.readValue(this.hostElement);
 	}
 
 	/**
@@ -1674,7 +2103,7 @@ class InputGuard {
 	 * @returns {string}
 	 */
 	getDisplayValue() {
-		return /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.displayElement).value;
+		return this.readValue(this.displayElement);
 	}
 
 	/**
@@ -1697,12 +2126,13 @@ class InputGuard {
 			s = String(value);
 		}
 
-		const display = /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.displayElement);
-		display.value = s;
+		const display = this.displayElement;
+		this.writeValue(display, s);
 
 		if (mode === "none") {
 			this.syncRaw(s);
 			this.lastAcceptedValue = s;
+			this.lastAcceptedDisplay = s;
 			this.lastAcceptedSelection = this.readSelection(display);
 			return;
 		}
@@ -1727,11 +2157,15 @@ class InputGuard {
 		this._guard = {
 			detach: () => this.detach(),
 			isValid: () => this.isValid(),
+			isPending: () => this.isPending(),
+			getValidity: () => this.getValidity(),
+			whenSettled: () => this.whenSettled(),
 			getErrors: () => this.getErrors(),
+			getMessages: () => this.getMessages(),
 			getRawValue: () => this.getRawValue(),
 			getDisplayValue: () => this.getDisplayValue(),
-			getRawElement: () => /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.hostElement),
-			getDisplayElement: () => /** @type {HTMLInputElement|HTMLTextAreaElement} */ (this.displayElement),
+			getRawElement: () => this.hostElement,
+			getDisplayElement: () => this.displayElement,
 			evaluate: () => this.evaluateInput(),
 			commit: () => this.evaluateCommit(),
 			setValue: (value, mode) => this.setValue(value, mode)
@@ -129,3 +129,634 @@ test("text-input-guard - focus: format 済み表示を normalize で剥がして
 	// raw も同じに同期される
 	assert.equal(guard.getRawValue(), "1234");
 });
+
+// テスト用：validateAsync で "taken" だけを重複エラーにする（呼び出しを記録する）
+function ruleAsyncUnique(calls) {
+	return {
+		name: "unique",
+		targets: ["input"],
+		validateAsync(v, ctx) {
+			calls.push({ value: v, signal: ctx.signal });
+			return new Promise((resolve) => {
+				setTimeout(() => {
+					if (v === "taken") {
+						ctx.pushError({ code: "unique.taken", rule: "unique", phase: "validate" });
+					}
+					resolve();
+				}, 5);
+			});
+		}
+	};
+}
+
+test("text-input-guard - validateAsync: commit 後は pending になり、結果が getErrors / onValidate に合流する", async () => {
+	setupDom("<input id=\"code\" name=\"code\" type=\"text\" value=\"\">");
+
+	const { attach } = await import("./text-input-guard.js");
+
+	const calls = [];
+	const results = [];
+	const input = document.getElementById("code");
+	const guard = attach(input, {
+		rules: [ruleAsyncUnique(calls)],
+		onValidate: (r) => results.push(r)
+	});
+	await guard.whenSettled();
+	const before = calls.length;
+
+	guard.setValue("taken");
+	assert.equal(guard.isPending(), true);
+	assert.equal(guard.getValidity(), "pending");
+	assert.equal(guard.isValid(), false);
+	assert.equal(results.at(-1).pending, true);
+
+	const valid = await guard.whenSettled();
+	assert.equal(valid, false);
+	assert.equal(guard.getValidity(), "invalid");
+	assert.deepEqual(guard.getErrors().map((e) => e.code), ["unique.taken"]);
+	assert.equal(results.at(-1).pending, false);
+	assert.equal(results.at(-1).errors.length, 1);
+	assert.ok(input.classList.contains("is-invalid"));
+
+	// 同じ値での再評価では問い合わせない
+	guard.commit();
+	assert.equal(calls.length, before + 1);
+	assert.equal(guard.isPending(), false);
+	assert.equal(guard.getErrors().length, 1);
+});
+
+test("text-input-guard - validateAsync: 値が変わると古い検証はキャンセルされ、結果は捨てられる", async () => {
+	setupDom("<input id=\"code\" name=\"code\" type=\"text\" value=\"\">");
+
+	const { attach } = await import("./text-input-guard.js");
+
+	const calls = [];
+	const input = document.getElementById("code");
+	const guard = attach(input, { rules: [ruleAsyncUnique(calls)] });
+
+	guard.setValue("taken");
+	guard.setValue("free");
+
+	const [first, second] = calls.slice(-2);
+	assert.equal(first.value, "taken");
+	assert.equal(first.signal.aborted, true);
+	assert.equal(second.value, "free");
+	assert.equal(second.signal.aborted, false);
+
+	assert.equal(await guard.whenSettled(), true);
+	assert.equal(guard.getValidity(), "valid");
+	assert.deepEqual(guard.getErrors(), []);
+});
+
+test("text-input-guard - validateAsync: input 時はデバウンス後に実行される", async () => {
+	setupDom("<input id=\"code\" name=\"code\" type=\"text\" value=\"\">");
+
+	const { attach } = await import("./text-input-guard.js");
+
+	const calls = [];
+	const input = document.getElementById("code");
+	const guard = attach(input, { rules: [ruleAsyncUnique(calls)], asyncDebounce: 10 });
+	await guard.whenSettled();
+	const before = calls.length;
+
+	guard.setValue("tak", "input");
+	guard.setValue("taken", "input");
+	assert.equal(guard.isPending(), true);
+	assert.equal(calls.length, before);
+
+	assert.equal(await guard.whenSettled(), false);
+	assert.equal(calls.length, before + 1);
+	assert.equal(calls.at(-1).value, "taken");
+});
+
+test("text-input-guard - getMessages: エラーを locale / messages に従ってメッセージに変換する", async () => {
+	setupDom("<input id=\"code\" name=\"code\" type=\"text\" value=\"\">");
+
+	const { attach } = await import("./text-input-guard.js");
+
+	const rule = {
+		name: "max3",
+		targets: ["input"],
+		validate(v, ctx) {
+			if (v.length > 3) {
+				ctx.pushError({ code: "length.max_overflow", rule: "max3", phase: "validate", detail: { limit: 3, actual: v.length } });
+			}
+		}
+	};
+
+	const input = document.getElementById("code");
+	const guard = attach(input, { rules: [rule], locale: "en" });
+	guard.setValue("abcd");
+	assert.deepEqual(guard.getMessages(), ["Please enter no more than 3 characters (currently 4)."]);
+	guard.detach();
+
+	const guard2 = attach(input, { rules: [rule], messages: { "length.max_overflow": "{limit}文字まで" } });
+	guard2.setValue("abcd");
+	assert.deepEqual(guard2.getMessages(), ["3文字まで"]);
+});
+
+test("text-input-guard - nativeValidity: エラーメッセージが setCustomValidity で display に反映される", async () => {
+	setupDom("<form id=\"f\"><input id=\"price\" name=\"price\" type=\"text\" value=\"\"></form>");
+
+	const { attach } = await import("./text-input-guard.js");
+
+	const rule = {
+		name: "max3",
+		targets: ["input"],
+		validate(v, ctx) {
+			if (v.length > 3) {
+				ctx.pushError({ code: "length.max_overflow", rule: "max3", phase: "validate", detail: { limit: 3, actual: v.length } });
+			}
+		}
+	};
+
+	const input = document.getElementById("price");
+	const form = document.getElementById("f");
+	const guard = attach(input, { rules: [rule, ruleFormatComma()], nativeValidity: true });
+	const display = guard.getDisplayElement();
+
+	guard.setValue("1234");
+	assert.equal(display.validity.customError, true);
+	assert.equal(display.validationMessage, "3文字以内で入力してください（現在4文字）");
+	// raw(hidden) は検証対象外なので付けない
+	assert.equal(input.validity.customError, false);
+	assert.equal(form.checkValidity(), false);
+
+	guard.setValue("123");
+	assert.equal(display.validity.valid, true);
+	assert.equal(display.validationMessage, "");
+	assert.equal(form.checkValidity(), true);
+
+	// detach 後は元の要素にエラーを残さない
+	guard.setValue("1234");
+	guard.detach();
+	assert.equal(input.validity.customError, false);
+});
+
+test("text-input-guard - nativeValidity: swap 時も初期値のエラーで display が invalid になり、送信を止められる", async () => {
+	setupDom("<form id=\"f\"><input id=\"price\" name=\"price\" type=\"text\" value=\"12345\"></form>");
+
+	const { attach } = await import("./text-input-guard.js");
+	const { length } = await import("./rules/length.js");
+
+	const input = document.getElementById("price");
+	const form = document.getElementById("f");
+	const guard = attach(input, { rules: [length({ max: 3, mode: "error" }), ruleFormatComma()], nativeValidity: true });
+	const display = guard.getDisplayElement();
+
+	// swap されて、host は hidden の raw、利用者が操作するのは display
+	assert.notEqual(display, input);
+	assert.equal(input.type, "hidden");
+
+	assert.equal(display.validity.customError, true);
+	assert.equal(display.validationMessage, "3文字以内で入力してください（現在5文字）");
+	assert.equal(display.reportValidity(), false);
+	assert.equal(form.checkValidity(), false);
+
+	guard.setValue("123");
+	assert.equal(display.validity.valid, true);
+	assert.equal(form.checkValidity(), true);
+});
+
+test("text-input-guard - nativeValidity: 既定では setCustomValidity を使わない", async () => {
+	setupDom("<input id=\"price\" name=\"price\" type=\"text\" value=\"\">");
+
+	const { attach } = await import("./text-input-guard.js");
+
+	const input = document.getElementById("price");
+	const guard = attach(input, {
+		rules: [{
+			name: "ng",
+			targets: ["input"],
+			validate(v, ctx) {
+				ctx.pushError({ code: "ng", rule: "ng", phase: "validate" });
+			}
+		}]
+	});
+
+	assert.equal(guard.isValid(), false);
+	assert.equal(input.validity.valid, true);
+});
+
+// contenteditable 用：DOM の Selection / InputEvent も参照するので追加で注入する
+function setupEditableDom(html) {
+	const dom = setupDom(html);
+	globalThis.Node = dom.window.Node;
+	globalThis.InputEvent = dom.window.InputEvent;
+	globalThis.KeyboardEvent = dom.window.KeyboardEvent;
+	return dom;
+}
+
+// テスト用：英小文字を大文字へ
+function ruleUpper() {
+	return {
+		name: "upper",
+		targets: ["input", "textarea", "contenteditable"],
+		normalizeChar(v) {
+			return String(v).toUpperCase();
+		}
+	};
+}
+
+// テスト用：max 文字を超える入力を取り消す（block）
+function ruleBlockLength(max) {
+	return {
+		name: "block-length",
+		targets: ["contenteditable"],
+		validate(v, ctx) {
+			if (v.length > max) {
+				ctx.requestRevert({ reason: "block-length" });
+			}
+		}
+	};
+}
+
+// contenteditable への入力を再現する（beforeinput → DOM 変更 → input）
+function typeEditable(el, data, nextHtml, caret) {
+	el.dispatchEvent(new window.InputEvent("beforeinput", { bubbles: true, cancelable: true, inputType: "insertText", data }));
+	el.innerHTML = nextHtml;
+	const text = el.firstChild;
+	document.getSelection().setBaseAndExtent(text, caret, text, caret);
+	el.dispatchEvent(new window.InputEvent("input", { bubbles: true, inputType: "insertText", data }));
+}
+
+test("text-input-guard - contenteditable: プレーンテキストとして attach し、format があっても swap しない", async () => {
+	setupEditableDom("<div id='ce' contenteditable>ab<div>c</div></div>");
+	const { attach } = await import("./text-input-guard.js");
+
+	const ce = document.getElementById("ce");
+	const guard = attach(ce, {
+		rules: [
+			ruleUpper(),
+			{ name: "brackets", targets: ["contenteditable"], format: (v) => `[${v}]` },
+			{ name: "input-only", targets: ["input"], normalizeChar: () => "x" }
+		],
+		warn: false
+	});
+
+	assert.equal(guard.getDisplayElement(), ce);
+	assert.equal(guard.getRawElement(), ce);
+	assert.equal(guard.getDisplayValue(), "[AB\nC]");
+	assert.equal(ce.innerHTML, "[AB<br>C]");
+});
+
+test("text-input-guard - contenteditable: 入力中は挿入文字を正規化し、キャレットを挿入位置の後ろに置く", async () => {
+	setupEditableDom("<div id='ce' contenteditable tabindex='0'>ab</div>");
+	const { attach } = await import("./text-input-guard.js");
+
+	const ce = document.getElementById("ce");
+	const guard = attach(ce, { rules: [ruleUpper()] });
+	ce.focus();
+	document.getSelection().setBaseAndExtent(ce.firstChild, 1, ce.firstChild, 1);
+
+	typeEditable(ce, "x", "Axb", 2);
+
+	assert.equal(guard.getRawValue(), "AXB");
+	assert.equal(ce.textContent, "AXB");
+	assert.deepEqual(
+		{ offset: document.getSelection().focusOffset, text: document.getSelection().focusNode.data },
+		{ offset: 2, text: "AXB" }
+	);
+});
+
+test("text-input-guard - contenteditable: block の取り消しで値とキャレットを元に戻す", async () => {
+	setupEditableDom("<div id='ce' contenteditable tabindex='0'>ab</div>");
+	const { attach } = await import("./text-input-guard.js");
+
+	const ce = document.getElementById("ce");
+	const guard = attach(ce, { rules: [ruleBlockLength(3)] });
+	ce.focus();
+	document.getSelection().setBaseAndExtent(ce.firstChild, 1, ce.firstChild, 1);
+
+	// 受理される入力（キャレットは "ax|b"）
+	typeEditable(ce, "x", "axb", 2);
+	assert.equal(guard.getRawValue(), "axb");
+
+	// 取り消される入力
+	typeEditable(ce, "y", "axyb", 3);
+
+	assert.equal(guard.getRawValue(), "axb");
+	assert.equal(ce.textContent, "axb");
+	assert.equal(document.getSelection().focusOffset, 2);
+});
+
+test("text-input-guard - contenteditable: IME 変換中は評価せず、確定後に評価する", async () => {
+	setupEditableDom("<div id='ce' contenteditable tabindex='0'></div>");
+	const { attach } = await import("./text-input-guard.js");
+
+	const ce = document.getElementById("ce");
+	const guard = attach(ce, { rules: [ruleUpper()] });
+	ce.focus();
+
+	ce.dispatchEvent(new window.CompositionEvent("compositionstart"));
+	typeEditable(ce, "a", "a", 1);
+	assert.equal(ce.textContent, "a");
+
+	ce.dispatchEvent(new window.CompositionEvent("compositionend", { data: "a" }));
+	await Promise.resolve();
+
+	assert.equal(guard.getRawValue(), "A");
+});
+
+// input への入力を再現する（beforeinput → 値の変更 → input）
+function typeInput(el, inputType, data, nextValue, caret) {
+	el.dispatchEvent(new window.InputEvent("beforeinput", { bubbles: true, cancelable: true, inputType, data }));
+	el.value = nextValue;
+	el.setSelectionRange(caret, caret);
+	el.dispatchEvent(new window.InputEvent("input", { bubbles: true, inputType, data }));
+}
+
+// テスト用：先頭3桁の後ろに "-" を挟む（入力に合わせて文字が増える normalizeStructure）
+function ruleHyphenAfter3() {
+	return {
+		name: "hyphenAfter3",
+		targets: ["input"],
+		normalizeStructure(v) {
+			return String(v).replace(/-/g, "").replace(/^(\d{3})/, "$1-");
+		}
+	};
+}
+
+test("text-input-guard - caret: normalizeStructure で文字が増えたら、挿入した文字の後ろにキャレットを置く", async () => {
+	setupEditableDom("<input id=\"code\" type=\"text\" value=\"\">");
+	const { attach } = await import("./text-input-guard.js");
+
+	const input = document.getElementById("code");
+	attach(input, { rules: [ruleHyphenAfter3()] });
+	input.focus();
+
+	typeInput(input, "insertText", "12", "12", 2);
+	assert.equal(input.value, "12");
+	assert.equal(input.selectionStart, 2);
+
+	// 3桁目で "-" が増える（キャレットは "-" の後ろ）
+	typeInput(input, "insertText", "3", "123", 3);
+	assert.equal(input.value, "123-");
+	assert.equal(input.selectionStart, 4);
+
+	// 先頭へ挿入しても、挿入した文字の直後に置く
+	input.setSelectionRange(0, 0);
+	typeInput(input, "insertText", "0", "0123-", 1);
+	assert.equal(input.value, "012-3");
+	assert.equal(input.selectionStart, 1);
+});
+
+test("text-input-guard - mask: 入力に合わせてリテラルを挟み、キャレットをリテラルの後ろに置く", async () => {
+	setupEditableDom("<input id=\"card\" type=\"text\" value=\"\">");
+	const { attach } = await import("./text-input-guard.js");
+	const { mask } = await import("./rules/mask.js");
+
+	const input = document.getElementById("card");
+	const guard = attach(input, { rules: [mask({ pattern: "####-####" })] });
+	const display = guard.getDisplayElement();
+	display.focus();
+
+	typeInput(display, "insertText", "1234", "1234", 4);
+	assert.equal(display.value, "1234-");
+	assert.equal(display.selectionStart, 5);
+
+	typeInput(display, "insertText", "5", "1234-5", 6);
+	assert.equal(display.value, "1234-5");
+	assert.equal(display.selectionStart, 6);
+
+	// 入力中も raw（hidden）にはリテラルを入れない
+	assert.equal(guard.getRawValue(), "12345");
+	assert.equal(input.value, "12345");
+
+	// リテラルの直後で Backspace すると、リテラルの前の文字を消す
+	display.setSelectionRange(5, 5);
+	typeInput(display, "deleteContentBackward", null, "12345", 4);
+	assert.equal(display.value, "1235-");
+	assert.equal(display.selectionStart, 3);
+	assert.equal(guard.getRawValue(), "1235");
+
+	// 確定時は raw からリテラルを除き、表示にはリテラルを付ける
+	display.setSelectionRange(5, 5);
+	typeInput(display, "insertText", "678", "1235-678", 8);
+	display.dispatchEvent(new window.Event("blur", { bubbles: true }));
+	assert.equal(guard.getRawValue(), "1235678");
+	assert.equal(display.value, "1235-678");
+	assert.deepEqual(guard.getErrors().map((e) => e.code), ["mask.incomplete"]);
+
+	// リテラルと同じ文字を含む raw を設定しても欠けない
+	const nineInput = document.createElement("input");
+	document.body.appendChild(nineInput);
+	const nine = attach(nineInput, { rules: [mask({ pattern: "\\9-###" })] });
+	nine.setValue("912");
+	assert.equal(nine.getRawValue(), "912");
+	assert.equal(nine.getDisplayValue(), "9-912");
+	assert.equal(nine.isValid(), true);
+
+	// フォーカスして確定し直しても同じ raw に戻る
+	nine.getDisplayElement().focus();
+	nine.getDisplayElement().dispatchEvent(new window.Event("blur", { bubbles: true }));
+	assert.equal(nine.getRawValue(), "912");
+	assert.equal(nine.getDisplayValue(), "9-912");
+});
+
+test("text-input-guard - wrap: 入力中に折り返し、キャレットは入力した文字の後ろに置く", async () => {
+	setupEditableDom("<textarea id=\"memo\"></textarea>");
+	const { attach } = await import("./text-input-guard.js");
+	const { wrap } = await import("./rules/wrap.js");
+
+	const textarea = document.getElementById("memo");
+	const guard = attach(textarea, { rules: [wrap({ width: 10 })] });
+	const display = guard.getDisplayElement();
+	display.focus();
+
+	// 行末で幅を超えたら改行し、キャレットは次の行の入力した文字の後ろ
+	typeInput(display, "insertText", "あいうえおか", "あいうえおか", 6);
+	assert.equal(display.value, "あいうえお\nか");
+	assert.equal(display.selectionStart, 7);
+
+	// 1行目の途中に入れると、あふれた分は次の行へ送られ、キャレットはそのまま
+	display.setSelectionRange(2, 2);
+	typeInput(display, "insertText", "X", "あいXうえお\nか", 3);
+	assert.equal(display.value, "あいXうえ\nおか");
+	assert.equal(display.selectionStart, 3);
+});
+
+test("text-input-guard - wrap: 入力した文字を消すと、折り返しが元に戻る", async () => {
+	setupEditableDom("<textarea id=\"memo\">あいうえおかきくけこさし</textarea>");
+	const { attach } = await import("./text-input-guard.js");
+	const { wrap } = await import("./rules/wrap.js");
+
+	const textarea = document.getElementById("memo");
+	const guard = attach(textarea, { rules: [wrap({ width: 10 })] });
+	const display = guard.getDisplayElement();
+	display.focus();
+	assert.equal(display.value, "あいうえお\nかきくけこ\nさし");
+
+	display.setSelectionRange(0, 0);
+	typeInput(display, "insertText", "X", "Xあいうえお\nかきくけこ\nさし", 1);
+	assert.equal(display.value, "Xあいうえ\nおかきくけ\nこさし");
+
+	// Backspace で X を消すと、後ろへ送った文字が前の行へ戻る
+	typeInput(display, "deleteContentBackward", null, "あいうえ\nおかきくけ\nこさし", 0);
+	assert.equal(display.value, "あいうえお\nかきくけこ\nさし");
+	assert.equal(display.selectionStart, 0);
+
+	// Delete でも同じ
+	typeInput(display, "insertText", "X", "Xあいうえお\nかきくけこ\nさし", 1);
+	display.setSelectionRange(0, 0);
+	typeInput(display, "deleteContentForward", null, "あいうえ\nおかきくけ\nこさし", 0);
+	assert.equal(display.value, "あいうえお\nかきくけこ\nさし");
+
+	display.dispatchEvent(new window.Event("blur", { bubbles: true }));
+	assert.equal(guard.getRawValue(), "あいうえお\nかきくけこ\nさし");
+});
+
+test("text-input-guard - wrap: 幅いっぱいの行の後ろで入力した改行は、前の行を縮めても外さない", async () => {
+	setupEditableDom("<textarea id=\"memo\"></textarea>");
+	const { attach } = await import("./text-input-guard.js");
+	const { wrap } = await import("./rules/wrap.js");
+
+	const textarea = document.getElementById("memo");
+	const guard = attach(textarea, { rules: [wrap({ width: 4 })] });
+	const display = guard.getDisplayElement();
+	display.focus();
+
+	typeInput(display, "insertText", "abcd", "abcd", 4);
+	typeInput(display, "insertText", "\n", "abcd\n", 5);
+	typeInput(display, "insertText", "xy", "abcd\nxy", 7);
+	assert.equal(display.value, "abcd\nxy");
+
+	// "b" を Backspace で消しても、"xy" は前の行へ戻さない
+	display.setSelectionRange(2, 2);
+	typeInput(display, "deleteContentBackward", null, "acd\nxy", 1);
+	assert.equal(display.value, "acd\nxy");
+
+	// 折り返しで入れた改行なら、縮めた行へ詰める
+	display.setSelectionRange(3, 3);
+	typeInput(display, "insertText", "ef", "acdef\nxy", 5);
+	assert.equal(display.value, "acde\nf\nxy");
+	display.setSelectionRange(1, 1);
+	typeInput(display, "deleteContentBackward", null, "cde\nf\nxy", 0);
+	assert.equal(display.value, "cdef\nxy");
+
+	display.dispatchEvent(new window.Event("blur", { bubbles: true }));
+	assert.equal(guard.getRawValue(), "cdef\nxy");
+});
+
+test("text-input-guard - newline: allowNewline: false の block は改行の入力を取り消す", async () => {
+	setupEditableDom("<textarea id=\"title\">ab</textarea>");
+	const { attach } = await import("./text-input-guard.js");
+	const { newline } = await import("./rules/newline.js");
+
+	const textarea = document.getElementById("title");
+	const guard = attach(textarea, { rules: [newline({ allowNewline: false, mode: "block" })] });
+	textarea.focus();
+
+	textarea.setSelectionRange(1, 1);
+	typeInput(textarea, "insertText", "\n", "a\nb", 2);
+	assert.equal(textarea.value, "ab");
+	assert.deepEqual(guard.getErrors(), []);
+
+	// 元から改行がある値でも、改行を増やさない編集は取り消さない
+	guard.setValue("a\nb", "commit");
+	assert.deepEqual(guard.getErrors().map((e) => e.code), ["newline.not_allowed"]);
+	textarea.focus();
+	textarea.setSelectionRange(3, 3);
+	typeInput(textarea, "insertText", "c", "a\nbc", 4);
+	assert.equal(textarea.value, "a\nbc");
+});
+
+test("text-input-guard - forbiddenWords: block でも、値に元からある禁止語では他の編集を取り消さない", async () => {
+	setupEditableDom("<input id=\"nick\" type=\"text\" value=\"\">");
+	const { attach } = await import("./text-input-guard.js");
+	const { forbiddenWords } = await import("./rules/forbidden-words.js");
+
+	const input = document.getElementById("nick");
+	const guard = attach(input, { rules: [forbiddenWords({ words: ["ばか"] })] });
+
+	guard.setValue("ばか test", "commit");
+	assert.deepEqual(guard.getErrors().map((e) => e.code), ["forbiddenWords.found"]);
+	input.focus();
+
+	input.setSelectionRange(7, 7);
+	typeInput(input, "deleteContentBackward", null, "ばか tes", 6);
+	assert.equal(input.value, "ばか tes");
+
+	typeInput(input, "insertText", "x", "ばか tesx", 7);
+	assert.equal(input.value, "ばか tesx");
+	assert.deepEqual(guard.getErrors().map((e) => e.code), ["forbiddenWords.found"]);
+
+	// 禁止語を増やす入力は取り消す
+	typeInput(input, "insertText", "ばか", "ばか tesxばか", 9);
+	assert.equal(input.value, "ばか tesx");
+});
+
+test("text-input-guard - numeric allowKanji: 何回かに分けて入力した漢数字は確定時にまとめて変換する", async () => {
+	setupEditableDom("<input id=\"amount\" type=\"text\" value=\"\">");
+	const { attach } = await import("./text-input-guard.js");
+	const { numeric } = await import("./rules/numeric.js");
+
+	const input = document.getElementById("amount");
+	const guard = attach(input, { rules: [numeric({ allowKanji: true })] });
+	input.focus();
+
+	typeInput(input, "insertText", "3万", "3万", 2);
+	assert.equal(input.value, "3万");
+
+	typeInput(input, "insertText", "5千", "3万5千", 4);
+	assert.equal(input.value, "3万5千");
+
+	input.dispatchEvent(new window.Event("blur", { bubbles: true }));
+	assert.equal(guard.getRawValue(), "35000");
+	assert.deepEqual(guard.getErrors(), []);
+
+	// 数字と単位が入り混じった値は変換せずにエラーにする
+	input.focus();
+	input.setSelectionRange(5, 5);
+	typeInput(input, "insertText", "5千", "350005千", 7);
+	input.dispatchEvent(new window.Event("blur", { bubbles: true }));
+	assert.equal(guard.getRawValue(), "350005千");
+	assert.deepEqual(guard.getErrors().map((e) => e.code), ["numeric.invalid_kanji"]);
+});
+
+test("text-input-guard - comma style: \"unit\": フォーカスで表示を入力し直しても raw の単位が落ちない", async () => {
+	setupEditableDom("<input id=\"amount\" type=\"text\" value=\"\">");
+	const { attach } = await import("./text-input-guard.js");
+	const { numeric } = await import("./rules/numeric.js");
+	const { comma } = await import("./rules/comma.js");
+
+	const input = document.getElementById("amount");
+	const guard = attach(input, { rules: [numeric(), comma({ style: "unit" })] });
+	const display = guard.getDisplayElement();
+
+	guard.setValue("100006789");
+	assert.equal(display.value, "1億6789");
+
+	display.focus();
+	assert.equal(guard.getRawValue(), "100006789");
+
+	display.dispatchEvent(new window.Event("blur", { bubbles: true }));
+	assert.equal(guard.getRawValue(), "100006789");
+	assert.equal(display.value, "1億6789");
+});
+
+test("text-input-guard - numeric allowKanji: 1文字ずつ入力した「1.2億」も小数点を落とさずに変換する", async () => {
+	setupEditableDom("<input id=\"amount\" type=\"text\" value=\"\">");
+	const { attach } = await import("./text-input-guard.js");
+	const { numeric } = await import("./rules/numeric.js");
+
+	const input = document.getElementById("amount");
+	const guard = attach(input, { rules: [numeric({ allowKanji: true })] });
+	input.focus();
+
+	typeInput(input, "insertText", "1", "1", 1);
+	typeInput(input, "insertText", ".", "1.", 2);
+	assert.equal(input.value, "1.");
+	typeInput(input, "insertText", "2", "1.2", 3);
+	typeInput(input, "insertText", "億", "1.2億", 4);
+	assert.equal(input.value, "1.2億");
+
+	input.dispatchEvent(new window.Event("blur", { bubbles: true }));
+	assert.equal(guard.getRawValue(), "120000000");
+	assert.deepEqual(guard.getErrors(), []);
+
+	// 漢数字を付けずに確定した小数はエラーにする
+	guard.setValue("1.5");
+	assert.equal(guard.getRawValue(), "1.5");
+	assert.deepEqual(guard.getErrors().map((e) => e.code), ["numeric.decimal_not_allowed"]);
+});